@@ -1,5 +1,8 @@
 'use strict';
 
+// Conversation session of the settings test console, kept apart from flows and widgets
+const TEST_CONSOLE_SESSION_ID = 'settings:console';
+
 /**
  * Web API for Gemini AI App
  * Exposes endpoints for settings page to manage scheduled commands
@@ -7,7 +10,8 @@
 module.exports = {
   /**
    * GET /api/app/com.dimapp.geminiai/scheduled-commands
-   * Get all scheduled commands
+   * Get all scheduled commands (recurring ones include their rule and next occurrence,
+   * sun-anchored ones their anchor)
    */
   async getScheduledCommands({ homey }) {
     const scheduledCommands = homey.settings.get('scheduled_commands') || {};
@@ -40,7 +44,20 @@ module.exports = {
         createdAt: schedule.createdAt,
         status: schedule.status,
         isPast: delayMs < 0,
-        delayMinutes: Math.round(delayMs / 60000)
+        delayMinutes: Math.round(delayMs / 60000),
+        // Recurring schedules: executeAt always holds the next occurrence
+        isRecurring: !!schedule.recurrence,
+        recurrence: schedule.recurrence || null,
+        nextOccurrence: schedule.recurrence ? schedule.executeAt : null,
+        runCount: schedule.runCount || 0,
+        // Sun-anchored schedules: executeAt holds the resolved event time
+        anchor: schedule.anchor || null,
+        guard: schedule.guard || null,
+        policy: schedule.policy || null,
+        retryAt: schedule.retryAt || null,
+        retryCount: schedule.retryCount || 0,
+        policyDecisions: schedule.policyDecisions || [],
+        directActions: schedule.directActions || null
       };
     })
       // Sort by execution time (earliest first)
@@ -53,6 +70,40 @@ module.exports = {
     };
   },
 
+  /**
+   * GET /api/app/com.dimapp.geminiai/scheduled-commands/history
+   * Get the execution history (audit log) of scheduled commands, newest first
+   */
+  async getScheduledCommandsHistory({ homey }) {
+    const history = homey.settings.get('scheduled_commands_history') || [];
+
+    // Get user's timezone and language for display
+    const userTimezone = homey?.clock?.getTimezone?.() || 'UTC';
+    const userLanguage = homey?.i18n?.getLanguage?.() || 'en';
+    const formatLocal = (iso) => (iso ? new Date(iso).toLocaleString(userLanguage, {
+      timeZone: userTimezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false
+    }) : null);
+
+    const entries = history.slice().reverse().map(entry => ({
+      ...entry,
+      plannedAtLocal: formatLocal(entry.plannedAt),
+      executedAtLocal: formatLocal(entry.executedAt)
+    }));
+
+    return {
+      success: true,
+      entries,
+      count: entries.length
+    };
+  },
+
   /**
    * DELETE /api/app/com.dimapp.geminiai/scheduled-commands/:id
    * Cancel a scheduled command
@@ -104,9 +155,180 @@ module.exports = {
     return result;
   },
 
+  /**
+   * PUT /api/app/com.dimapp.geminiai/scheduled-commands/:id
+   * Update a scheduled command in place (same id), or postpone it with { snoozeMinutes }
+   */
+  async updateScheduledCommand({ homey, params, body }) {
+    const scheduleId = params.id;
+
+    if (!scheduleId) {
+      return {
+        success: false,
+        error: 'Schedule ID is required'
+      };
+    }
+
+    const scheduler = homey.app?.geminiClient?.mcpAdapter?.scheduler;
+
+    if (!scheduler) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    const changes = body || {};
+
+    if (changes.snoozeMinutes !== undefined) {
+      return await scheduler.snoozeScheduledCommand(scheduleId, changes.snoozeMinutes);
+    }
+
+    // Only forward known fields
+    const allowed = ['command', 'description', 'executeAt', 'recurrence', 'anchor', 'guard', 'policy', 'directActions'];
+    const update = {};
+    for (const key of allowed) {
+      if (changes[key] !== undefined) {
+        update[key] = changes[key];
+      }
+    }
+
+    return await scheduler.updateScheduledCommand(scheduleId, update);
+  },
+
+  /**
+   * GET /api/app/com.dimapp.geminiai/conversation-sessions
+   * List the conversation sessions with their size and request queue status
+   * (queue depth and wait time of the most recent request)
+   */
+  async getConversationSessions({ homey }) {
+    const geminiClient = homey.app?.geminiClient;
+
+    if (!geminiClient) {
+      return {
+        success: false,
+        error: 'GeminiClient not initialized. Please configure the Gemini API key in settings.'
+      };
+    }
+
+    return { success: true, sessions: geminiClient.listSessions() };
+  },
+
+  /**
+   * GET /api/app/com.dimapp.geminiai/conversation-sessions/:id/transcript?format=json|markdown
+   * Export the full transcript of a session: turns, tool calls with arguments and results
+   * (image data elided), model and token usage per turn
+   */
+  async getConversationTranscript({ homey, params, query }) {
+    const geminiClient = homey.app?.geminiClient;
+
+    if (!geminiClient) {
+      return {
+        success: false,
+        error: 'GeminiClient not initialized. Please configure the Gemini API key in settings.'
+      };
+    }
+
+    const transcript = geminiClient.exportTranscript(params.id);
+    if (!transcript) {
+      return { success: false, error: `Conversation session not found: ${params.id}` };
+    }
+
+    const baseName = `transcript-${transcript.sessionId.replace(/[^\w-]+/g, '_')}`;
+    if (query?.format === 'markdown') {
+      return {
+        success: true,
+        format: 'markdown',
+        filename: `${baseName}.md`,
+        content: geminiClient.formatTranscriptMarkdown(transcript)
+      };
+    }
+
+    return { success: true, format: 'json', filename: `${baseName}.json`, content: transcript };
+  },
+
+  /**
+   * POST /api/app/com.dimapp.geminiai/conversation-sessions/:id/transcript
+   * Re-seed a session from an exported JSON transcript: { transcript } (object or JSON string)
+   */
+  async importConversationTranscript({ homey, params, body }) {
+    const geminiClient = homey.app?.geminiClient;
+
+    if (!geminiClient) {
+      return {
+        success: false,
+        error: 'GeminiClient not initialized. Please configure the Gemini API key in settings.'
+      };
+    }
+
+    try {
+      return await geminiClient.importTranscript(params.id, body?.transcript);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * GET /api/app/com.dimapp.geminiai/usage
+   * Token usage and estimated cost: today, this month, daily and monthly totals
+   * (by model, entry point and session), the most recent calls and the price table
+   */
+  async getUsage({ homey }) {
+    const usageLedger = homey.app?.usageLedger;
+
+    if (!usageLedger) {
+      return { success: false, error: 'Usage ledger not available.' };
+    }
+
+    return { success: true, ...usageLedger.getReport() };
+  },
+
+  /**
+   * PUT /api/app/com.dimapp.geminiai/usage/prices
+   * Replace the price table: { priceTable } in USD per 1M tokens by model, null restores the defaults
+   */
+  async updateUsagePrices({ homey, body }) {
+    const usageLedger = homey.app?.usageLedger;
+
+    if (!usageLedger) {
+      return { success: false, error: 'Usage ledger not available.' };
+    }
+
+    return usageLedger.setPriceTable(body?.priceTable ?? null);
+  },
+
+  /**
+   * PUT /api/app/com.dimapp.geminiai/usage/budgets
+   * Replace the daily budgets: { budgets } with { requests, tokens } by model, and the optional { threshold } in percent
+   */
+  async updateUsageBudgets({ homey, body }) {
+    const usageLedger = homey.app?.usageLedger;
+
+    if (!usageLedger) {
+      return { success: false, error: 'Usage ledger not available.' };
+    }
+
+    return usageLedger.setBudgets(body?.budgets || {}, body?.threshold);
+  },
+
+  /**
+   * DELETE /api/app/com.dimapp.geminiai/usage
+   * Delete all recorded usage
+   */
+  async resetUsage({ homey }) {
+    const usageLedger = homey.app?.usageLedger;
+
+    if (!usageLedger) {
+      return { success: false, error: 'Usage ledger not available.' };
+    }
+
+    usageLedger.reset();
+    return { success: true };
+  },
+
   /**
    * DELETE /api/app/com.dimapp.geminiai/conversation-history
-   * Clear the entire Gemini conversation history
+   * Clear the Gemini conversation history of every session (flows, widgets, scheduler)
    */
   async clearConversationHistory({ homey }) {
     const geminiClient = homey.app?.geminiClient;
@@ -118,7 +340,228 @@ module.exports = {
       };
     }
 
-    geminiClient.clearConversationHistory();
+    await geminiClient.clearConversationHistory();
+
+    return { success: true };
+  },
+
+  /**
+   * GET /api/app/com.dimapp.geminiai/memories
+   * List the household facts in long-term memory (expired ones are removed)
+   */
+  async getMemories({ homey }) {
+    const memoryManager = homey.app?.geminiClient?.mcpAdapter?.memoryManager;
+
+    if (!memoryManager) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    const memories = memoryManager.listMemories();
+    return { success: true, memories, count: memories.length };
+  },
+
+  /**
+   * POST /api/app/com.dimapp.geminiai/memories
+   * Add a household fact: { fact, category?, expiresAt? }
+   */
+  async addMemory({ homey, body }) {
+    const memoryManager = homey.app?.geminiClient?.mcpAdapter?.memoryManager;
+
+    if (!memoryManager) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    const { fact, category, expiresAt } = body || {};
+    return memoryManager.remember(fact, { category, expiresAt });
+  },
+
+  /**
+   * PUT /api/app/com.dimapp.geminiai/memories/:id
+   * Edit a household fact: { fact?, category?, expiresAt? } (expiresAt null removes the expiry)
+   */
+  async updateMemory({ homey, params, body }) {
+    const memoryManager = homey.app?.geminiClient?.mcpAdapter?.memoryManager;
+
+    if (!memoryManager) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    const changes = body || {};
+
+    // Only forward known fields
+    const update = {};
+    for (const key of ['fact', 'category', 'expiresAt']) {
+      if (changes[key] !== undefined) {
+        update[key] = changes[key];
+      }
+    }
+
+    return memoryManager.updateMemory(params.id, update);
+  },
+
+  /**
+   * DELETE /api/app/com.dimapp.geminiai/memories/:id
+   * Delete a household fact
+   */
+  async deleteMemory({ homey, params }) {
+    const memoryManager = homey.app?.geminiClient?.mcpAdapter?.memoryManager;
+
+    if (!memoryManager) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    return memoryManager.forget({ memoryId: params.id });
+  },
+
+  /**
+   * GET /api/app/com.dimapp.geminiai/access-policy
+   * List the device access policy rules
+   */
+  async getAccessPolicy({ homey }) {
+    const accessPolicy = homey.app?.geminiClient?.mcpAdapter?.accessPolicy;
+
+    if (!accessPolicy) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    const rules = accessPolicy.listRules();
+    return { success: true, rules, count: rules.length };
+  },
+
+  /**
+   * POST /api/app/com.dimapp.geminiai/access-policy
+   * Add a rule: { scope: 'device'|'zone'|'class'|'capability', target, access: 'confirm'|'read-only'|'forbidden', capabilities? }
+   */
+  async addAccessPolicyRule({ homey, body }) {
+    const accessPolicy = homey.app?.geminiClient?.mcpAdapter?.accessPolicy;
+
+    if (!accessPolicy) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    const { scope, target, access, capabilities } = body || {};
+    return accessPolicy.addRule({ scope, target, access, capabilities });
+  },
+
+  /**
+   * DELETE /api/app/com.dimapp.geminiai/access-policy/:id
+   * Delete a rule
+   */
+  async deleteAccessPolicyRule({ homey, params }) {
+    const accessPolicy = homey.app?.geminiClient?.mcpAdapter?.accessPolicy;
+
+    if (!accessPolicy) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    return accessPolicy.deleteRule(params.id);
+  },
+
+  /**
+   * GET /api/app/com.dimapp.geminiai/approvals
+   * List the actions waiting for the user's approval
+   */
+  async getApprovals({ homey }) {
+    const approvals = homey.app?.geminiClient?.mcpAdapter?.approvals;
+
+    if (!approvals) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    const pending = approvals.listPending();
+    return { success: true, approvals: pending, count: pending.length };
+  },
+
+  /**
+   * POST /api/app/com.dimapp.geminiai/approvals/:id
+   * Approve or deny a pending action: { approved: boolean }
+   */
+  async resolveApproval({ homey, params, body }) {
+    const approvals = homey.app?.geminiClient?.mcpAdapter?.approvals;
+
+    if (!approvals) {
+      return {
+        success: false,
+        error: 'MCP Adapter not available. Please ensure Gemini API key is configured.'
+      };
+    }
+
+    return approvals.decide(params.id, body?.approved === true);
+  },
+
+  /**
+   * POST /api/app/com.dimapp.geminiai/test-console
+   * Simulate a smart home command (dry run) in the test console session: { command }
+   * Nothing is changed; the response lists what would have been done.
+   */
+  async runTestCommand({ homey, body }) {
+    const geminiClient = homey.app?.geminiClient;
+
+    if (!geminiClient) {
+      return {
+        success: false,
+        error: 'GeminiClient not initialized. Please configure the Gemini API key in settings.'
+      };
+    }
+
+    if (!body || typeof body.command !== 'string' || !body.command.trim()) {
+      return { success: false, error: 'Missing command.' };
+    }
+
+    try {
+      const result = await geminiClient.generateTextWithMCP(body.command.trim(), {
+        sessionId: TEST_CONSOLE_SESSION_ID,
+        entryPoint: 'test-console',
+        dryRun: true,
+        // The console session only holds simulations, so it keeps its own conversation
+        dryRunHistory: true
+      });
+      return { success: true, response: result.response, plan: result.plan };
+    } catch (error) {
+      console.error('[runTestCommand] Error simulating command:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * DELETE /api/app/com.dimapp.geminiai/test-console
+   * Clear the conversation of the test console session
+   */
+  async clearTestConsole({ homey }) {
+    const geminiClient = homey.app?.geminiClient;
+
+    if (!geminiClient) {
+      return {
+        success: false,
+        error: 'GeminiClient not initialized. Please configure the Gemini API key in settings.'
+      };
+    }
+
+    await geminiClient.clearConversationHistory(TEST_CONSOLE_SESSION_ID);
 
     return { success: true };
   },
@@ -154,7 +597,7 @@ You must **ALWAYS** extract ONLY the rule or behavior that the user describes. Y
 USER TEXT:
 ${body.text}`;
 
-      const generatedMarkdown = await geminiClient.generateText(metaPrompt);
+      const generatedMarkdown = await geminiClient.generateText(metaPrompt, { entryPoint: 'settings' });
       console.log('[generateCustomPrompt] Generated prompt of length:', generatedMarkdown.length);
 
       return {
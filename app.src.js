@@ -3,6 +3,7 @@
 const Homey = require('homey');
 const { Readable } = require('stream');
 const { GeminiClient } = require('./lib/GeminiClient');
+const { UsageLedger } = require('./lib/UsageLedger');
 
 module.exports = class GeminiApp extends Homey.App {
 
@@ -22,6 +23,9 @@ module.exports = class GeminiApp extends Homey.App {
       this.log('[onInit] Automatically migrated Chat model from preview to GA');
     }
 
+    // Token and cost accounting, kept across GeminiClient re-initializations
+    this.usageLedger = new UsageLedger(this.homey);
+
     // Initialize the GeminiClient once at startup
     this.initializeGeminiClient();
 
@@ -34,7 +38,7 @@ module.exports = class GeminiApp extends Homey.App {
     // Store the reference so it can be removed in onUninit() to avoid
     // accessing a destroyed app instance after a ready_timeout crash.
     this._settingsListener = (key) => {
-      if (key === 'gemini_api_key' || key === 'gemini_model' || key === 'gemini_model_chat' || key === 'gemini_model_sh_generic' || key === 'gemini_model_sh_flow' || key === 'gemini_custom_instructions' || key === 'gemini_enable_google_search' || key === 'gemini_include_hidden_grouped') {
+      if (key === 'gemini_api_key' || key === 'gemini_model' || key === 'gemini_model_chat' || key === 'gemini_model_sh_generic' || key === 'gemini_model_sh_flow' || key === 'gemini_custom_instructions' || key === 'gemini_enable_google_search' || key === 'gemini_include_hidden_grouped' || key === 'ai_provider' || key === 'openai_compatible_base_url' || key === 'openai_compatible_api_key' || key === 'openai_compatible_model') {
         this.log(`[onInit] Setting ${key} changed, re-initializing GeminiClient`);
         this.initializeGeminiClient();
       }
@@ -49,7 +53,10 @@ module.exports = class GeminiApp extends Homey.App {
     await this.registerSendPromptWithImageActionCard();
     this.registerMCPCommandActionCard();
     this.registerSeedConversationContextCard();
-    //this.registerScheduledCommandExecutedTriggerCard();
+    this.registerApprovalActionCard();
+    this.registerUndoActionCard();
+    this.registerScheduleActionCards();
+    this.registerScheduleTriggerCards();
 
     // Register condition cards
     this.registerEvaluatePromptConditionCard();
@@ -63,6 +70,8 @@ module.exports = class GeminiApp extends Homey.App {
   registerGeminiTriggers() {
     this.geminiResponseReadyTrigger = this.homey.flow.getTriggerCard('gemini_response_ready');
     this.geminiImageResponseReadyTrigger = this.homey.flow.getTriggerCard('gemini_image_response_ready');
+    this.budgetThresholdTrigger = this.homey.flow.getTriggerCard('usage_budget_threshold_crossed');
+    this.approvalRequestedTrigger = this.homey.flow.getTriggerCard('approval_requested');
     this.log('[registerGeminiTriggers] Asynchronous response triggers registered');
   }
 
@@ -72,26 +81,56 @@ module.exports = class GeminiApp extends Homey.App {
   initializeGeminiClient() {
     const apiKey = this.homey.settings.get('gemini_api_key');
     const oldSmartHomeModel = this.homey.settings.get('gemini_model');
-    const shGenericModel = this.homey.settings.get('gemini_model_sh_generic') || oldSmartHomeModel || 'gemini-3.1-flash-lite';
-    const shFlowModel = this.homey.settings.get('gemini_model_sh_flow') || oldSmartHomeModel || 'gemini-3.5-flash';
-    const chatModel = this.homey.settings.get('gemini_model_chat') || 'gemini-2.5-flash-lite';
+    let shGenericModel = this.homey.settings.get('gemini_model_sh_generic') || oldSmartHomeModel || 'gemini-3.1-flash-lite';
+    let shFlowModel = this.homey.settings.get('gemini_model_sh_flow') || oldSmartHomeModel || 'gemini-3.5-flash';
+    let chatModel = this.homey.settings.get('gemini_model_chat') || 'gemini-2.5-flash-lite';
     const customInstructions = this.homey.settings.get('gemini_custom_instructions');
     const enableGoogleSearch = this.homey.settings.get('gemini_enable_google_search') !== false;
 
-    if (!apiKey) {
+    // Alternative provider: an OpenAI-compatible endpoint (e.g. a local LLM server) serving one model for every role
+    const providerType = this.homey.settings.get('ai_provider') === 'openai-compatible' ? 'openai-compatible' : 'gemini';
+    const openaiCompatible = {
+      baseUrl: this.homey.settings.get('openai_compatible_base_url'),
+      apiKey: this.homey.settings.get('openai_compatible_api_key')
+    };
+
+    if (providerType === 'openai-compatible') {
+      const model = this.homey.settings.get('openai_compatible_model');
+      if (!openaiCompatible.baseUrl || !model) {
+        this.log('[initializeGeminiClient] OpenAI-compatible provider selected without base URL or model - app will function but AI flows will fail until it is configured');
+        return;
+      }
+      chatModel = shGenericModel = shFlowModel = model;
+    } else if (!apiKey) {
       this.log('[initializeGeminiClient] API key not found in settings - app will function but Gemini flows will fail until API key is configured');
       return;
     }
 
+    const previousClient = this.geminiClient;
+
     this.geminiClient = new GeminiClient(apiKey, {
       homey: this.homey,
+      providerType: providerType,
+      openaiCompatible: openaiCompatible,
       shGenericModel: shGenericModel,
       shFlowModel: shFlowModel,
       chatModel: chatModel,
       customInstructions: customInstructions,
-      enableGoogleSearch: enableGoogleSearch
+      enableGoogleSearch: enableGoogleSearch,
+      usageLedger: this.usageLedger
     });
-    this.log(`[initializeGeminiClient] GeminiClient initialized successfully. Chat: ${chatModel}, Generic: ${shGenericModel}, Flow: ${shFlowModel}`);
+
+    // Restore the conversation saved before the restart or by the previous client instance
+    this.geminiClient.loadConversationHistory();
+    this.log(`[initializeGeminiClient] GeminiClient initialized successfully. Provider: ${providerType}, Chat: ${chatModel}, Generic: ${shGenericModel}, Flow: ${shFlowModel}`);
+
+    // Stop the timers of the replaced client before its schedules are re-armed on the new one
+    if (previousClient && previousClient.mcpAdapter) {
+      const mcpAdapter = this.geminiClient.mcpAdapter;
+      previousClient.mcpAdapter.cleanup()
+        .then(() => mcpAdapter.restoreScheduledCommands())
+        .catch((error) => this.error('[initializeGeminiClient] Failed to move scheduled commands to the new client:', error));
+    }
   }
 
   /**
@@ -107,6 +146,11 @@ module.exports = class GeminiApp extends Homey.App {
       this._settingsListener = null;
     }
 
+    // Write the usage recorded since the last save
+    if (this.usageLedger) {
+      this.usageLedger.flush();
+    }
+
     // Cleanup scheduler interval if MCP adapter exists
     if (this.geminiClient && this.geminiClient.mcpAdapter) {
       await this.geminiClient.mcpAdapter.cleanup();
@@ -130,7 +174,7 @@ module.exports = class GeminiApp extends Homey.App {
         const prompt = args['prompt'];
         this.log(`[sendPromptActionCard] Prompt: ${prompt}`);
 
-        const text = await this.geminiClient.generateText(prompt);
+        const text = await this.geminiClient.generateText(prompt, { entryPoint: 'send-prompt' });
         this.log(`[sendPromptActionCard] Response: ${text}`);
 
         // Trigger the asynchronous event
@@ -227,7 +271,7 @@ module.exports = class GeminiApp extends Homey.App {
         await slotImage.update();
 
         // Generate response
-        const text = await this.geminiClient.generateTextWithImage(prompt, imageBuffer, mimeType);
+        const text = await this.geminiClient.generateTextWithImage(prompt, imageBuffer, mimeType, { entryPoint: 'send-prompt-with-image' });
         this.log(`[sendPromptWithImageActionCard] Response: ${text}`);
 
         // Trigger the asynchronous event with this run's dedicated slot image
@@ -285,6 +329,20 @@ module.exports = class GeminiApp extends Homey.App {
 
     this.error(`${context} Error message: ${errorMessage}`);
 
+    // Conversation session busy with other requests for longer than the configured max wait
+    if (error.code === 'SESSION_BUSY') {
+      throw new Error(this.homey.__("prompt.error.session_busy", {
+        session: error.sessionId,
+        seconds: Math.round(error.waitedMs / 1000),
+        pending: error.queuedAhead
+      }));
+    }
+
+    // Daily budget of the model used up (see the usage settings)
+    if (error.code === 'BUDGET_EXCEEDED') {
+      throw new Error(this.homey.__("prompt.error.budget_exceeded", { model: error.model }));
+    }
+
     // Check for specific error types and provide localized messages
     const errorStr = (error.message || '').toLowerCase();
     const errorDetails = JSON.stringify(error).toLowerCase();
@@ -327,13 +385,14 @@ module.exports = class GeminiApp extends Homey.App {
 
   /**
    * Register the "Seed Conversation Context" action card.
-   * Injects a message into the conversation memory so that the next
-   * MCP command already has conversational context.
+   * Injects a message into the conversation memory of the card's session so that
+   * the next MCP command already has conversational context. The message can
+   * expire after a number of minutes and replace the previous one with the same tag.
    */
   registerSeedConversationContextCard() {
     this.seedContextCard = this.homey.flow.getActionCard('seed-conversation-context');
     this.seedContextCard.registerRunListener(async (args) => {
-      this.log(`[seedContextCard] Context: ${args.context}`);
+      this.log(`[seedContextCard] Context: ${args.context}, Session: ${args.session || 'default'}, Expires in: ${args.expires_in || '-'} min, Tag: ${args.tag || '-'}`);
 
       try {
         if (!this.geminiClient) {
@@ -341,7 +400,10 @@ module.exports = class GeminiApp extends Homey.App {
         }
 
         const context = args.context;
-        this.geminiClient.seedConversationContext(context);
+        await this.geminiClient.seedConversationContext(context, args.session, {
+          expiresInMin: args.expires_in,
+          tag: args.tag
+        });
         this.log(`[seedContextCard] Context injected successfully`);
 
         return { success: true };
@@ -353,7 +415,67 @@ module.exports = class GeminiApp extends Homey.App {
   }
 
   /**
-   * Registers and initialises the 'scheduled_command_executed' flow trigger card.
+   * Register the "Approve or deny a pending action" action card.
+   * Decides a sensitive tool call parked by the ApprovalManager (see the
+   * `approval_requested` trigger), which resumes or aborts its MCP command.
+   */
+  registerApprovalActionCard() {
+    this.resolveApprovalCard = this.homey.flow.getActionCard('resolve-approval');
+    this.resolveApprovalCard.registerRunListener(async (args) => {
+      this.log(`[resolveApprovalCard] Approval ID: ${args.approval_id}, Decision: ${args.decision}`);
+
+      try {
+        const approvals = this.geminiClient?.mcpAdapter?.approvals;
+        if (!approvals) {
+          throw new Error(this.homey.__('prompt.error.noapi'));
+        }
+
+        const result = approvals.decide(String(args.approval_id).trim(), args.decision === 'approve');
+        if (!result.success) {
+          throw new Error(this.homey.__('prompt.error.approval', { error: result.error }));
+        }
+        return true;
+      } catch (error) {
+        return this.handleFlowError('[resolveApprovalCard]', error);
+      }
+    });
+  }
+
+  /**
+   * Register the "Undo last Gemini action" action card.
+   * Restores the devices changed by the last MCP command of any conversation
+   * (see UndoManager).
+   */
+  registerUndoActionCard() {
+    this.undoLastActionCard = this.homey.flow.getActionCard('undo-last-action');
+    this.undoLastActionCard.registerRunListener(async () => {
+      this.log('[undoLastActionCard] Undoing the last Gemini action');
+
+      try {
+        const undo = this.geminiClient?.mcpAdapter?.undo;
+        if (!undo) {
+          throw new Error(this.homey.__('prompt.error.noapi'));
+        }
+
+        const result = await undo.undo({ context: { entryPoint: 'undo-last-action' } });
+        if (!result.runId) {
+          throw new Error(this.homey.__('prompt.error.undo', { error: result.error }));
+        }
+        if (!result.success && result.restored.length === 0) {
+          throw new Error(this.homey.__('prompt.error.undo', { error: result.failed.map(f => `${f.device}: ${f.error}`).join(' ') }));
+        }
+        return { restored: result.restored.length, message: result.message };
+      } catch (error) {
+        return this.handleFlowError('[undoLastActionCard]', error);
+      }
+    });
+  }
+
+  /**
+   * Registers and initialises the scheduler lifecycle flow trigger cards:
+   * `scheduled_command_created`, `scheduled_command_cancelled`,
+   * `scheduled_command_upcoming`, `scheduled_command_executed` and
+   * `scheduled_command_failed`.
    *
    * In Homey SDK 3 trigger cards must be obtained via {@link Homey.FlowManager.getTriggerCard}
    * during app initialisation so that the Flow Engine can match and route the
@@ -361,14 +483,165 @@ module.exports = class GeminiApp extends Homey.App {
    * unknown to the runtime and `.trigger()` calls from {@link Scheduler}
    * will silently fail to activate matching flows.
    *
-   * The card exposes four tokens: `timer_id`, `command`, `success`, `response`.
+   * Every card exposes the `timer_id`, `description`, `command` and `execute_at` tokens.
+   * The "about to run" card only fires flows whose lead time matches, and re-arms
+   * the scheduler's lead timers whenever a flow changes its lead time.
+   *
+   * @public
+   * @returns {void}
+   */
+  registerScheduleTriggerCards() {
+    const cardIds = [
+      'scheduled_command_created',
+      'scheduled_command_cancelled',
+      'scheduled_command_upcoming',
+      'scheduled_command_executed',
+      'scheduled_command_failed'
+    ];
+
+    this.scheduleTriggerCards = {};
+    for (const cardId of cardIds) {
+      this.scheduleTriggerCards[cardId] = this.homey.flow.getTriggerCard(cardId);
+    }
+
+    const upcomingCard = this.scheduleTriggerCards['scheduled_command_upcoming'];
+    upcomingCard.registerRunListener(async (args, state) => {
+      return Number(args.lead_minutes) === state.lead_minutes;
+    });
+    upcomingCard.on('update', () => {
+      const scheduler = this.geminiClient?.mcpAdapter?.scheduler;
+      if (scheduler) {
+        scheduler.refreshUpcomingTriggers()
+          .catch(err => this.error('[registerScheduleTriggerCards] Error refreshing upcoming triggers:', err));
+      }
+    });
+
+    this.log('[registerScheduleTriggerCards] Scheduler trigger cards registered');
+  }
+
+  /**
+   * Registers the schedule action cards: `schedule-command-at`, `schedule-command-in`,
+   * `cancel-schedule`, `cancel-matching-schedules` and `list-schedules`.
+   *
+   * These cards call {@link Scheduler} directly, without a Gemini round trip, for
+   * flows that already know the exact command and time. The create cards return the
+   * `timer_id` and `execute_at` tokens. The scheduled command itself still runs
+   * through Gemini (or its direct actions) when it is due.
    *
    * @public
    * @returns {void}
    */
-  registerScheduledCommandExecutedTriggerCard() {
-    this.scheduledCommandExecutedTrigger = this.homey.flow.getTriggerCard('scheduled_command_executed');
-    this.log('[registerScheduledCommandExecutedTriggerCard] Trigger card "scheduled_command_executed" registered');
+  registerScheduleActionCards() {
+    this.scheduleAtActionCard = this.homey.flow.getActionCard('schedule-command-at');
+    this.scheduleAtActionCard.registerRunListener(async (args) => {
+      this.log(`[scheduleAtActionCard] Command: ${args.command}, Date: ${args.date}, Time: ${args.time}`);
+
+      try {
+        const scheduler = this.getScheduler();
+
+        // Date args arrive as "dd-mm-yyyy", time args as "HH:mm"
+        const [day, month, year] = String(args.date).split('-');
+        const executeAt = `${year}-${month}-${day}T${args.time}:00`;
+
+        const result = await scheduler.scheduleCommand(args.command, executeAt, args.description || args.command);
+        return this.toScheduleTokens(scheduler, result);
+      } catch (error) {
+        return this.handleFlowError('[scheduleAtActionCard]', error);
+      }
+    });
+
+    this.scheduleInActionCard = this.homey.flow.getActionCard('schedule-command-in');
+    this.scheduleInActionCard.registerRunListener(async (args) => {
+      this.log(`[scheduleInActionCard] Command: ${args.command}, Minutes: ${args.minutes}`);
+
+      try {
+        const scheduler = this.getScheduler();
+        const result = await scheduler.scheduleCommandIn(args.command, Number(args.minutes), args.description || args.command);
+        return this.toScheduleTokens(scheduler, result);
+      } catch (error) {
+        return this.handleFlowError('[scheduleInActionCard]', error);
+      }
+    });
+
+    this.cancelScheduleActionCard = this.homey.flow.getActionCard('cancel-schedule');
+    this.cancelScheduleActionCard.registerRunListener(async (args) => {
+      this.log(`[cancelScheduleActionCard] Timer ID: ${args.timer_id}`);
+
+      try {
+        const result = await this.getScheduler().cancelScheduledCommand(String(args.timer_id).trim());
+        if (!result.success) {
+          throw new Error(this.homey.__('prompt.error.schedule', { error: result.error }));
+        }
+        return true;
+      } catch (error) {
+        return this.handleFlowError('[cancelScheduleActionCard]', error);
+      }
+    });
+
+    this.cancelMatchingSchedulesActionCard = this.homey.flow.getActionCard('cancel-matching-schedules');
+    this.cancelMatchingSchedulesActionCard.registerRunListener(async (args) => {
+      this.log(`[cancelMatchingSchedulesActionCard] Text: ${args.text}`);
+
+      try {
+        const result = await this.getScheduler().cancelMatchingScheduledCommands(args.text);
+        if (!result.success) {
+          throw new Error(this.homey.__('prompt.error.schedule', { error: result.error }));
+        }
+        return { cancelled_count: result.count };
+      } catch (error) {
+        return this.handleFlowError('[cancelMatchingSchedulesActionCard]', error);
+      }
+    });
+
+    this.listSchedulesActionCard = this.homey.flow.getActionCard('list-schedules');
+    this.listSchedulesActionCard.registerRunListener(async () => {
+      try {
+        const scheduler = this.getScheduler();
+        const list = await scheduler.listScheduledCommands();
+        const lines = list.map(item =>
+          `${scheduler.formatLocalDateTime(item.retryAt || item.executeAt)} - ${item.description || item.command} (${item.scheduleId})`
+        );
+        return { count: list.length, schedules: lines.join('\n') };
+      } catch (error) {
+        return this.handleFlowError('[listSchedulesActionCard]', error);
+      }
+    });
+  }
+
+  /**
+   * Returns the Scheduler of the current GeminiClient.
+   *
+   * @public
+   * @returns {Scheduler}
+   * @throws {Error} If the GeminiClient is not initialised (missing API key).
+   */
+  getScheduler() {
+    const scheduler = this.geminiClient?.mcpAdapter?.scheduler;
+    if (!scheduler) {
+      throw new Error(this.homey.__('prompt.error.noapi'));
+    }
+    return scheduler;
+  }
+
+  /**
+   * Converts a {@link Scheduler#scheduleCommand} result into the tokens of the
+   * schedule create cards.
+   *
+   * @public
+   * @param {Scheduler} scheduler - The scheduler that created the command.
+   * @param {Object} result - The scheduling result.
+   * @returns {{ timer_id: string, execute_at: string }}
+   * @throws {Error} A localised error if scheduling failed.
+   */
+  toScheduleTokens(scheduler, result) {
+    if (!result.success) {
+      throw new Error(this.homey.__('prompt.error.schedule', { error: result.error }));
+    }
+    this.log(`[toScheduleTokens] Scheduled ${result.scheduleId} for ${result.executeAt}`);
+    return {
+      timer_id: result.scheduleId,
+      execute_at: scheduler.formatLocalDateTime(result.executeAt)
+    };
   }
 
   /**
@@ -377,7 +650,7 @@ module.exports = class GeminiApp extends Homey.App {
   registerMCPCommandActionCard() {
     this.mcpCommandCard = this.homey.flow.getActionCard("send-mcp-command");
     this.mcpCommandCard.registerRunListener(async (args) => {
-      this.log(`[mcpCommandCard] Command: ${args.command}`);
+      this.log(`[mcpCommandCard] Command: ${args.command}, Session: ${args.session || 'default'}${args.dry_run ? ', Dry run' : ''}`);
 
       try {
         // Check if GeminiClient is initialized
@@ -388,14 +661,19 @@ module.exports = class GeminiApp extends Homey.App {
         const command = args.command;
         this.log(`[mcpCommandCard] Executing MCP command: ${command}`);
 
-        // Generate response with MCP function calling
-        const result = await this.geminiClient.generateTextWithMCP(command);
+        // Generate response with MCP function calling, in the card's conversation session
+        const result = await this.geminiClient.generateTextWithMCP(command, {
+          sessionId: args.session,
+          entryPoint: 'send-mcp-command',
+          dryRun: args.dry_run === true
+        });
         this.log(`[mcpCommandCard] Response: ${result.response}, Success: ${result.success}, TimerId: ${result.timerId || 'none'}`);
 
         return {
           response: result.response,
           success: result.success,
-          timer_id: result.timerId || ''
+          timer_id: result.timerId || '',
+          plan: (result.plan || []).map(step => step.action).join('\n')
         };
 
       } catch (error) {
@@ -426,7 +704,7 @@ module.exports = class GeminiApp extends Homey.App {
           throw new Error(this.homey.__('prompt.error.noapi'));
         }
 
-        const result = await this.geminiClient.evaluateCondition(args.prompt);
+        const result = await this.geminiClient.evaluateCondition(args.prompt, { entryPoint: 'evaluate-prompt' });
         this.log(`[evaluatePromptConditionCard] isAnswerable=${result.isAnswerable}, result=${result.result}`);
 
         if (!result.isAnswerable) {
@@ -489,7 +767,7 @@ module.exports = class GeminiApp extends Homey.App {
 
         this.log(`[evaluatePromptWithImageConditionCard] Image buffer: ${imageBuffer.length} bytes, slot: ${slotIndex}`);
 
-        const result = await this.geminiClient.evaluateConditionWithImage(args.prompt, imageBuffer, mimeType);
+        const result = await this.geminiClient.evaluateConditionWithImage(args.prompt, imageBuffer, mimeType, { entryPoint: 'evaluate-prompt-with-image' });
         this.log(`[evaluatePromptWithImageConditionCard] isAnswerable=${result.isAnswerable}, result=${result.result}`);
 
         if (!result.isAnswerable) {
@@ -510,9 +788,10 @@ module.exports = class GeminiApp extends Homey.App {
    *
    * Evaluates a yes/no question that may require querying smart home device
    * state via the MCP tool-calling loop (using the Smart Home model).
-   * The condition question and Gemini's answer are persisted in the shared
-   * conversation history so that subsequent MCP action cards can use them
-   * as context, exactly as the 'send-mcp-command' action card does.
+   * The condition question and Gemini's answer are persisted in the conversation
+   * history of the card's session (the default session when empty) so that
+   * subsequent MCP action cards in the same session can use them as context,
+   * exactly as the 'send-mcp-command' action card does.
    *
    * @public
    * @returns {void}
@@ -520,14 +799,14 @@ module.exports = class GeminiApp extends Homey.App {
   registerEvaluateMcpCommandConditionCard() {
     this.evaluateMcpCommandConditionCard = this.homey.flow.getConditionCard('evaluate-mcp-command');
     this.evaluateMcpCommandConditionCard.registerRunListener(async (args) => {
-      this.log(`[evaluateMcpCommandConditionCard] Prompt: ${args.prompt}`);
+      this.log(`[evaluateMcpCommandConditionCard] Prompt: ${args.prompt}, Session: ${args.session || 'default'}`);
 
       try {
         if (!this.geminiClient) {
           throw new Error(this.homey.__('prompt.error.noapi'));
         }
 
-        const result = await this.geminiClient.evaluateConditionWithMCP(args.prompt);
+        const result = await this.geminiClient.evaluateConditionWithMCP(args.prompt, { sessionId: args.session, entryPoint: 'evaluate-mcp-command' });
         this.log(`[evaluateMcpCommandConditionCard] isAnswerable=${result.isAnswerable}, result=${result.result}`);
 
         if (!result.isAnswerable) {
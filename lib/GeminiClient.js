@@ -1,9 +1,15 @@
 'use strict';
 
-const { GoogleGenAI, FunctionCallingConfigMode } = require('@google/genai');
+const { FunctionCallingConfigMode } = require('@google/genai');
 const { Readable } = require('stream');
+const fs = require('fs');
+const path = require('path');
 const { HomeyMCPAdapter } = require('./HomeyMCPAdapter');
 const { SystemInstruction } = require('./SystemInstruction');
+const { STATE_MUTATING_TOOLS } = require('./ToolSchema');
+const { UsageLedger } = require('./UsageLedger');
+const { GeminiProvider } = require('./providers/GeminiProvider');
+const { OpenAICompatibleProvider } = require('./providers/OpenAICompatibleProvider');
 
 // Gemini model configuration
 const DEFAULT_SMART_HOME_MODEL = 'gemini-3.1-flash-lite';  // Default model for Smart Home / MCP functions
@@ -17,11 +23,45 @@ const CONVERSATION_HISTORY_IDLE_TIMEOUT_DEFAULT_MIN = 30; // Default idle timeou
 const CONVERSATION_HISTORY_IDLE_TIMEOUT_MIN_MIN = 10;     // Minimum configurable idle timeout (minutes)
 const CONVERSATION_HISTORY_IDLE_TIMEOUT_MAX_MIN = 240;    // Maximum configurable idle timeout (minutes)
 
+// Rolling summary: when the history exceeds the limits above, its older turns are compacted
+// into a summary written by the chat model instead of being dropped
+const CONVERSATION_SUMMARY_KEEP_MESSAGES = 10;       // Most recent messages always kept verbatim
+const CONVERSATION_SUMMARY_MAX_INPUT_CHARS = 40000;  // Max transcript characters sent to the summarizer
+const CONVERSATION_SUMMARY_PREFIX = '[CONVERSATION SUMMARY]'; // Marks the synthetic summary turn
+
+// Conversation transcripts (export / import)
+const TRANSCRIPT_FORMAT = 'gemini-conversation-transcript';
+const TRANSCRIPT_VERSION = 1;
+const TRANSCRIPT_MAX_IMPORT_MESSAGES = 200;       // Imported turns beyond this are dropped (oldest first)
+const USAGE_FIELDS = ['promptTokenCount', 'cachedContentTokenCount', 'candidatesTokenCount', 'thoughtsTokenCount', 'toolUsePromptTokenCount', 'totalTokenCount'];
+
+// Conversation session configuration
+const DEFAULT_SESSION_ID = 'default';      // Session used when no session ID is given (flows without a session, settings)
+const MAX_CONVERSATION_SESSIONS = 20;      // Least recently used sessions are evicted beyond this limit
+const MAX_SESSION_ID_LENGTH = 64;
+
+// Seeded conversation context (seed-conversation-context card)
+const MAX_CONTEXT_TAG_LENGTH = 64;
+const MAX_CONTEXT_EXPIRY_MIN = 1440;       // Context can be kept for at most one day
+
+// Per-session request queue: MCP requests on the same session run one at a time, so that
+// a run never overwrites the turns (or the active model) written by a concurrent run.
+const SESSION_QUEUE_MAX_WAIT_DEFAULT_SEC = 120; // Default max wait in the queue before a request fails
+const SESSION_QUEUE_MAX_WAIT_MIN_SEC = 5;       // Minimum configurable max wait (seconds)
+const SESSION_QUEUE_MAX_WAIT_MAX_SEC = 600;     // Maximum configurable max wait (seconds)
+
+// Conversation history persistence (survives app restarts and client re-initialization)
+const CONVERSATION_HISTORY_FILE = path.join('/userdata', 'conversation_history.json');
+
+// Writes are chained on a module-level queue shared by all client instances, so that
+// a client created by a settings change always reads the last state written by its predecessor.
+let historyWriteQueue = Promise.resolve();
+
 // MCP function-calling loop configuration
 const MAX_TURNS = 15; // Maximum number of tool-call turns before forcing a give-up response
 
 // Tools that read real-time device state and must never run in parallel with
-// tools that mutate state (control_device, trigger_flow, run_action_card).
+// tools that mutate state (STATE_MUTATING_TOOLS, see ToolSchema).
 // If any call in a batch belongs to this set AND other calls mutate state,
 // the entire batch is executed sequentially to avoid stale-state race conditions.
 const SEQUENTIAL_REQUIRED_TOOLS = new Set([
@@ -29,12 +69,18 @@ const SEQUENTIAL_REQUIRED_TOOLS = new Set([
   'get_device_state',
 ]);
 
-// Tools that mutate device state. Used together with SEQUENTIAL_REQUIRED_TOOLS
-// to detect mixed (mutation + query) batches that require sequential execution.
-const STATE_MUTATING_TOOLS = new Set([
-  'control_device',
-  'trigger_flow',
-  'run_action_card',
+// Entry points refused first when a model nears its daily budget: plain prompts,
+// housekeeping and the settings test console. Smart home commands (MCP), the widget
+// and the scheduler fall back to a cheaper model instead, and are refused only when
+// every candidate is exhausted.
+const LOW_PRIORITY_ENTRY_POINTS = new Set([
+  'conversation-summary',
+  'settings',
+  'test-console',
+  'send-prompt',
+  'send-prompt-with-image',
+  'evaluate-prompt',
+  'evaluate-prompt-with-image',
 ]);
 
 // Schema for yes/no condition evaluation structured outputs
@@ -58,11 +104,18 @@ const CONDITION_RESPONSE_SCHEMA = {
 };
 
 class GeminiClient {
+  /**
+   * @param {?string} apiKey - The Gemini API key (not needed with another provider).
+   * @param {Object} [options={}]
+   * @param {string} [options.providerType='gemini'] - `'gemini'` or `'openai-compatible'`.
+   * @param {{ baseUrl: string, apiKey?: string, timeoutMs?: number }} [options.openaiCompatible] - Endpoint of the OpenAI-compatible provider.
+   * @param {Object} [options.provider] - A ready provider instance (e.g. a test stub), see {@link GeminiProvider}.
+   */
   constructor(apiKey, options = {}) {
-    if (!apiKey) {
-      throw new Error("API key is required");
-    }
-    this.genAI = new GoogleGenAI({ apiKey: apiKey });
+    /** @type {GeminiProvider|OpenAICompatibleProvider} Model API behind every request */
+    this.provider = options.provider || (options.providerType === 'openai-compatible'
+      ? new OpenAICompatibleProvider(options.openaiCompatible)
+      : new GeminiProvider(apiKey));
     this.options = options;
     this.homey = options.homey;
 
@@ -77,13 +130,22 @@ class GeminiClient {
     this.smartHomeModel = this.shGenericModel;
     
     this.customInstructions = options.customInstructions || '';
-    this.enableGoogleSearch = options.enableGoogleSearch !== false;
+    this.enableGoogleSearch = options.enableGoogleSearch !== false && this.provider.supportsGoogleSearch !== false;
 
     this.mcpAdapter = this.homey ? new HomeyMCPAdapter(this.homey) : null;
 
-    // Conversation history for multi-call memory
-    // Each entry: { timestamp: number, content: object }
-    this.conversationHistory = [];
+    /** @type {?UsageLedger} Token and cost accounting, shared across client re-initializations when passed in */
+    this.usageLedger = options.usageLedger || (this.homey ? new UsageLedger(this.homey) : null);
+
+    // Named conversation sessions for multi-call memory, isolated from each other
+    // (flow cards with a session ID, each widget instance, scheduled runs).
+    // Key: session ID, Value: { id, history, activeModel, idleTimeoutMin, lastUsedAt, queue, queueDepth, lastWaitMs }
+    // Each history entry: { timestamp: number, content: object }
+    this._sessions = new Map();
+
+    /** @type {?Promise<void>} Pending load of the persisted history, see {@link GeminiClient#loadConversationHistory} */
+    this._historyLoading = null;
+    this._restoringHistory = false;
 
     // Map of model context caches for MCP smart home sessions.
     // Caches the static systemInstruction + tool definitions per model to avoid re-sending
@@ -91,11 +153,27 @@ class GeminiClient {
     // Key: modelName, Value: { name: string, model: string, expiresAt: number }
     this._mcpCaches = new Map();
 
-    // Active model for the current ongoing conversation session.
-    // Starts as shGenericModel and upgrades dynamically. Resets when history is cleared.
-    this.activeConversationModel = this.shGenericModel;
+    console.log(`[GeminiClient] Initialized with provider ${this.provider.name}, Chat Model: ${this.chatModel}, Generic Smart Home Model: ${this.shGenericModel}, Flow Smart Home Model: ${this.shFlowModel}`);
+  }
+
+  /**
+   * Conversation history of the default session (backwards compatibility).
+   *
+   * @public
+   * @type {Array<{ timestamp: number, content: import('@google/genai').Content }>}
+   */
+  get conversationHistory() {
+    return this.getSession().history;
+  }
 
-    console.log(`[GeminiClient] Initialized with Chat Model: ${this.chatModel}, Generic Smart Home Model: ${this.shGenericModel}, Flow Smart Home Model: ${this.shFlowModel}`);
+  /**
+   * Active model of the default session (backwards compatibility).
+   *
+   * @public
+   * @type {string}
+   */
+  get activeConversationModel() {
+    return this.getSession().activeModel;
   }
 
   // ── Private Methods ──────────────────────────────────────────────────────────
@@ -122,7 +200,7 @@ class GeminiClient {
       parameters.properties.gemini_model = {
         type: 'STRING',
         description: `MANDATORY: Set this parameter to the model that must be used. You must **ALWAYS** set to "${this.shFlowModel}" if the user request involves creating, modifying, or deleting flows/automations. You must **ALWAYS** set to "${this.shGenericModel}" for all other standard smart home tasks.`,
-        enum: [this.shGenericModel, this.shFlowModel]
+        enum: [...new Set([this.shGenericModel, this.shFlowModel])]
       };
       
       return {
@@ -192,7 +270,7 @@ class GeminiClient {
    * @throws {Error} Re-throws the original error if not retryable or if limits are exceeded.
    * @example
    * const result = await this._retryableRequest(
-   *   () => this.genAI.models.generateContent({ model: 'gemini-2.5-flash-lite', contents: 'Hello' }),
+   *   () => this.provider.generateContent({ model: 'gemini-2.5-flash-lite', contents: 'Hello' }),
    *   'generateText'
    * );
    */
@@ -284,11 +362,13 @@ class GeminiClient {
   }
 
   /**
-   * Trims the conversation history in four phases:
-   * 0. Time-based idle reset: if the last message timestamp exceeds the configured
-   *    idle timeout (read from Homey setting `conversation_history_timeout`, default
+   * Trims the conversation history of a session in four phases:
+   * 0. Time-based idle reset: if the last message timestamp exceeds the session's
+   *    idle timeout (its own `idleTimeoutMin`, otherwise the Homey setting
+   *    `conversation_history_timeout`, default
    *    {@link CONVERSATION_HISTORY_IDLE_TIMEOUT_DEFAULT_MIN} minutes), the entire history
-   *    is cleared and the method returns early.
+   *    is cleared and the method returns early. Seeded context past its expiry
+   *    (see {@link GeminiClient#seedConversationContext}) is removed next.
    * 1. Cap by message count (slice to {@link CONVERSATION_HISTORY_MAX_MESSAGES}).
    * 2. Cap by estimated uncached token count: iteratively removes the oldest
    *    `functionCall+functionResponse` pair until estimated tokens fall within
@@ -298,58 +378,40 @@ class GeminiClient {
    *    INVALID_ARGUMENT errors caused by orphaned functionResponse entries at
    *    the beginning of the history array.
    *
-   * Called automatically before each {@link GeminiClient#generateTextWithMCP} call.
+   * Called automatically before each {@link GeminiClient#generateTextWithMCP} call,
+   * after {@link GeminiClient#_summarizeConversationHistory}: phases 1 and 2 only drop
+   * turns when summarization failed or was not enough.
    *
    * @private
+   * @param {Object} [session] - The session to prune (default session when omitted).
    * @returns {void}
    * @example
    * // Called internally before every MCP session:
-   * this._pruneConversationHistory();
+   * this._pruneConversationHistory(session);
    */
-  _pruneConversationHistory() {
-    if (this.conversationHistory.length === 0) {
+  _pruneConversationHistory(session = this.getSession()) {
+    if (session.history.length === 0) {
       return;
     }
 
-    const beforeCount = this.conversationHistory.length;
+    const beforeCount = session.history.length;
 
     // ── Phase 0: time-based idle reset ───────────────────────────────────────
-    // Read configurable timeout from Homey settings (minutes), with validation.
-    if (this.homey && this.conversationHistory.length > 0) {
-      const rawTimeout = this.homey.settings.get('conversation_history_timeout');
-      const timeoutMin = Math.min(
-        CONVERSATION_HISTORY_IDLE_TIMEOUT_MAX_MIN,
-        Math.max(
-          CONVERSATION_HISTORY_IDLE_TIMEOUT_MIN_MIN,
-          Number.isFinite(Number(rawTimeout)) && Number(rawTimeout) > 0
-            ? Number(rawTimeout)
-            : CONVERSATION_HISTORY_IDLE_TIMEOUT_DEFAULT_MIN
-        )
-      );
-      const timeoutMs = timeoutMin * 60 * 1000;
-      const lastTimestamp = this.conversationHistory[this.conversationHistory.length - 1].timestamp;
-      const idleMs = Date.now() - lastTimestamp;
-
-      if (idleMs > timeoutMs) {
-        const idleMin = Math.round(idleMs / 60000);
-        console.log(`[GeminiClient] Conversation history expired: idle for ${idleMin} min (timeout: ${timeoutMin} min). Clearing history.`);
-        this.conversationHistory = [];
-        this.activeConversationModel = this.shGenericModel;
-        this._emitHistoryCleared();
-        return;
-      }
+    if (this._expireIdleConversation(session)) {
+      return;
     }
+    this._removeContextEntries(session, context => context.expiresAt && context.expiresAt <= Date.now(), 'expired');
 
     // ── Phase 1: cap by message count ────────────────────────────────────────
-    if (this.conversationHistory.length > CONVERSATION_HISTORY_MAX_MESSAGES) {
-      this.conversationHistory = this.conversationHistory.slice(-CONVERSATION_HISTORY_MAX_MESSAGES);
+    if (session.history.length > CONVERSATION_HISTORY_MAX_MESSAGES) {
+      session.history = session.history.slice(-CONVERSATION_HISTORY_MAX_MESSAGES);
     }
 
     // ── Phase 2: cap by estimated token count ────────────────────────────────
     // functionCall+functionResponse pairs are the primary token hogs (large JSON payloads).
     // Remove the oldest such pair iteratively until estimated tokens are within budget.
     // Text-only turns are never removed here — they carry the conversational context.
-    let estimatedTokens = this.conversationHistory.reduce(
+    let estimatedTokens = session.history.reduce(
       (sum, entry) => sum + this._estimateTokens(entry.content), 0
     );
 
@@ -366,8 +428,8 @@ class GeminiClient {
         // Find the first functionCall+functionResponse pair (always consecutive):
         //   entry[i]   = { content: { role: 'model', parts: [{ functionCall: ... }] } }
         //   entry[i+1] = { content: { role: 'user',  parts: [{ functionResponse: ... }] } }
-        const pairIdx = this.conversationHistory.findIndex((entry, i) => {
-          const next = this.conversationHistory[i + 1];
+        const pairIdx = session.history.findIndex((entry, i) => {
+          const next = session.history[i + 1];
           if (!next) return false;
           const hasFunctionCall = entry.content?.role === 'model' &&
             Array.isArray(entry.content?.parts) &&
@@ -385,10 +447,10 @@ class GeminiClient {
         }
 
         const removedTokens =
-          this._estimateTokens(this.conversationHistory[pairIdx].content) +
-          this._estimateTokens(this.conversationHistory[pairIdx + 1].content);
+          this._estimateTokens(session.history[pairIdx].content) +
+          this._estimateTokens(session.history[pairIdx + 1].content);
 
-        this.conversationHistory.splice(pairIdx, 2);
+        session.history.splice(pairIdx, 2);
         estimatedTokens -= removedTokens;
         pruned += 2;
       }
@@ -402,98 +464,661 @@ class GeminiClient {
     // After slicing or pair-removal, the first entry could be a functionResponse
     // (role=user, functionResponse part) — which causes a 400 error:
     // "function response turn comes immediately after a function call turn".
-    const firstCleanUserIdx = this.conversationHistory.findIndex(entry => {
+    const firstCleanUserIdx = session.history.findIndex(entry => {
       if (entry.content?.role !== 'user') return false;
       const parts = entry.content?.parts;
       if (!Array.isArray(parts) || parts.length === 0) return false;
       return parts.some(p => typeof p.text === 'string');
     });
     if (firstCleanUserIdx > 0) {
-      this.conversationHistory = this.conversationHistory.slice(firstCleanUserIdx);
+      session.history = session.history.slice(firstCleanUserIdx);
       console.log(`[GeminiClient] Pruned ${firstCleanUserIdx} leading non-text entries to ensure valid history start`);
     } else if (firstCleanUserIdx === -1) {
       // No clean user entry at all — the entire history is invalid, clear it
-      this.conversationHistory = [];
-      this.activeConversationModel = this.shGenericModel;
+      session.history = [];
+      session.activeModel = this.shGenericModel;
       console.log('[GeminiClient] Cleared entire history: no clean user entry found after pruning');
     }
 
-    if (beforeCount !== this.conversationHistory.length) {
-      console.log(`[GeminiClient] Pruned conversation history: ${beforeCount} → ${this.conversationHistory.length} entries`);
+    if (beforeCount !== session.history.length) {
+      console.log(`[GeminiClient] Pruned conversation history of session "${session.id}": ${beforeCount} → ${session.history.length} entries`);
+      this._persistConversationHistory();
+    }
+  }
+
+  /**
+   * Clears the history of a session when its last message is older than the idle
+   * timeout: the session's own `idleTimeoutMin`, otherwise the Homey setting
+   * `conversation_history_timeout` (minutes, validated).
+   *
+   * @private
+   * @param {Object} session - The conversation session.
+   * @returns {boolean} True if the history was cleared.
+   */
+  _expireIdleConversation(session) {
+    if (!this.homey || session.history.length === 0) {
+      return false;
+    }
+
+    const rawTimeout = session.idleTimeoutMin || this.homey.settings.get('conversation_history_timeout');
+    const timeoutMin = Math.min(
+      CONVERSATION_HISTORY_IDLE_TIMEOUT_MAX_MIN,
+      Math.max(
+        CONVERSATION_HISTORY_IDLE_TIMEOUT_MIN_MIN,
+        Number.isFinite(Number(rawTimeout)) && Number(rawTimeout) > 0
+          ? Number(rawTimeout)
+          : CONVERSATION_HISTORY_IDLE_TIMEOUT_DEFAULT_MIN
+      )
+    );
+    const timeoutMs = timeoutMin * 60 * 1000;
+    const lastTimestamp = session.history[session.history.length - 1].timestamp;
+    const idleMs = Date.now() - lastTimestamp;
+
+    if (idleMs <= timeoutMs) {
+      return false;
+    }
+
+    const idleMin = Math.round(idleMs / 60000);
+    console.log(`[GeminiClient] Conversation history of session "${session.id}" expired: idle for ${idleMin} min (timeout: ${timeoutMin} min). Clearing history.`);
+    session.history = [];
+    session.activeModel = this.shGenericModel;
+    this._emitHistoryCleared(session.id);
+    this._persistConversationHistory();
+    return true;
+  }
+
+  /**
+   * Compacts the older turns of a session into a rolling summary when the history
+   * exceeds {@link CONVERSATION_HISTORY_MAX_MESSAGES} messages or
+   * {@link CONVERSATION_HISTORY_MAX_UNCACHED_TOKENS} estimated tokens.
+   *
+   * The summary is written by the cheap `chatModel` and stored as a synthetic
+   * `user('[context]') + model('[CONVERSATION SUMMARY] ...')` pair at the start of
+   * the history; a previous summary is rolled into the new one. The most recent
+   * turns (at least {@link CONVERSATION_SUMMARY_KEEP_MESSAGES} messages, starting
+   * from a user text turn) are kept verbatim, so thought signatures of the ongoing
+   * exchange stay valid. If summarization fails, {@link GeminiClient#_pruneConversationHistory}
+   * falls back to dropping old turns.
+   *
+   * Must run inside the session queue: it awaits an API call between reading and
+   * replacing the history.
+   *
+   * @private
+   * @param {Object} session - The conversation session.
+   * @returns {Promise<void>}
+   * @example
+   * await this._summarizeConversationHistory(session);
+   * this._pruneConversationHistory(session);
+   */
+  async _summarizeConversationHistory(session) {
+    if (this._expireIdleConversation(session)) {
+      return;
+    }
+    // Expired context must not survive inside the summary
+    this._removeContextEntries(session, context => context.expiresAt && context.expiresAt <= Date.now(), 'expired');
+
+    const history = session.history;
+    const estimatedTokens = history.reduce((sum, entry) => sum + this._estimateTokens(entry.content), 0);
+    if (history.length <= CONVERSATION_HISTORY_MAX_MESSAGES && estimatedTokens <= CONVERSATION_HISTORY_MAX_UNCACHED_TOKENS) {
+      return;
+    }
+
+    const summaryLength = this._getSummaryLength(session);
+
+    // Keep the recent turns from a user text turn, so the kept history starts validly
+    let split = -1;
+    for (let i = Math.max(summaryLength + 1, history.length - CONVERSATION_SUMMARY_KEEP_MESSAGES); i < history.length; i++) {
+      if (this._isUserTextEntry(history[i])) {
+        split = i;
+        break;
+      }
+    }
+    if (split === -1) {
+      // The recent turns belong to one long exchange: keep it whole, from its user turn
+      for (let i = history.length - CONVERSATION_SUMMARY_KEEP_MESSAGES - 1; i > summaryLength; i--) {
+        if (this._isUserTextEntry(history[i])) {
+          split = i;
+          break;
+        }
+      }
+    }
+    if (split <= summaryLength) {
+      return;
+    }
+
+    const previousSummary = summaryLength > 0
+      ? history[1].content.parts[0].text.slice(CONVERSATION_SUMMARY_PREFIX.length).trim()
+      : null;
+    const older = history.slice(summaryLength, split);
+    let transcript = this._formatTranscript(older);
+    if (transcript.length > CONVERSATION_SUMMARY_MAX_INPUT_CHARS) {
+      transcript = transcript.slice(-CONVERSATION_SUMMARY_MAX_INPUT_CHARS);
+    }
+
+    const prompt = [
+      'Summarize the earlier part of a conversation between a user and a smart home assistant, so that the assistant can continue the conversation without the original messages.',
+      'Keep: the user\'s goals and open requests, the exact names and IDs of devices, zones and flows mentioned, actions performed and their outcomes, decisions, preferences and unresolved problems.',
+      'Omit greetings and raw tool output. Write at most 200 words, in the language of the conversation, as plain text.',
+      previousSummary ? `\nSummary of the conversation before this part:\n${previousSummary}` : '',
+      `\nConversation:\n${transcript}`
+    ].join('\n');
+
+    let model = this.chatModel;
+    try {
+      model = this._selectModelWithinBudget(this.chatModel, 'conversation-summary');
+      const response = await this._retryableRequest(async () => {
+        return await this.provider.generateContent({ model, contents: prompt });
+      }, 'summarizeConversationHistory');
+      this._recordUsage(response, model, 'conversation-summary', session.id);
+
+      const summary = (response.text || '').trim();
+      if (!summary) {
+        throw new Error('Empty summary');
+      }
+
+      // The history was cleared or replaced while waiting: the summary no longer applies
+      if (session.history !== history) {
+        return;
+      }
+
+      const timestamp = older[older.length - 1].timestamp;
+      session.history = [
+        { timestamp, content: { role: 'user', parts: [{ text: '[context]' }] } },
+        { timestamp, content: { role: 'model', parts: [{ text: `${CONVERSATION_SUMMARY_PREFIX} ${summary}` }] } },
+        ...history.slice(split)
+      ];
+      this._persistConversationHistory();
+
+      console.log(`[GeminiClient] Summarized ${older.length} messages of session "${session.id}" with ${model} (~${estimatedTokens} tokens before, ${session.history.length} messages kept)`);
+    } catch (error) {
+      console.error(`[GeminiClient] Conversation summarization failed, falling back to pruning: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns 2 if the session history starts with a summary pair, 0 otherwise.
+   *
+   * @private
+   * @param {Object} session - The conversation session.
+   * @returns {number} The number of entries forming the summary.
+   */
+  _getSummaryLength(session) {
+    const text = session.history[1]?.content?.role === 'model' && session.history[1].content.parts?.[0]?.text;
+    return typeof text === 'string' && text.startsWith(CONVERSATION_SUMMARY_PREFIX) ? 2 : 0;
+  }
+
+  /**
+   * Removes seeded context entries that match a predicate, together with the turns
+   * that lead to them back to the previous user text turn (the `[context]` turn, or
+   * the unanswered exchange the context closed), so that the history stays valid.
+   *
+   * @private
+   * @param {Object} session - The conversation session.
+   * @param {function({ tag: ?string, expiresAt: ?number }): boolean} predicate - Selects the context to remove.
+   * @param {string} reason - Logged reason (e.g. `'expired'`).
+   * @returns {number} The number of removed entries.
+   */
+  _removeContextEntries(session, predicate, reason) {
+    const history = session.history;
+    let removed = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].content?.role !== 'model' || !history[i].context || !predicate(history[i].context)) {
+        continue;
+      }
+      let start = i - 1;
+      while (start > 0 && !this._isUserTextEntry(history[start])) {
+        start--;
+      }
+      start = Math.max(start, 0);
+      history.splice(start, i - start + 1);
+      removed += i - start + 1;
+      i = start;
+    }
+
+    if (removed > 0) {
+      console.log(`[GeminiClient] Removed ${removed} ${reason} context entries from session "${session.id}"`);
+      this._persistConversationHistory();
+    }
+    return removed;
+  }
+
+  /**
+   * Checks whether a history entry is a user turn with text (not a function response).
+   *
+   * @private
+   * @param {{ content: import('@google/genai').Content }} entry - The history entry.
+   * @returns {boolean}
+   */
+  _isUserTextEntry(entry) {
+    return entry.content?.role === 'user' &&
+      Array.isArray(entry.content.parts) &&
+      entry.content.parts.some(p => typeof p.text === 'string') &&
+      !entry.content.parts.some(p => p.functionResponse);
+  }
+
+  /**
+   * Renders history entries as a plain-text transcript for summarization.
+   * Context prefixes are stripped and tool responses are truncated.
+   *
+   * @private
+   * @param {Array<{ content: import('@google/genai').Content }>} entries - The history entries.
+   * @returns {string} One line per message part.
+   */
+  _formatTranscript(entries) {
+    const lines = [];
+    for (const entry of entries) {
+      const speaker = entry.content?.role === 'model' ? 'Assistant' : 'User';
+      for (const part of entry.content?.parts || []) {
+        if (typeof part.text === 'string' && part.text.trim()) {
+          lines.push(`${speaker}: ${part.text.replace(/^\[GENERAL CONTEXT:.*?\]\s*/, '').trim()}`);
+        } else if (part.functionCall) {
+          lines.push(`Assistant called ${part.functionCall.name}(${JSON.stringify(part.functionCall.args || {})})`);
+        } else if (part.functionResponse) {
+          lines.push(`Tool ${part.functionResponse.name} returned: ${JSON.stringify(part.functionResponse.response || {}).slice(0, 500)}`);
+        }
+      }
     }
+    return lines.join('\n');
   }
 
   /**
-   * Adds a message to the conversation history with the current timestamp.
+   * Adds a message to the conversation history of a session with the current timestamp.
    *
    * @private
    * @param {import('@google/genai').Content} content - The message content object (role + parts).
+   * @param {Object} [session] - The target session (default session when omitted).
    * @returns {void}
    * @example
-   * this._addToConversationHistory({ role: 'user', parts: [{ text: 'Hello' }] });
+   * this._addToConversationHistory({ role: 'user', parts: [{ text: 'Hello' }] }, session);
    */
-  _addToConversationHistory(content) {
-    this.conversationHistory.push({
+  _addToConversationHistory(content, session = this.getSession()) {
+    session.history.push({
       timestamp: Date.now(),
       content: content
     });
   }
 
   /**
-   * Returns the current conversation history as an array of content objects,
+   * Returns the conversation history of a session as an array of content objects,
    * stripping the internal timestamp wrapper.
    *
    * @private
+   * @param {Object} [session] - The session (default session when omitted).
    * @returns {import('@google/genai').Content[]} Array of content objects for the Gemini API.
    * @example
-   * const history = this._getConversationHistoryContents();
+   * const history = this._getConversationHistoryContents(session);
    * // [{ role: 'user', parts: [...] }, { role: 'model', parts: [...] }]
    */
-  _getConversationHistoryContents() {
-    return this.conversationHistory.map(entry => entry.content);
+  _getConversationHistoryContents(session = this.getSession()) {
+    return session.history.map(entry => entry.content);
   }
 
   /**
    * Synchronises the completed Chat session history to the persistent
-   * conversation history, replacing any existing entries. This ensures that
+   * conversation history of a session, replacing any existing entries. This ensures that
    * thought signatures and all context from the latest session are preserved
    * for subsequent calls.
    *
    * @private
    * @param {import('@google/genai').Chat} chat - The completed Chat instance.
    * @param {string} modelName - The name of the model used in this session.
+   * @param {Object} [session] - The target session (default session when omitted).
+   * @param {?{ baseLength: number, turns: Array<{ model: string, usage: ?Object }> }} [tracker=null] - Per-turn
+   *   model and token usage recorded by {@link GeminiClient#_createTrackedChat}; attached to the new model turns.
    * @returns {Promise<void>}
    * @example
-   * await this._syncChatToPersistentHistory(chat, 'gemini-2.5-flash-lite');
+   * await this._syncChatToPersistentHistory(chat, 'gemini-2.5-flash-lite', session, tracker);
    */
-  async _syncChatToPersistentHistory(chat, modelName) {
+  async _syncChatToPersistentHistory(chat, modelName, session = this.getSession(), tracker = null) {
     try {
       const chatHistory = await chat.getHistory();
+      const previous = session.history;
+      const baseLength = tracker ? tracker.baseLength : 0;
+      const turns = tracker ? [...tracker.turns] : [];
 
       // Strip thought parts (part.thought === true) before persisting.
       // Gemini 2.5+ includes internal reasoning in getHistory(), which inflates
       // token count by thousands and causes empty responses in subsequent sessions.
       // Only visible content parts should be preserved across sessions.
-      this.conversationHistory = chatHistory.map(content => {
-        const cleanContent = { ...content };
-        if (Array.isArray(cleanContent.parts)) {
-          cleanContent.parts = cleanContent.parts.filter(part => !part.thought);
+      session.history = chatHistory.map((content, index) => {
+        const entry = { timestamp: Date.now(), content: this._stripThoughtParts(content) };
+        if (index < baseLength && previous[index]) {
+          // Turns from before this run keep their original time, model and usage
+          return { ...previous[index], content: entry.content };
         }
-        return {
-          timestamp: Date.now(),
-          content: cleanContent
-        };
+        if (content.role === 'model' && turns.length > 0) {
+          const turn = turns.shift();
+          entry.model = turn.model;
+          if (turn.usage) {
+            entry.usage = turn.usage;
+          }
+        }
+        return entry;
       });
 
       // Persist the active model for the ongoing conversation
-      this.activeConversationModel = modelName;
+      session.activeModel = modelName;
+      this._persistConversationHistory();
 
-      console.log(`[MCP] Synced ${chatHistory.length} messages to persistent history (active model: ${modelName})`);
+      console.log(`[MCP] Synced ${chatHistory.length} messages to persistent history of session "${session.id}" (active model: ${modelName})`);
     } catch (error) {
       console.error('[MCP] ERROR: Failed to sync chat history:', error.message);
     }
   }
 
+  /**
+   * Creates a Chat whose responses are recorded in a tracker: the model and the token
+   * usage of every `sendMessage` call, in order. The tracker is reset on every call, since
+   * a new chat restarts from the same history (e.g. after a model upgrade). Every response
+   * is also recorded in the usage ledger, under the tracker's entry point and session.
+   *
+   * @private
+   * @param {{ model: string, config: Object, history: Array<Object> }} params - Chat parameters, see {@link GeminiProvider#createChat}.
+   * @param {{ baseLength: number, turns: Array<Object>, entryPoint: string, sessionId: string }} tracker - Receives the recorded turns.
+   * @returns {import('@google/genai').Chat} The chat instance.
+   */
+  _createTrackedChat(params, tracker) {
+    const chat = this.provider.createChat(params);
+    tracker.baseLength = params.history.length;
+    tracker.turns = [];
+
+    const sendMessage = chat.sendMessage.bind(chat);
+    chat.sendMessage = async (message) => {
+      const response = await sendMessage(message);
+      tracker.turns.push({ model: params.model, usage: this._pickUsage(response?.usageMetadata) });
+      this._recordUsage(response, params.model, tracker.entryPoint, tracker.sessionId);
+      return response;
+    };
+    return chat;
+  }
+
+  /**
+   * Records the token usage of a response in the usage ledger.
+   *
+   * @private
+   * @param {?Object} response - The Gemini response.
+   * @param {string} model - The model that served the request.
+   * @param {string} [entryPoint] - The caller (flow card ID, `'widget'`, `'scheduler'`, ...).
+   * @param {?string} [sessionId=null] - The conversation session, for MCP requests.
+   * @returns {void}
+   */
+  _recordUsage(response, model, entryPoint, sessionId = null) {
+    if (!this.usageLedger) {
+      return;
+    }
+    try {
+      this.usageLedger.record({ model, usage: this._pickUsage(response?.usageMetadata), entryPoint, sessionId });
+    } catch (err) {
+      console.error('[GeminiClient] Failed to record usage:', err.message);
+    }
+  }
+
+  /**
+   * Picks the model for a request according to the daily budgets of the usage ledger.
+   *
+   * Candidates follow the fallback chain `shFlowModel` → `shGenericModel` → `chatModel`,
+   * starting at the requested model (a model outside the chain is its only candidate).
+   * Low-priority entry points ({@link LOW_PRIORITY_ENTRY_POINTS}) are refused as soon as
+   * the requested model reaches the threshold; the others get the first candidate below
+   * the threshold, else the first one with budget left.
+   *
+   * @private
+   * @param {string} model - The model the request would use.
+   * @param {string} [entryPoint] - The caller (flow card ID, `'widget'`, `'scheduler'`, ...).
+   * @returns {string} The model to use.
+   * @throws {Error} With code `BUDGET_EXCEEDED` when no candidate can serve the request.
+   * @example
+   * // shGenericModel at 85% of its budget, threshold 80%
+   * this._selectModelWithinBudget(this.shGenericModel, 'widget'); // → this.chatModel
+   */
+  _selectModelWithinBudget(model, entryPoint) {
+    if (!this.usageLedger) {
+      return model;
+    }
+
+    const threshold = this.usageLedger.getBudgetThreshold();
+    const ratio = this.usageLedger.getBudgetRatio(model);
+    if (ratio < threshold) {
+      return model;
+    }
+
+    const budgetError = () => {
+      const error = new Error(`Daily budget of model ${model} reached (${Math.round(ratio * 100)}% used)`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.model = model;
+      error.entryPoint = entryPoint;
+      return error;
+    };
+
+    if (LOW_PRIORITY_ENTRY_POINTS.has(entryPoint)) {
+      console.warn(`[GeminiClient] Refusing low-priority request from "${entryPoint}": ${model} at ${Math.round(ratio * 100)}% of its daily budget`);
+      throw budgetError();
+    }
+
+    const chain = [...new Set([this.shFlowModel, this.shGenericModel, this.chatModel])];
+    const candidates = chain.includes(model) ? chain.slice(chain.indexOf(model)) : [model];
+    const fallback = candidates.find(candidate => this.usageLedger.getBudgetRatio(candidate) < threshold)
+      || candidates.find(candidate => this.usageLedger.getBudgetRatio(candidate) < 1);
+
+    if (!fallback) {
+      console.warn(`[GeminiClient] Refusing request from "${entryPoint}": daily budgets exhausted for ${candidates.join(', ')}`);
+      throw budgetError();
+    }
+    if (fallback !== model) {
+      console.log(`[GeminiClient] ${model} at ${Math.round(ratio * 100)}% of its daily budget, falling back to ${fallback}`);
+    }
+    return fallback;
+  }
+
+  /**
+   * Keeps the token counters of a response's `usageMetadata`.
+   *
+   * @private
+   * @param {?Object} usageMetadata - The `usageMetadata` of a Gemini response.
+   * @returns {?Object} The token counts, or `null` when none are reported.
+   */
+  _pickUsage(usageMetadata) {
+    if (!usageMetadata) {
+      return null;
+    }
+    const usage = {};
+    for (const field of USAGE_FIELDS) {
+      if (Number.isFinite(usageMetadata[field])) {
+        usage[field] = usageMetadata[field];
+      }
+    }
+    return Object.keys(usage).length > 0 ? usage : null;
+  }
+
+  /**
+   * Returns a copy of a content object without its thought parts (`part.thought === true`).
+   *
+   * @private
+   * @param {import('@google/genai').Content} content - The content object.
+   * @returns {import('@google/genai').Content} The cleaned content object.
+   */
+  _stripThoughtParts(content) {
+    const cleanContent = { ...content };
+    if (Array.isArray(cleanContent.parts)) {
+      cleanContent.parts = cleanContent.parts.filter(part => !part.thought);
+    }
+    return cleanContent;
+  }
+
+  /**
+   * Returns a copy of a content without its image (`inlineData`) parts.
+   *
+   * @private
+   * @param {import('@google/genai').Content} content - The content to clean.
+   * @returns {import('@google/genai').Content} The cleaned content.
+   */
+  _stripInlineDataParts(content) {
+    if (!Array.isArray(content.parts) || !content.parts.some(part => part.inlineData)) {
+      return content;
+    }
+    return { ...content, parts: content.parts.filter(part => !part.inlineData) };
+  }
+
+  /**
+   * Runs a task in a session's request queue, after all requests queued before it.
+   *
+   * Each MCP run reads the session history when it starts and replaces it when it
+   * ends, so two concurrent runs would drop each other's turns. Queuing keeps them
+   * in order; a request that waits longer than the `conversation_queue_max_wait`
+   * setting fails instead of being delayed indefinitely. Time the session spends
+   * waiting for the user's approval of a tool call does not count towards that limit
+   * (see {@link ApprovalManager#getSessionWaitMs}).
+   *
+   * @private
+   * @param {Object} session - The conversation session.
+   * @param {function(): Promise<*>} task - The request to run.
+   * @returns {Promise<*>} The task result.
+   * @throws {Error} With `code: 'SESSION_BUSY'`, `sessionId`, `queuedAhead` and `waitedMs` when the wait times out.
+   */
+  async _runInSessionQueue(session, task) {
+    const rawMaxWait = this.homey ? Number(this.homey.settings.get('conversation_queue_max_wait')) : NaN;
+    const maxWaitSec = Math.min(
+      SESSION_QUEUE_MAX_WAIT_MAX_SEC,
+      Math.max(SESSION_QUEUE_MAX_WAIT_MIN_SEC, rawMaxWait > 0 ? rawMaxWait : SESSION_QUEUE_MAX_WAIT_DEFAULT_SEC)
+    );
+
+    // Chain this request's completion onto the queue; `release` also fires when giving up,
+    // so a timed-out request never blocks the ones queued after it.
+    const previous = session.queue;
+    let release;
+    const completion = new Promise(resolve => { release = resolve; });
+    session.queue = previous.then(() => completion);
+    session.queueDepth++;
+
+    const queuedAhead = session.queueDepth - 1;
+    const waitStart = Date.now();
+    const approvals = this.mcpAdapter?.approvals;
+    const approvalWaitStart = approvals ? approvals.getSessionWaitMs(session.id) : 0;
+    let waitTimer;
+    try {
+      if (queuedAhead > 0) {
+        console.log(`[GeminiClient] Session "${session.id}" is busy, request queued (queue depth: ${session.queueDepth})`);
+      }
+
+      const acquired = await Promise.race([
+        previous.then(() => true),
+        new Promise(resolve => {
+          // Re-armed for as long as the session waited for approvals in the meantime
+          const armWaitTimer = delayMs => {
+            waitTimer = setTimeout(() => {
+              const approvalWaitMs = approvals ? approvals.getSessionWaitMs(session.id) - approvalWaitStart : 0;
+              const remainingMs = maxWaitSec * 1000 + approvalWaitMs - (Date.now() - waitStart);
+              if (remainingMs > 0) {
+                armWaitTimer(remainingMs);
+              } else {
+                resolve(false);
+              }
+            }, delayMs);
+          };
+          armWaitTimer(maxWaitSec * 1000);
+        })
+      ]);
+      clearTimeout(waitTimer);
+      session.lastWaitMs = Date.now() - waitStart;
+
+      if (!acquired) {
+        const error = new Error(`Session "${session.id}" is busy: gave up after waiting ${maxWaitSec} s`);
+        error.code = 'SESSION_BUSY';
+        error.sessionId = session.id;
+        error.queuedAhead = queuedAhead;
+        error.waitedMs = session.lastWaitMs;
+        throw error;
+      }
+
+      if (queuedAhead > 0) {
+        console.log(`[GeminiClient] Session "${session.id}" request started after waiting ${session.lastWaitMs} ms in the queue`);
+      }
+      return await task();
+    } finally {
+      session.queueDepth--;
+      release();
+    }
+  }
+
+  /**
+   * Writes all non-empty sessions to {@link CONVERSATION_HISTORY_FILE}.
+   *
+   * The snapshot is taken synchronously and the write is queued behind any
+   * pending write, so files are never interleaved. Write errors are logged and
+   * never thrown: losing the persisted copy must not break the conversation.
+   * Images (e.g. camera snapshots from `get_device_image`) stay in memory only,
+   * so they are not rewritten to disk on every turn.
+   *
+   * @private
+   * @returns {Promise<void>} Resolves once the snapshot has been written.
+   */
+  _persistConversationHistory() {
+    if (!this.homey || this._restoringHistory) {
+      return Promise.resolve();
+    }
+
+    const sessions = [...this._sessions.values()]
+      .filter(session => session.history.length > 0 || session.idleTimeoutMin)
+      .map(session => ({
+        id: session.id,
+        activeModel: session.activeModel,
+        idleTimeoutMin: session.idleTimeoutMin,
+        history: session.history.map(entry => ({ ...entry, content: this._stripInlineDataParts(entry.content) }))
+      }));
+    const data = JSON.stringify({ savedAt: new Date().toISOString(), sessions });
+
+    historyWriteQueue = historyWriteQueue.then(async () => {
+      try {
+        await fs.promises.writeFile(CONVERSATION_HISTORY_FILE, data, 'utf8');
+      } catch (err) {
+        console.error('[GeminiClient] Failed to persist conversation history:', err.message);
+      }
+    });
+    return historyWriteQueue;
+  }
+
+  /**
+   * Restores one persisted session into memory. A session that already holds
+   * messages (e.g. a command received while loading) is left untouched.
+   *
+   * If the session's model is no longer configured, only the text turns are
+   * kept: function calls carry model-specific thought signatures that a
+   * different model would reject.
+   *
+   * @private
+   * @param {{ id: string, activeModel: string, idleTimeoutMin: ?number, history: Array<Object> }} saved - The persisted session.
+   * @returns {number} The number of restored messages.
+   */
+  _restoreSession(saved) {
+    const session = this.getSession(saved.id);
+    if (session.history.length > 0 || !Array.isArray(saved.history)) {
+      return 0;
+    }
+
+    const modelConfigured = [this.chatModel, this.shGenericModel, this.shFlowModel].includes(saved.activeModel);
+
+    session.history = saved.history
+      .filter(entry => Number.isFinite(entry?.timestamp) && Array.isArray(entry.content?.parts))
+      .map(entry => {
+        const content = this._stripThoughtParts(entry.content);
+        if (!modelConfigured) {
+          content.parts = content.parts.filter(part => typeof part.text === 'string');
+        }
+        return { ...entry, content };
+      })
+      .filter(entry => entry.content.parts.length > 0);
+    session.activeModel = modelConfigured ? saved.activeModel : this.shGenericModel;
+    session.idleTimeoutMin = Number(saved.idleTimeoutMin) > 0 ? Number(saved.idleTimeoutMin) : null;
+    if (session.history.length > 0) {
+      session.lastUsedAt = session.history[session.history.length - 1].timestamp;
+    }
+
+    // Applies the idle timeout and the size caps, exactly as before a new command
+    this._pruneConversationHistory(session);
+    return session.history.length;
+  }
+
   /**
    * Robustly parses a JSON object from a text response.
    * Handles markdown code blocks (```json ... ```) and leading/trailing whitespace.
@@ -536,20 +1161,225 @@ class GeminiClient {
   // ── Public Methods ───────────────────────────────────────────────────────────
 
   /**
-   * Clears the entire conversation history.
-   * Can be called externally to reset the conversation context.
+   * Returns a named conversation session, creating it on first use.
+   *
+   * Every session has its own history, idle timeout, active model and pruning,
+   * so that e.g. a motion-triggered flow does not leak into the conversation
+   * held in a dashboard widget. Empty IDs map to the default session. When more
+   * than {@link MAX_CONVERSATION_SESSIONS} sessions exist, the least recently
+   * used one (never the default session) is evicted.
+   *
+   * @public
+   * @param {string} [sessionId] - Session ID (e.g. `'kitchen'`, `'widget:<instanceId>'`, `'scheduler'`).
+   * @returns {{ id: string, history: Array<Object>, activeModel: string, idleTimeoutMin: ?number, lastUsedAt: number, queueDepth: number, lastWaitMs: number }}
+   * @example
+   * const session = geminiClient.getSession('motion');
+   */
+  getSession(sessionId) {
+    const id = GeminiClient.normalizeSessionId(sessionId);
+
+    let session = this._sessions.get(id);
+    if (!session) {
+      session = {
+        id,
+        history: [],
+        activeModel: this.shGenericModel,
+        idleTimeoutMin: null,
+        lastUsedAt: Date.now(),
+        queue: Promise.resolve(),  // Settles when the last queued request of the session completes
+        queueDepth: 0,             // Running + waiting requests
+        lastWaitMs: 0              // Queue wait of the most recent request
+      };
+      this._sessions.set(id, session);
+      this._evictSessions();
+    }
+
+    session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  /**
+   * Returns a summary of the existing conversation sessions.
+   * `queueDepth` counts the running and waiting MCP requests of the session,
+   * `lastWaitMs` is how long the most recent request waited for its turn.
+   *
+   * @public
+   * @returns {Array<{ id: string, messages: number, activeModel: string, idleTimeoutMin: ?number, lastActivityAt: ?number, queueDepth: number, lastWaitMs: number }>}
+   * @example
+   * geminiClient.listSessions();
+   * // [{ id: 'default', messages: 4, activeModel: 'gemini-3.1-flash-lite', idleTimeoutMin: null, lastActivityAt: 1771767033047, queueDepth: 1, lastWaitMs: 0 }]
+   */
+  listSessions() {
+    return [...this._sessions.values()].map(session => ({
+      id: session.id,
+      messages: session.history.length,
+      activeModel: session.activeModel,
+      idleTimeoutMin: session.idleTimeoutMin,
+      lastActivityAt: session.history.length > 0 ? session.history[session.history.length - 1].timestamp : null,
+      queueDepth: session.queueDepth,
+      lastWaitMs: session.lastWaitMs
+    }));
+  }
+
+  /**
+   * Overrides the idle timeout of a session. Without an override the Homey
+   * setting `conversation_history_timeout` applies.
    *
    * @public
+   * @param {string} sessionId - Session ID.
+   * @param {{ idleTimeoutMin?: ?number }} config - New session configuration (`null` removes the override).
    * @returns {void}
    * @example
-   * geminiClient.clearConversationHistory();
+   * geminiClient.configureSession('scheduler', { idleTimeoutMin: 10 });
+   */
+  configureSession(sessionId, config = {}) {
+    const session = this.getSession(sessionId);
+    if (config.idleTimeoutMin !== undefined) {
+      session.idleTimeoutMin = Number(config.idleTimeoutMin) > 0 ? Number(config.idleTimeoutMin) : null;
+      this._persistConversationHistory();
+    }
+  }
+
+  /**
+   * Normalises a session ID: trims it, caps its length and maps empty values
+   * to the default session.
+   *
+   * @public
+   * @static
+   * @param {?string} sessionId - Raw session ID.
+   * @returns {string} The normalised session ID.
+   */
+  static normalizeSessionId(sessionId) {
+    const id = typeof sessionId === 'string' ? sessionId.trim().slice(0, MAX_SESSION_ID_LENGTH) : '';
+    return id || DEFAULT_SESSION_ID;
+  }
+
+  /**
+   * Loads the conversation history persisted by a previous client instance
+   * (before an app restart or a settings change), applying the idle timeout
+   * and pruning rules of {@link GeminiClient#_pruneConversationHistory}.
+   *
+   * MCP commands received while loading wait for it to complete. Never throws:
+   * a missing or unreadable file simply starts with an empty history.
+   *
+   * @public
+   * @returns {Promise<void>}
+   * @example
+   * this.geminiClient = new GeminiClient(apiKey, { homey: this.homey });
+   * this.geminiClient.loadConversationHistory();
    */
-  clearConversationHistory() {
-    const count = this.conversationHistory.length;
-    this.conversationHistory = [];
-    this.activeConversationModel = this.shGenericModel;
-    this._emitHistoryCleared();
-    console.log(`[GeminiClient] Conversation history cleared (${count} entries removed)`);
+  loadConversationHistory() {
+    if (!this.homey) {
+      return Promise.resolve();
+    }
+
+    // Queued like a write: it runs after any pending write and before the next one
+    this._historyLoading = historyWriteQueue = historyWriteQueue.then(async () => {
+      try {
+        const data = JSON.parse(await fs.promises.readFile(CONVERSATION_HISTORY_FILE, 'utf8'));
+        const sessions = Array.isArray(data?.sessions) ? data.sessions : [];
+
+        // Pruning a restored session would persist a partial snapshot; write once at the end instead
+        let restored = 0;
+        this._restoringHistory = true;
+        try {
+          for (const saved of sessions) {
+            if (saved && typeof saved.id === 'string') {
+              restored += this._restoreSession(saved);
+            }
+          }
+        } finally {
+          this._restoringHistory = false;
+        }
+        this._persistConversationHistory();
+        console.log(`[GeminiClient] Restored conversation history: ${restored} messages in ${sessions.length} session(s)`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.error('[GeminiClient] Failed to load conversation history:', err.message);
+        }
+      }
+    });
+    return this._historyLoading;
+  }
+
+  /**
+   * Clears the conversation history of one session, or of all sessions.
+   * Can be called externally to reset the conversation context.
+   *
+   * Each session is cleared in its request queue (see {@link GeminiClient#_runInSessionQueue}),
+   * so a running MCP request cannot bring the cleared history back when it ends.
+   *
+   * @public
+   * @param {string} [sessionId] - Session to clear; all sessions are cleared when omitted.
+   * @returns {Promise<void>}
+   * @throws {Error} With `code: 'SESSION_BUSY'` if a session stayed busy longer than the configured max wait.
+   * @example
+   * await geminiClient.clearConversationHistory();          // every session
+   * await geminiClient.clearConversationHistory('motion');  // one session
+   */
+  async clearConversationHistory(sessionId) {
+    const sessions = sessionId === undefined ? [...this._sessions.values()] : [this.getSession(sessionId)];
+
+    const counts = await Promise.all(sessions.map(session =>
+      this._runInSessionQueue(session, async () => this._resetSessionHistory(session))
+    ));
+
+    this._emitHistoryCleared(sessionId === undefined ? null : GeminiClient.normalizeSessionId(sessionId));
+    this._persistConversationHistory();
+    console.log(`[GeminiClient] Conversation history cleared (${sessions.length} session(s), ${counts.reduce((a, b) => a + b, 0)} entries removed)`);
+  }
+
+  /**
+   * Empties the history of a session and resets its model, without queuing: for callers
+   * that already hold the session's turn.
+   *
+   * @private
+   * @param {Object} session - The conversation session.
+   * @returns {number} The number of entries removed.
+   */
+  _resetSessionHistory(session) {
+    const count = session.history.length;
+    session.history = [];
+    session.activeModel = this.shGenericModel;
+    return count;
+  }
+
+  /**
+   * Clears the history of the session whose MCP request is running, to recover from a
+   * corrupted conversation.
+   *
+   * @private
+   * @param {Object} session - The conversation session.
+   * @returns {void}
+   */
+  _discardRunningSessionHistory(session) {
+    const count = this._resetSessionHistory(session);
+    this._emitHistoryCleared(session.id);
+    this._persistConversationHistory();
+    console.log(`[GeminiClient] Conversation history of session "${session.id}" discarded (${count} entries removed)`);
+  }
+
+  /**
+   * Evicts the least recently used sessions beyond {@link MAX_CONVERSATION_SESSIONS}.
+   * The default session and sessions with queued requests are never evicted.
+   *
+   * @private
+   * @returns {void}
+   */
+  _evictSessions() {
+    while (this._sessions.size > MAX_CONVERSATION_SESSIONS) {
+      let oldest = null;
+      for (const session of this._sessions.values()) {
+        if (session.id !== DEFAULT_SESSION_ID && session.queueDepth === 0 && (!oldest || session.lastUsedAt < oldest.lastUsedAt)) {
+          oldest = session;
+        }
+      }
+      if (!oldest) {
+        return;
+      }
+      this._sessions.delete(oldest.id);
+      console.log(`[GeminiClient] Evicted least recently used session "${oldest.id}"`);
+    }
   }
 
   /**
@@ -557,12 +1387,13 @@ class GeminiClient {
    * any active widget instances can react and clear their UI.
    *
    * @private
+   * @param {?string} [sessionId=null] - The cleared session, or `null` when all sessions were cleared.
    * @returns {void}
    */
-  _emitHistoryCleared() {
+  _emitHistoryCleared(sessionId = null) {
     try {
       if (this.homey && typeof this.homey.app?.emit === 'function') {
-        this.homey.app.emit('widget_history_cleared');
+        this.homey.app.emit('widget_history_cleared', { sessionId });
       }
     } catch (err) {
       console.warn('[GeminiClient] Could not emit widget_history_cleared:', err.message);
@@ -573,26 +1404,64 @@ class GeminiClient {
    * Seeds the conversation history with a context message injected as a 'model' turn,
    * so that the next MCP command has immediate conversational context.
    *
+   * Context can expire: once `expiresInMin` minutes have passed it is removed by the next
+   * pruning, instead of lasting until the idle timeout. Context with a `tag` replaces the
+   * previous context with the same tag in the session (e.g. `'front_door'`), so that an
+   * old event never outlives a newer one of the same kind.
+   *
    * The history must always end with a 'model' turn so that the next `sendMessage`
    * does not produce two consecutive 'user' turns (which causes a 400 error).
    * Injection strategy based on the current last entry:
    * - Last entry is 'user'  → inject `model(contextMessage)` only (closes the pair).
    * - History empty or last entry is 'model' → inject `user('[context]') + model(contextMessage)` (new pair).
    *
+   * The context is added in the session's request queue (see {@link GeminiClient#_runInSessionQueue}),
+   * so a running MCP request cannot overwrite it when it ends.
+   *
    * @public
    * @param {string} contextMessage - The context message to inject as a 'model' turn.
-   * @returns {void}
+   * @param {string} [sessionId] - Target session (default session when omitted).
+   * @param {{ expiresInMin?: ?number, tag?: ?string }} [options] - Expiry in minutes
+   *   (max {@link MAX_CONTEXT_EXPIRY_MIN}, none when empty) and replacement tag.
+   * @returns {Promise<void>}
+   * @throws {Error} With `code: 'SESSION_BUSY'` if the session stayed busy longer than the configured max wait.
    * @example
    * // Inject context before the next MCP command:
-   * geminiClient.seedConversationContext('The front door sensor just triggered.');
+   * await geminiClient.seedConversationContext('The front door sensor just triggered.');
+   * // Context that expires after 5 minutes and replaces the previous front door event:
+   * await geminiClient.seedConversationContext('The front door just opened.', 'hallway', { expiresInMin: 5, tag: 'front_door' });
    */
-  seedConversationContext(contextMessage) {
+  async seedConversationContext(contextMessage, sessionId, options = {}) {
     if (!contextMessage || typeof contextMessage !== 'string') {
       console.warn('[GeminiClient] seedConversationContext called with invalid message');
       return;
     }
 
-    const lastEntry = this.conversationHistory[this.conversationHistory.length - 1];
+    const session = this.getSession(sessionId);
+    await this._runInSessionQueue(session, async () => this._seedContext(session, contextMessage, options));
+  }
+
+  /**
+   * Adds seeded context to a session once the session's turn has come
+   * (see {@link GeminiClient#seedConversationContext}).
+   *
+   * @private
+   * @param {Object} session - The conversation session.
+   * @param {string} contextMessage - The context message to inject as a 'model' turn.
+   * @param {{ expiresInMin?: ?number, tag?: ?string }} options - Expiry in minutes and replacement tag.
+   * @returns {void}
+   */
+  _seedContext(session, contextMessage, options) {
+    const tag = typeof options.tag === 'string' && options.tag.trim()
+      ? options.tag.trim().toLowerCase().slice(0, MAX_CONTEXT_TAG_LENGTH)
+      : null;
+    const expiresInMin = Math.min(MAX_CONTEXT_EXPIRY_MIN, Number(options.expiresInMin) || 0);
+
+    if (tag) {
+      this._removeContextEntries(session, context => context.tag === tag, `replaced "${tag}"`);
+    }
+
+    const lastEntry = session.history[session.history.length - 1];
     const lastRole = lastEntry?.content?.role;
 
     if (lastRole === 'user') {
@@ -600,20 +1469,250 @@ class GeminiClient {
       this._addToConversationHistory({
         role: 'model',
         parts: [{ text: contextMessage }]
-      });
+      }, session);
     } else {
       // History is empty or ends with 'model': inject a full user+model pair
       this._addToConversationHistory({
         role: 'user',
         parts: [{ text: '[context]' }]
-      });
+      }, session);
       this._addToConversationHistory({
         role: 'model',
         parts: [{ text: contextMessage }]
-      });
+      }, session);
+    }
+
+    // Marks the model turn as seeded context, for replacement and expiry
+    session.history[session.history.length - 1].context = {
+      tag,
+      expiresAt: expiresInMin > 0 ? Date.now() + expiresInMin * 60 * 1000 : null
+    };
+
+    this._persistConversationHistory();
+    console.log(`[GeminiClient] Conversation context seeded in session "${session.id}" (${session.history.length} total messages, last role: model, tag: ${tag || 'none'}, expires in: ${expiresInMin > 0 ? expiresInMin + ' min' : 'never'})`);
+  }
+
+  /**
+   * Exports the full transcript of a session: every turn with its text, tool calls
+   * (name and arguments) and tool results, plus the model and token usage of each
+   * model turn. Image data is elided, only its MIME type and size are kept.
+   *
+   * @public
+   * @param {string} [sessionId] - Session to export (default session when omitted).
+   * @returns {?Object} The transcript, or `null` when the session does not exist.
+   * @example
+   * const transcript = geminiClient.exportTranscript('widget:abc');
+   * // { format: 'gemini-conversation-transcript', version: 1, sessionId: 'widget:abc', totals: { ... }, turns: [ ... ] }
+   */
+  exportTranscript(sessionId) {
+    const session = this._sessions.get(GeminiClient.normalizeSessionId(sessionId));
+    if (!session) {
+      return null;
+    }
+
+    const totals = { messages: session.history.length, toolCalls: 0 };
+    for (const field of USAGE_FIELDS) {
+      totals[field] = 0;
+    }
+
+    const turns = session.history.map((entry, index) => {
+      const parts = (entry.content.parts || []).map(part => this._exportPart(part)).filter(Boolean);
+      totals.toolCalls += parts.filter(part => part.type === 'functionCall').length;
+
+      const turn = {
+        index,
+        role: entry.content.role,
+        timestamp: new Date(entry.timestamp).toISOString(),
+        parts
+      };
+      if (entry.model) {
+        turn.model = entry.model;
+      }
+      if (entry.context) {
+        turn.context = entry.context;
+      }
+      if (entry.usage) {
+        turn.usage = entry.usage;
+        for (const field of USAGE_FIELDS) {
+          totals[field] += entry.usage[field] || 0;
+        }
+      }
+      if (turn.role === 'model' && parts[0]?.text?.startsWith(CONVERSATION_SUMMARY_PREFIX)) {
+        turn.summary = true;
+      }
+      return turn;
+    });
+
+    return {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      sessionId: session.id,
+      exportedAt: new Date().toISOString(),
+      timezone: this.homey ? this.homey.clock.getTimezone() : 'UTC',
+      activeModel: session.activeModel,
+      totals,
+      turns
+    };
+  }
+
+  /**
+   * Renders a transcript returned by {@link GeminiClient#exportTranscript} as Markdown.
+   *
+   * @public
+   * @param {Object} transcript - The exported transcript.
+   * @returns {string} The Markdown document.
+   * @example
+   * const markdown = geminiClient.formatTranscriptMarkdown(geminiClient.exportTranscript('kitchen'));
+   */
+  formatTranscriptMarkdown(transcript) {
+    const timeZone = transcript.timezone || 'UTC';
+    const formatTime = iso => new Date(iso).toLocaleString('sv-SE', { timeZone });
+    const json = value => ['```json', JSON.stringify(value, null, 2), '```'];
+    const { totals } = transcript;
+
+    const lines = [
+      `# Conversation transcript: ${transcript.sessionId}`,
+      '',
+      `- Exported: ${formatTime(transcript.exportedAt)} (${timeZone})`,
+      `- Active model: ${transcript.activeModel}`,
+      `- Messages: ${totals.messages}, tool calls: ${totals.toolCalls}`,
+      `- Tokens: ${totals.promptTokenCount} prompt (${totals.cachedContentTokenCount} cached), ` +
+        `${totals.candidatesTokenCount} output, ${totals.thoughtsTokenCount} thinking, ${totals.totalTokenCount} total`
+    ];
+
+    for (const turn of transcript.turns) {
+      const title = turn.summary ? 'Summary' : (turn.role === 'model' ? 'Gemini' : 'User');
+      const details = [formatTime(turn.timestamp)];
+      if (turn.model) {
+        details.push(turn.model);
+      }
+      if (turn.usage) {
+        details.push(`${turn.usage.totalTokenCount || 0} tokens`);
+      }
+      lines.push('', `## ${turn.index + 1}. ${title} (${details.join(', ')})`);
+
+      for (const part of turn.parts) {
+        if (part.type === 'text') {
+          lines.push('', part.text);
+        } else if (part.type === 'functionCall') {
+          lines.push('', `**Tool call:** \`${part.name}\``, ...json(part.args || {}));
+        } else if (part.type === 'functionResponse') {
+          lines.push('', `**Tool result:** \`${part.name}\``, ...json(part.response || {}));
+        } else if (part.type === 'inlineData') {
+          lines.push('', `*[${part.mimeType} image, ${part.size} bytes elided]*`);
+        }
+      }
     }
 
-    console.log(`[GeminiClient] Conversation context seeded (${this.conversationHistory.length} total messages, last role: model)`);
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Replaces the history of a session with the turns of an exported transcript, so that
+   * a conversation can be resumed, e.g. after moving it to another session or Homey.
+   *
+   * Only the text of the turns is imported: tool calls cannot be replayed without the
+   * thought signatures that exports leave out, and image data is elided on export.
+   * Consecutive turns of the same role are merged, and the history is closed with a
+   * model turn like any other history. The import waits for running requests of the session.
+   *
+   * @public
+   * @param {string} [sessionId] - Target session (default session when omitted).
+   * @param {Object|string} transcript - The transcript (object or JSON string).
+   * @returns {Promise<{ success: boolean, sessionId?: string, messages?: number, error?: string }>}
+   * @example
+   * await geminiClient.importTranscript('kitchen', transcript);
+   * // { success: true, sessionId: 'kitchen', messages: 12 }
+   */
+  async importTranscript(sessionId, transcript) {
+    if (typeof transcript === 'string') {
+      try {
+        transcript = JSON.parse(transcript);
+      } catch (err) {
+        return { success: false, error: `Invalid transcript JSON: ${err.message}` };
+      }
+    }
+    if (!transcript || transcript.format !== TRANSCRIPT_FORMAT || !Array.isArray(transcript.turns)) {
+      return { success: false, error: `Not a conversation transcript (expected format "${TRANSCRIPT_FORMAT}").` };
+    }
+    if (transcript.version > TRANSCRIPT_VERSION) {
+      return { success: false, error: `Unsupported transcript version ${transcript.version}.` };
+    }
+
+    const contents = [];
+    for (const turn of transcript.turns) {
+      if (turn?.role !== 'user' && turn?.role !== 'model') {
+        continue;
+      }
+      const texts = (Array.isArray(turn.parts) ? turn.parts : [])
+        .filter(part => part?.type === 'text' && typeof part.text === 'string' && part.text.trim())
+        .map(part => ({ text: part.text }));
+      if (texts.length === 0) {
+        continue;
+      }
+      const last = contents[contents.length - 1];
+      if (last && last.role === turn.role) {
+        last.parts.push(...texts);
+      } else {
+        contents.push({ role: turn.role, parts: texts });
+      }
+    }
+
+    // A valid history starts with a user turn and ends with a model turn
+    while (contents.length > 0 && contents[0].role !== 'user') {
+      contents.shift();
+    }
+    if (contents.length > 0 && contents[contents.length - 1].role === 'user') {
+      contents.pop();
+    }
+    if (contents.length === 0) {
+      return { success: false, error: 'The transcript contains no text turns to import.' };
+    }
+
+    const session = this.getSession(sessionId);
+    return this._runInSessionQueue(session, async () => {
+      const now = Date.now();
+      session.history = contents
+        .slice(-TRANSCRIPT_MAX_IMPORT_MESSAGES)
+        .map(content => ({ timestamp: now, content }));
+      session.activeModel = this.shGenericModel;
+
+      // Applies the size caps and the valid-start guarantee, exactly as before a new command
+      this._pruneConversationHistory(session);
+      this._persistConversationHistory();
+
+      console.log(`[GeminiClient] Imported transcript of session "${transcript.sessionId}" into session "${session.id}" (${session.history.length} messages)`);
+      return { success: true, sessionId: session.id, messages: session.history.length };
+    });
+  }
+
+  /**
+   * Converts a content part to its transcript form, eliding image data.
+   *
+   * @private
+   * @param {import('@google/genai').Part} part - The content part.
+   * @returns {?Object} The transcript part, or `null` for parts without visible content.
+   */
+  _exportPart(part) {
+    if (typeof part.text === 'string') {
+      return { type: 'text', text: part.text };
+    }
+    if (part.functionCall) {
+      return { type: 'functionCall', name: part.functionCall.name, args: part.functionCall.args || {} };
+    }
+    if (part.functionResponse) {
+      return { type: 'functionResponse', name: part.functionResponse.name, response: part.functionResponse.response || {} };
+    }
+    if (part.inlineData) {
+      const data = part.inlineData.data || '';
+      return {
+        type: 'inlineData',
+        mimeType: part.inlineData.mimeType,
+        size: Math.floor(data.length * 3 / 4),  // Decoded size of the elided base64 data
+        data: '[elided]'
+      };
+    }
+    return null;
   }
 
   /**
@@ -621,22 +1720,26 @@ class GeminiClient {
    *
    * @public
    * @param {string} prompt - The text prompt to send to the model.
+   * @param {Object} [options={}] - Call options.
+   * @param {string} [options.entryPoint] - Caller recorded in the usage ledger (e.g. a flow card ID).
    * @returns {Promise<string>} The generated text response.
    * @throws {Error} If the API call fails after the configured retries.
    * @example
    * const text = await geminiClient.generateText('What is the capital of France?');
    * // 'Paris is the capital of France.'
    */
-  async generateText(prompt) {
+  async generateText(prompt, options = {}) {
     console.log('[GeminiClient] generateText prompt:', prompt);
 
+    const model = this._selectModelWithinBudget(this.chatModel, options.entryPoint);
     return this._retryableRequest(async () => {
       const config = this.enableGoogleSearch ? { tools: [{ googleSearch: {} }] } : undefined;
-      const response = await this.genAI.models.generateContent({
-        model: this.chatModel,
+      const response = await this.provider.generateContent({
+        model,
         contents: prompt,
         config: config
       });
+      this._recordUsage(response, model, options.entryPoint);
       return response.text;
     }, 'generateText');
   }
@@ -651,6 +1754,8 @@ class GeminiClient {
    * @param {string} textPrompt - The text prompt to send alongside the image.
    * @param {Buffer} imageBuffer - The image data as a Node.js Buffer.
    * @param {string} [mimeType='image/jpeg'] - The MIME type of the image (e.g., `'image/png'`).
+   * @param {Object} [options={}] - Call options.
+   * @param {string} [options.entryPoint] - Caller recorded in the usage ledger (e.g. a flow card ID).
    * @returns {Promise<string>} The generated text response.
    * @throws {Error} If the API call fails after the configured retries.
    * @example
@@ -658,7 +1763,7 @@ class GeminiClient {
    * const imgBuffer = fs.readFileSync('./photo.jpg');
    * const description = await geminiClient.generateTextWithImage('What is in this photo?', imgBuffer);
    */
-  async generateTextWithImage(textPrompt, imageBuffer, mimeType = 'image/jpeg') {
+  async generateTextWithImage(textPrompt, imageBuffer, mimeType = 'image/jpeg', options = {}) {
     console.log('[GeminiClient] generateTextWithImage prompt:', textPrompt);
     console.log('[GeminiClient] Image buffer size:', imageBuffer.length, 'bytes, mimeType:', mimeType);
 
@@ -677,13 +1782,15 @@ class GeminiClient {
       textPrompt,
     ];
 
+    const model = this._selectModelWithinBudget(this.chatModel, options.entryPoint);
     return this._retryableRequest(async () => {
       const config = this.enableGoogleSearch ? { tools: [{ googleSearch: {} }] } : undefined;
-      const response = await this.genAI.models.generateContent({
-        model: this.chatModel,
+      const response = await this.provider.generateContent({
+        model,
         contents: contents,
         config: config
       });
+      this._recordUsage(response, model, options.entryPoint);
 
       return response.text;
     }, 'generateTextWithImage');
@@ -715,22 +1822,30 @@ class GeminiClient {
    *
    * @public
    * @param {string} prompt - A detailed description of the image to generate.
+   * @param {Object} [options={}] - Call options.
+   * @param {string} [options.entryPoint] - Caller recorded in the usage ledger (e.g. a flow card ID).
    * @returns {Promise<string>} The Base64-encoded string of the generated image data.
    * @throws {Error} If the API returns no candidates, no image part, or no image data.
    * @example
    * const base64 = await geminiClient.generateImage('A sunset over the Dolomites, oil painting style');
    */
-  async generateImage(prompt) {
+  async generateImage(prompt, options = {}) {
     console.log('[GeminiClient] generateImage prompt:', prompt);
 
+    if (!this.provider.supportsImageGeneration) {
+      throw new Error(`Image generation is not supported by the ${this.provider.name} provider`);
+    }
+
     try {
       // Use the dedicated image generation model (requires paid tier)
+      this._selectModelWithinBudget(GEMINI_IMAGE_MODEL, options.entryPoint);
       const response = await this._retryableRequest(async () => {
-        return await this.genAI.models.generateContent({
+        return await this.provider.generateContent({
           model: GEMINI_IMAGE_MODEL,
           contents: prompt,
         });
       }, 'generateImage');
+      this._recordUsage(response, GEMINI_IMAGE_MODEL, options.entryPoint);
 
       // Extract the image from the response.
       // Parts can be text or inlineData (images).
@@ -769,15 +1884,17 @@ class GeminiClient {
    *
    * @public
    * @param {string} prompt - A detailed description of the image to generate.
+   * @param {Object} [options={}] - Call options.
+   * @param {string} [options.entryPoint] - Caller recorded in the usage ledger (e.g. a flow card ID).
    * @returns {Promise<import('stream').Readable>} A Readable stream of the generated image bytes.
    * @throws {Error} If image generation fails (propagated from {@link GeminiClient#generateImage}).
    * @example
    * const stream = await geminiClient.generateImageStream('A futuristic smart home interior');
    * stream.pipe(res); // pipe to HTTP response
    */
-  async generateImageStream(prompt) {
+  async generateImageStream(prompt, options = {}) {
     console.log('[GeminiClient] generateImageStream prompt:', prompt);
-    const base64Image = await this.generateImage(prompt);
+    const base64Image = await this.generateImage(prompt, options);
     return Readable.from(Buffer.from(base64Image, 'base64'));
   }
 
@@ -822,6 +1939,7 @@ class GeminiClient {
    *
    * @private
    * @param {import('@google/genai').FunctionCall} call - The function call descriptor from Gemini.
+   * @param {{ sessionId?: string, entryPoint?: string }} [context={}] - The caller, to route approval requests.
    * @returns {Promise<{call: import('@google/genai').FunctionCall, result: object, success: boolean}>}
    *   Resolved promise with the raw result and a success flag.
    * @example
@@ -829,7 +1947,7 @@ class GeminiClient {
    *   { name: 'control_device', args: { deviceName: 'Luce Studio', capability: 'onoff', value: false } }
    * );
    */
-  async _executeSingleFunctionCall(call) {
+  async _executeSingleFunctionCall(call, context = {}) {
     console.log(`[MCP]   calling ${call.name}(${JSON.stringify(call.args)})`);
 
     try {
@@ -837,7 +1955,7 @@ class GeminiClient {
       const toolArgs = { ...call.args };
       delete toolArgs.gemini_model;
 
-      const result = await this.mcpAdapter.callTool(call.name, toolArgs);
+      const result = await this.mcpAdapter.callTool(call.name, toolArgs, context);
 
       // Create a safe version for logging (exclude large image data)
       const logResult = { ...result };
@@ -958,6 +2076,11 @@ class GeminiClient {
     const SAFETY_MARGIN_MS = 30_000; // Recreate 30 s before expiry to avoid mid-session expiry
     const now = Date.now();
 
+    // Providers without context caching always run in inline mode
+    if (!this.provider.supportsCaching) {
+      return null;
+    }
+
     const existingCache = this._mcpCaches.get(modelName);
 
     // Return existing cache if still valid for the current model
@@ -1003,7 +2126,7 @@ class GeminiClient {
 
     try {
       const cache = await this._retryableRequest(
-        () => this.genAI.caches.create({
+        () => this.provider.createCache({
           model: modelName,
           config: cacheConfig
         }),
@@ -1031,18 +2154,76 @@ class GeminiClient {
     }
   }
 
+  /**
+   * Executes a natural language smart home command with MCP function calling,
+   * continuing the conversation of the given session.
+   *
+   * Requests on the same session are queued and run one at a time (see
+   * {@link GeminiClient#_runInSessionQueue}).
+   *
+   * @public
+   * @param {string} prompt - The user command.
+   * @param {Object} [options={}] - Execution options.
+   * @param {string} [options.sessionId] - Conversation session (default session when omitted).
+   * @param {string} [options.entryPoint] - Caller recorded in the usage ledger (e.g. a flow card ID, `'widget'`).
+   * @param {boolean} [options.isScheduled] - True for scheduled runs (see {@link SystemInstruction.buildDynamicPrefix}).
+   * @param {?string} [options.createdAt] - Creation time of the scheduled command.
+   * @param {boolean} [options.dryRun=false] - Simulate the command: tools that would change devices, flows,
+   *   firmware, schedules or the household memory are intercepted by the MCP adapter and only reported
+   *   in `plan`. The simulated exchange reads the session history but is not added to it.
+   * @param {boolean} [options.dryRunHistory=false] - Dry-run mode: add the simulated exchange to the session
+   *   history anyway, for sessions that only hold simulations (e.g. the settings test console).
+   * @returns {Promise<{ response: string, success: boolean, timerId: ?string, undoRunId?: ?string, dryRun?: boolean, plan?: Array<Object> }>}
+   *   `undoRunId` is set when the command changed devices that can be undone (see {@link UndoManager#undo}).
+   *   In dry-run mode, `plan` lists the intercepted calls ({ tool, args, action, device?, requiresApproval? }).
+   * @throws {Error} With `code: 'SESSION_BUSY'` if the session stayed busy longer than the configured max wait.
+   * @example
+   * const result = await geminiClient.generateTextWithMCP('Turn off the kitchen lights', { sessionId: 'motion' });
+   * const { plan } = await geminiClient.generateTextWithMCP('Good night', { sessionId: 'settings:console', dryRun: true });
+   */
   async generateTextWithMCP(prompt, options = {}) {
     if (!this.mcpAdapter) {
       throw new Error("MCP Adapter not available. Homey instance is required.");
     }
 
-    console.log(`[MCP] User command: "${prompt}"`);
+    // Commands received right after a restart continue the restored conversation
+    await this._historyLoading;
 
-    // Build dynamic context prefix (date/time, timezone, language).
+    const session = this.getSession(options.sessionId);
+    // Groups the device changes of this command in the undo journal
+    const runId = `run_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    if (options.dryRun !== true) {
+      const result = await this._runInSessionQueue(session, () => this._generateTextWithMCP(prompt, { ...options, runId }, session));
+      return { ...result, undoRunId: await this.mcpAdapter.undo.hasRun(runId) ? runId : null };
+    }
+
+    // Filled by the MCP loop with the calls the adapter intercepted
+    const plan = [];
+    const result = await this._runInSessionQueue(session, () => this._generateTextWithMCP(prompt, { ...options, runId, plan }, session));
+    return { ...result, dryRun: true, plan };
+  }
+
+  /**
+   * Runs the MCP function-calling loop of {@link GeminiClient#generateTextWithMCP}
+   * once the session's turn has come.
+   *
+   * @private
+   * @param {string} prompt - The user command.
+   * @param {Object} options - Execution options.
+   * @param {string} options.runId - The MCP run ID, grouping its device changes in the undo journal.
+   * @param {Array<Object>} [options.plan] - Dry-run mode: receives the calls intercepted by the adapter.
+   * @param {Object} session - The conversation session.
+   * @returns {Promise<{ response: string, success: boolean, timerId: ?string }>}
+   */
+  async _generateTextWithMCP(prompt, options, session) {
+    console.log(`[MCP] User command (session "${session.id}"): "${prompt}"`);
+
+    // Build dynamic context prefix (date/time, timezone, language, relevant household facts).
     // This changes every call and is therefore injected into the user message
     // rather than the system instruction, keeping the cache valid.
     const ctx = SystemInstruction._buildDateTimeContext(this.homey);
-    const dynamicPrefix = SystemInstruction.buildDynamicPrefix(ctx, options);
+    const memories = this.mcpAdapter.memoryManager.getRelevantMemories(prompt);
+    const dynamicPrefix = SystemInstruction.buildDynamicPrefix(ctx, { ...options, memories });
 
     // Log date/time context for debugging schedule commands
     console.log('[MCP] System Instruction Date/Time Context:');
@@ -1050,26 +2231,33 @@ class GeminiClient {
     console.log(`[MCP]   Offset: UTC${ctx.timezoneOffset}`);
     console.log(`[MCP]   Language: ${ctx.homeyLanguage}`);
 
-    // Prune old messages from conversation history (max size + valid-start guarantee)
-    this._pruneConversationHistory();
+    // Compact older turns into a rolling summary, then prune what is left
+    // (fallback when summarization fails, max size + valid-start guarantee)
+    await this._summarizeConversationHistory(session);
+    this._pruneConversationHistory(session);
 
     // Get existing conversation history for chat initialization
-    const existingHistory = this._getConversationHistoryContents();
+    const existingHistory = this._getConversationHistoryContents(session);
     console.log(`[MCP] Persistent conversation history: ${existingHistory.length} messages`);
 
-    // Start every new request using the active conversation model to maintain context correctly.
+    // Start every new request using the active model of the session to maintain context correctly.
     // By default, this is shGenericModel for MCP/widget requests.
-    let currentModel = this.activeConversationModel;
+    // When that model nears its daily budget, a cheaper one takes over.
+    let currentModel = this._selectModelWithinBudget(session.activeModel, options.entryPoint);
     let flowToolUsedInSession = false;
     let cachedContentName = await this._ensureCache(currentModel);
 
     let chatConfig = await this._buildChatConfig(currentModel, cachedContentName);
 
-    let chat = this.genAI.chats.create({
+    // Records the model and token usage of each response, for the transcript
+    const tracker = { baseLength: 0, turns: [], entryPoint: options.entryPoint, sessionId: session.id };
+    // Routes approval requests of sensitive tool calls back to this caller, and groups its device changes for undo
+    const toolContext = { runId: options.runId, sessionId: session.id, entryPoint: options.entryPoint, dryRun: options.dryRun === true };
+    let chat = this._createTrackedChat({
       model: currentModel,
       config: chatConfig,
       history: existingHistory  // Initialize with persistent history
-    });
+    }, tracker);
 
     const sessionMode = cachedContentName ? `cached context: ${cachedContentName}` : 'inline mode (no cache)';
     console.log(`[MCP] Chat session created with ${currentModel} — ${sessionMode}`);
@@ -1180,6 +2368,13 @@ class GeminiClient {
           flowToolUsedInSession = true;
         }
 
+        // Never upgrade into a model that is near its daily budget
+        try {
+          targetModel = this._selectModelWithinBudget(targetModel, options.entryPoint);
+        } catch (err) {
+          targetModel = currentModel;
+        }
+
         // Upgrade the model dynamically if necessary
         // We only upgrade to a higher-level model in the hierarchy:
         // chatModel -> shGenericModel or shFlowModel
@@ -1203,11 +2398,11 @@ class GeminiClient {
           const targetCachedContent = await this._ensureCache(currentModel);
           const targetConfig = await this._buildChatConfig(currentModel, targetCachedContent);
           
-          chat = this.genAI.chats.create({
+          chat = this._createTrackedChat({
             model: currentModel,
             config: targetConfig,
             history: existingHistory
-          });
+          }, tracker);
 
           console.log(`[MCP] Re-sending user prompt to upgraded model ${currentModel}`);
           response = await this._retryableRequest(async () => {
@@ -1245,8 +2440,11 @@ class GeminiClient {
           finalModel = this.shGenericModel;
         }
 
-        // Save the final conversation to persistent history
-        await this._syncChatToPersistentHistory(chat, finalModel);
+        // Save the final conversation to persistent history; a simulation must not leave
+        // "would have done" answers in the live conversation
+        if (options.dryRun !== true || options.dryRunHistory === true) {
+          await this._syncChatToPersistentHistory(chat, finalModel, session, tracker);
+        }
 
         return {
           response: finalResponse,
@@ -1270,7 +2468,7 @@ class GeminiClient {
         console.log(`[MCP] Sequential execution: ${functionCalls.length} functions (mixed mutation+query batch — prevents stale state)`);
         executedFunctions = [];
         for (const call of functionCalls) {
-          const result = await this._executeSingleFunctionCall(call);
+          const result = await this._executeSingleFunctionCall(call, toolContext);
           executedFunctions.push(result);
         }
       } else {
@@ -1279,13 +2477,19 @@ class GeminiClient {
           console.log(`[MCP] Parallel execution: ${functionCalls.length} functions (homogeneous batch — safe)`);
         }
         executedFunctions = await Promise.all(
-          functionCalls.map(call => this._executeSingleFunctionCall(call))
+          functionCalls.map(call => this._executeSingleFunctionCall(call, toolContext))
         );
       }
 
       // Process results and build response array
       const functionResponses = [];
       for (const { call, result, success } of executedFunctions) {
+        // Dry run: collect what the intercepted call would have done
+        if (result.dryRun && options.plan) {
+          // control_devices returns one step per device
+          options.plan.push(...(Array.isArray(result.plan) ? result.plan : [result.plan]));
+        }
+
         // Capture timer ID if schedule_command was called
         if (success && call.name === 'schedule_command' && result.scheduleId) {
           capturedTimerId = result.scheduleId;
@@ -1372,7 +2576,9 @@ class GeminiClient {
             console.log(`[MCP] Downgrading active conversation model from ${this.shFlowModel} to ${this.shGenericModel} as no flow tools were used before giving up.`);
             finalModel = this.shGenericModel;
           }
-          await this._syncChatToPersistentHistory(chat, finalModel);
+          if (options.dryRun !== true || options.dryRunHistory === true) {
+            await this._syncChatToPersistentHistory(chat, finalModel, session, tracker);
+          }
 
           return {
             response: giveUpResponse.text || this.homey.__('prompt.error.max_turns_reached'),
@@ -1382,7 +2588,7 @@ class GeminiClient {
         } catch (giveUpError) {
           // Fallback: if even the give-up message fails, clear history to avoid corruption
           console.error('[MCP] ERROR: Give-up turn also failed:', giveUpError.message);
-          this.clearConversationHistory();
+          this._discardRunningSessionHistory(session);
           return {
             response: this.homey.__('prompt.error.max_turns_reached'),
             success: false,
@@ -1405,7 +2611,7 @@ class GeminiClient {
 
     // This should never be reached due to the check above, but just in case
     console.log(`[MCP] ERROR: Exited loop unexpectedly at turn ${turnCount}`);
-    this.clearConversationHistory();
+    this._discardRunningSessionHistory(session);
     return {
       response: this.homey.__('prompt.error.max_turns_reached'),
       success: false,
@@ -1431,6 +2637,8 @@ class GeminiClient {
    *
    * @public
    * @param {string} prompt - The yes/no question to evaluate.
+   * @param {Object} [options={}] - Call options.
+   * @param {string} [options.entryPoint] - Caller recorded in the usage ledger (e.g. a flow card ID).
    * @returns {Promise<{ isAnswerable: boolean, result: boolean, explanation: string }>}
    *   The structured evaluation result from Gemini.
    * @throws {Error} If the API call fails or the response cannot be parsed.
@@ -1438,7 +2646,7 @@ class GeminiClient {
    * const result = await geminiClient.evaluateCondition('Is today a weekend?');
    * // { isAnswerable: true, result: true, explanation: 'Today is Saturday.' }
    */
-  async evaluateCondition(prompt) {
+  async evaluateCondition(prompt, options = {}) {
     console.log('[GeminiClient] evaluateCondition prompt:', prompt);
 
     const systemInstruction =
@@ -1454,6 +2662,7 @@ class GeminiClient {
         'Do NOT wrap the response in markdown blocks or include any conversational intro/outro. ' +
         'Respond ONLY with the JSON string.' : '');
 
+    const model = this._selectModelWithinBudget(this.chatModel, options.entryPoint);
     return this._retryableRequest(async () => {
       const config = {
         systemInstruction,
@@ -1465,11 +2674,12 @@ class GeminiClient {
         })
       };
 
-      const response = await this.genAI.models.generateContent({
-        model: this.chatModel,
+      const response = await this.provider.generateContent({
+        model,
         contents: prompt,
         config: config
       });
+      this._recordUsage(response, model, options.entryPoint);
 
       const parsed = this._parseJsonFromText(response.text);
       console.log(`[GeminiClient] evaluateCondition result: isAnswerable=${parsed.isAnswerable}, result=${parsed.result}`);
@@ -1490,6 +2700,8 @@ class GeminiClient {
    * @param {string} prompt - The yes/no question about the image.
    * @param {Buffer} imageBuffer - The image data as a Node.js Buffer.
    * @param {string} [mimeType='image/jpeg'] - The MIME type of the image.
+   * @param {Object} [options={}] - Call options.
+   * @param {string} [options.entryPoint] - Caller recorded in the usage ledger (e.g. a flow card ID).
    * @returns {Promise<{ isAnswerable: boolean, result: boolean, explanation: string }>}
    *   The structured evaluation result from Gemini.
    * @throws {Error} If the API call fails or the response cannot be parsed.
@@ -1499,7 +2711,7 @@ class GeminiClient {
    * );
    * // { isAnswerable: true, result: false, explanation: 'No person is visible in the image.' }
    */
-  async evaluateConditionWithImage(prompt, imageBuffer, mimeType = 'image/jpeg') {
+  async evaluateConditionWithImage(prompt, imageBuffer, mimeType = 'image/jpeg', options = {}) {
     console.log('[GeminiClient] evaluateConditionWithImage prompt:', prompt);
     console.log('[GeminiClient] evaluateConditionWithImage image size:', imageBuffer.length, 'bytes, mimeType:', mimeType);
 
@@ -1523,6 +2735,7 @@ class GeminiClient {
       prompt
     ];
 
+    const model = this._selectModelWithinBudget(this.chatModel, options.entryPoint);
     return this._retryableRequest(async () => {
       const config = {
         systemInstruction,
@@ -1534,11 +2747,12 @@ class GeminiClient {
         })
       };
 
-      const response = await this.genAI.models.generateContent({
-        model: this.chatModel,
+      const response = await this.provider.generateContent({
+        model,
         contents,
         config: config
       });
+      this._recordUsage(response, model, options.entryPoint);
 
       const parsed = this._parseJsonFromText(response.text);
       console.log(`[GeminiClient] evaluateConditionWithImage result: isAnswerable=${parsed.isAnswerable}, result=${parsed.result}`);
@@ -1562,36 +2776,60 @@ class GeminiClient {
    *
    * @public
    * @param {string} prompt - The yes/no question to evaluate using smart home data.
+   * @param {Object} [options={}] - Evaluation options.
+   * @param {string} [options.sessionId] - Conversation session (default session when omitted).
+   * @param {string} [options.entryPoint] - Caller recorded in the usage ledger (e.g. a flow card ID).
    * @returns {Promise<{ isAnswerable: boolean, result: boolean, explanation: string }>}
    *   The structured evaluation result from Gemini.
-   * @throws {Error} If the MCP adapter is not available or the API call fails.
+   * @throws {Error} If the MCP adapter is not available or the API call fails, or with
+   *   `code: 'SESSION_BUSY'` if the session stayed busy longer than the configured max wait.
    * @example
    * const result = await geminiClient.evaluateConditionWithMCP('Is any light on in the bedroom?');
    * // { isAnswerable: true, result: true, explanation: 'The bedside lamp is on.' }
    */
-  async evaluateConditionWithMCP(prompt) {
+  async evaluateConditionWithMCP(prompt, options = {}) {
     if (!this.mcpAdapter) {
       throw new Error('MCP Adapter not available. Homey instance is required.');
     }
 
-    console.log(`[MCP Condition] Evaluating condition: "${prompt}"`);
+    await this._historyLoading;
+
+    const session = this.getSession(options.sessionId);
+    return this._runInSessionQueue(session, () => this._evaluateConditionWithMCP(prompt, options, session));
+  }
+
+  /**
+   * Runs the condition evaluation of {@link GeminiClient#evaluateConditionWithMCP}
+   * once the session's turn has come.
+   *
+   * @private
+   * @param {string} prompt - The yes/no question.
+   * @param {Object} options - Evaluation options.
+   * @param {Object} session - The conversation session.
+   * @returns {Promise<{ isAnswerable: boolean, result: boolean, explanation: string }>}
+   */
+  async _evaluateConditionWithMCP(prompt, options, session) {
+    console.log(`[MCP Condition] Evaluating condition (session "${session.id}"): "${prompt}"`);
 
     const ctx = SystemInstruction._buildDateTimeContext(this.homey);
-    const dynamicPrefix = SystemInstruction.buildDynamicPrefix(ctx);
+    const memories = this.mcpAdapter.memoryManager.getRelevantMemories(prompt);
+    const dynamicPrefix = SystemInstruction.buildDynamicPrefix(ctx, { memories });
 
-    this._pruneConversationHistory();
-    const existingHistory = this._getConversationHistoryContents();
+    await this._summarizeConversationHistory(session);
+    this._pruneConversationHistory(session);
+    const existingHistory = this._getConversationHistoryContents(session);
     console.log(`[MCP Condition] Persistent conversation history: ${existingHistory.length} messages`);
 
-    const currentModel = this.shGenericModel;
+    const currentModel = this._selectModelWithinBudget(this.shGenericModel, options.entryPoint);
     const cachedContentName = await this._ensureCache(currentModel);
     const chatConfig = await this._buildChatConfig(currentModel, cachedContentName);
 
-    const chat = this.genAI.chats.create({
+    const tracker = { baseLength: 0, turns: [], entryPoint: options.entryPoint, sessionId: session.id };
+    const chat = this._createTrackedChat({
       model: currentModel,
       config: chatConfig,
       history: existingHistory
-    });
+    }, tracker);
 
     const sessionMode = cachedContentName ? `cached context: ${cachedContentName}` : 'inline mode (no cache)';
     console.log(`[MCP Condition] Chat session created with ${currentModel} — ${sessionMode}`);
@@ -1640,7 +2878,7 @@ class GeminiClient {
 
       console.log(`[MCP Condition] Executing ${functionCalls.length} function(s)`);
       const executedFunctions = await Promise.all(
-        functionCalls.map(call => this._executeSingleFunctionCall(call))
+        functionCalls.map(call => this._executeSingleFunctionCall(call, { sessionId: session.id, entryPoint: options.entryPoint }))
       );
 
       const functionResponses = executedFunctions.map(({ call, result }) => ({
@@ -1688,7 +2926,7 @@ class GeminiClient {
 
     // Persist the full conversation (including the condition question and answer)
     // to keep context available for subsequent MCP calls.
-    await this._syncChatToPersistentHistory(chat, currentModel);
+    await this._syncChatToPersistentHistory(chat, currentModel, session, tracker);
 
     const parsed = this._parseJsonFromText(jsonResponse.text);
     console.log(`[MCP Condition] Result: isAnswerable=${parsed.isAnswerable}, result=${parsed.result}`);
@@ -3,11 +3,15 @@
 const { HomeyAPIV3Local } = require('homey-api');
 const fs = require('fs');
 const path = require('path');
-const { getTools } = require('./ToolSchema');
+const { getTools, STATE_MUTATING_TOOLS } = require('./ToolSchema');
 const { Scheduler } = require('./Scheduler');
 const { DeviceManager } = require('./managers/DeviceManager');
 const { DiscoveryManager } = require('./managers/DiscoveryManager');
 const { FlowManager } = require('./managers/FlowManager');
+const { MemoryManager } = require('./managers/MemoryManager');
+const { AccessPolicyManager } = require('./managers/AccessPolicyManager');
+const { ApprovalManager } = require('./managers/ApprovalManager');
+const { UndoManager } = require('./managers/UndoManager');
 
 /**
  * HomeyMCPAdapter
@@ -41,7 +45,7 @@ class HomeyMCPAdapter {
     }
 
     /** @type {Scheduler} Handles timed command execution */
-    this.scheduler = new Scheduler(homey);
+    this.scheduler = new Scheduler(homey, this);
     
     /** @type {DeviceManager} Handles device operations */
     this.deviceManager = new DeviceManager(homey, this);
@@ -51,6 +55,18 @@ class HomeyMCPAdapter {
     
     /** @type {FlowManager} Handles flow operations */
     this.flowManager = new FlowManager(homey, this);
+
+    /** @type {MemoryManager} Handles the long-term memory of household facts */
+    this.memoryManager = new MemoryManager(homey, this);
+
+    /** @type {AccessPolicyManager} Enforces the owner's device access policy */
+    this.accessPolicy = new AccessPolicyManager(homey, this);
+
+    /** @type {ApprovalManager} Parks sensitive tool calls until the user approves them */
+    this.approvals = new ApprovalManager(homey, this);
+
+    /** @type {UndoManager} Records device changes so they can be undone */
+    this.undo = new UndoManager(homey, this);
   }
 
   // ── Public Methods ──────────────────────────────────────────────────────────
@@ -84,14 +100,57 @@ class HomeyMCPAdapter {
 
   /**
    * Dispatches an MCP tool call to the corresponding adapter method.
+   * Calls refused by the device access policy return the refusal instead
+   * (see {@link AccessPolicyManager#check}); sensitive calls first wait for the
+   * user's approval (see {@link ApprovalManager#awaitApproval}). In dry-run mode,
+   * calls that would change something return a simulated success instead
+   * (see {@link HomeyMCPAdapter#_simulateToolCall}), while reading tools still run.
+   *
+   * @param {string} name - The MCP tool name.
+   * @param {Object} args - The tool arguments.
+   * @param {{ runId?: string, sessionId?: string, entryPoint?: string, dryRun?: boolean, approved?: boolean }} [context={}] - The caller:
+   *   the MCP run that groups device changes in the undo journal, where to route approval requests,
+   *   whether changes are simulated, and whether the user already approved the call
+   *   (the devices of a `control_devices` batch are approved together).
    */
-  async callTool(name, args) {
+  async callTool(name, args, context = {}) {
     try {
       await this.initialize();
 
+      const refusal = await this.accessPolicy.check(name, args);
+      if (refusal && !refusal.requiresConfirmation) {
+        return refusal;
+      }
+
+      // Scheduled direct actions are replayed through this method, so refuse them now rather than at run time
+      if (name === 'manage_schedule' && Array.isArray(args.directActions)) {
+        for (const action of args.directActions) {
+          // Actions needing approval are asked for when the schedule runs
+          const actionRefusal = await this.accessPolicy.check(action?.tool, action?.args);
+          if (actionRefusal && !actionRefusal.requiresConfirmation) {
+            return { ...actionRefusal, error: `Schedule not saved: its direct action ${action.tool} is refused. ${actionRefusal.error}` };
+          }
+        }
+      }
+
+      // control_devices is simulated device by device, by its own control_device calls
+      if (context.dryRun && name !== 'control_devices' && this._changesState(name, args)) {
+        return await this._simulateToolCall(name, args, Boolean(refusal) || this.approvals.isSensitive(name, args));
+      }
+
+      if (!context.approved && (refusal || this.approvals.isSensitive(name, args))) {
+        const denial = await this.approvals.awaitApproval(name, args, context, refusal?.device);
+        if (denial) {
+          return denial;
+        }
+      }
+
+
       switch (name) {
         case 'control_device':
-          return await this.deviceManager.controlDevice(args.deviceName, args.capability, args.value, args.deviceId || null);
+          return await this.deviceManager.controlDevice(args.deviceName, args.capability, args.value, args.deviceId || null, context);
+        case 'control_devices':
+          return await this.deviceManager.controlDevices(args, context);
         case 'trigger_flow':
           return await this.flowManager.triggerFlow(args.flowName, args.args);
         case 'get_device_state':
@@ -131,7 +190,24 @@ class HomeyMCPAdapter {
             }
             return await this.scheduler.cancelScheduledCommand(args.scheduleId);
           }
-          return await this.scheduler.scheduleCommand(args.command, args.executeAt, args.description);
+          if (args.action === 'update') {
+            if (!args.scheduleId) {
+              return { success: false, error: "Missing required parameter 'scheduleId' for update action." };
+            }
+            return await this.scheduler.updateScheduledCommand(args.scheduleId, {
+              command: args.command,
+              description: args.description,
+              executeAt: args.executeAt,
+              ...this._buildScheduleOptions(args)
+            });
+          }
+          if (args.action === 'snooze') {
+            if (!args.scheduleId || !args.snoozeMinutes) {
+              return { success: false, error: "Missing required parameters 'scheduleId' and 'snoozeMinutes' for snooze action." };
+            }
+            return await this.scheduler.snoozeScheduledCommand(args.scheduleId, args.snoozeMinutes);
+          }
+          return await this.scheduler.scheduleCommand(args.command, args.executeAt, args.description, this._buildScheduleOptions(args));
         case 'schedule_command': // Backward-compatible alias
           return await this.scheduler.scheduleCommand(args.command, args.executeAt, args.description);
         case 'discover_flows':
@@ -174,6 +250,14 @@ class HomeyMCPAdapter {
           return await this.flowManager.discoverFlowDetails(args.flowId, args.flowName);
         case 'manage_device_firmware':
           return await this.deviceManager.manageDeviceFirmware(args);
+        case 'remember_fact':
+          return this.memoryManager.remember(args.fact, { category: args.category, expiresAt: args.expiresAt });
+        case 'recall_facts':
+          return this.memoryManager.recall(args.query, args.category);
+        case 'forget_fact':
+          return this.memoryManager.forget({ memoryId: args.memoryId, query: args.query });
+        case 'undo_last_action':
+          return await this.undo.undo({ sessionId: context.sessionId || null, context });
         default:
           return { success: false, error: `Unknown tool: ${name}` };
       }
@@ -183,12 +267,188 @@ class HomeyMCPAdapter {
   }
 
   /**
-   * Cleans up HomeyAPI resources.
+   * Describes a tool call in a short sentence for the user (approval requests, dry-run plans).
+   *
+   * @public
+   * @param {string} toolName - The MCP tool name.
+   * @param {Object} args - The tool arguments.
+   * @param {?string} [device=null] - The resolved device name.
+   * @returns {string} The description.
+   * @example
+   * adapter.describeToolCall('control_device', { deviceName: 'Front Door', capability: 'locked', value: false });
+   * // 'set locked to false on "Front Door"'
+   */
+  describeToolCall(toolName, args, device = null) {
+    const target = device || args.deviceName || args.deviceId;
+    switch (toolName) {
+      case 'control_device':
+        return `set ${args.capability} to ${JSON.stringify(args.value)} on "${target}"`;
+      case 'control_devices':
+        return `set ${args.capability} to ${JSON.stringify(args.value)} on ${args.devices ? `${args.devices.length} devices ("${args.devices.join('", "')}")` : `the ${args.deviceClass || ''} devices${args.zone ? ` in "${args.zone}"` : ''}`}`;
+      case 'run_action_card':
+        return `run the action card "${args.cardId}" on "${target}"`;
+      case 'trigger_flow':
+        return `start the flow "${args.flowName}"`;
+      case 'manage_device_firmware':
+        return `install a firmware update on "${target}"`;
+      case 'manage_flow':
+      case 'manage_advanced_flow':
+        return `${args.action} the ${toolName === 'manage_advanced_flow' ? 'advanced ' : ''}flow "${args.flowName || args.name || args.flowId}"`;
+      case 'manage_schedule':
+      case 'schedule_command':
+        if (args.scheduleId) {
+          return `${args.action} the scheduled command "${args.scheduleId}"`;
+        }
+        return `schedule "${args.command}" at ${args.executeAt || args.anchorEvent}`;
+      case 'undo_last_action':
+        return 'undo the last device changes made by the assistant';
+      case 'remember_fact':
+        return `remember "${args.fact}"`;
+      case 'forget_fact':
+        return `forget ${args.memoryId ? `the fact "${args.memoryId}"` : `the facts matching "${args.query}"`}`;
+      default:
+        return target ? `${toolName} on "${target}"` : toolName;
+    }
+  }
+
+  /**
+   * Whether a tool call changes something: device state ({@link STATE_MUTATING_TOOLS}),
+   * flows, firmware, scheduled commands or the household memory (a simulated command
+   * must not leave a real schedule or fact behind).
+   *
+   * @private
+   * @param {string} name - The MCP tool name.
+   * @param {Object} args - The tool arguments.
+   * @returns {boolean}
+   */
+  _changesState(name, args) {
+    if (STATE_MUTATING_TOOLS.has(name) || name === 'manage_flow' || name === 'manage_advanced_flow' || name === 'schedule_command'
+      || name === 'remember_fact' || name === 'forget_fact') {
+      return true;
+    }
+    if (name === 'manage_device_firmware') {
+      return args.action === 'install';
+    }
+    if (name === 'manage_schedule') {
+      return args.action !== 'list';
+    }
+    return false;
+  }
+
+  /**
+   * Simulates a call that would change something (dry-run mode): the target device is
+   * still resolved, so unknown or ambiguous devices fail as they would for real.
+   *
+   * @private
+   * @param {string} name - The MCP tool name.
+   * @param {Object} args - The tool arguments.
+   * @param {boolean} requiresApproval - Whether the real call would wait for the user's approval.
+   * @returns {Promise<{ success: true, dryRun: true, message: string, plan: Object }>}
+   * @throws {Error} If the target device cannot be resolved.
+   */
+  async _simulateToolCall(name, args, requiresApproval) {
+    const device = (args.deviceName || args.deviceId)
+      ? (await this.deviceManager._resolveDevice(args.deviceName, args.deviceId)).device
+      : null;
+    const action = this.describeToolCall(name, args, device?.name);
+
+    this.homey.log(`[HomeyMCPAdapter] Dry run: would ${action}`);
+
+    return {
+      success: true,
+      dryRun: true,
+      message: `Dry run: nothing was changed. This call would ${action}${requiresApproval ? ', after the user\'s approval' : ''}.`,
+      plan: {
+        tool: name,
+        args,
+        action,
+        ...(device && { device: device.name }),
+        ...(requiresApproval && { requiresApproval: true })
+      }
+    };
+  }
+
+  /**
+   * Translates the optional `manage_schedule` create/update arguments into
+   * {@link Scheduler#scheduleCommand} options.
+   *
+   * On update, an explicit `null` or empty value (`''`, `[]`) removes the recurrence,
+   * anchor, guard, direct actions or targets, and `anchorOffsetMinutes` alone moves the
+   * offset of the schedule's current anchor (see {@link Scheduler#updateScheduledCommand}).
+   *
+   * @private
+   * @param {Object} args - Raw tool arguments.
+   * @returns {Object} Scheduler options.
+   */
+  _buildScheduleOptions(args) {
+    const options = {};
+    const isUpdate = args.action === 'update';
+    const cleared = key => isUpdate && key in args
+      && (args[key] === null || args[key] === '' || (Array.isArray(args[key]) && args[key].length === 0));
+
+    if (args.cron) {
+      options.recurrence = { type: 'cron', expression: args.cron };
+    } else if (args.rrule) {
+      options.recurrence = { type: 'rrule', expression: args.rrule };
+    } else if (cleared('cron') || cleared('rrule')) {
+      options.recurrence = null;
+    }
+
+    if (args.anchorEvent) {
+      // On update, a missing offset keeps the one already stored
+      options.anchor = { event: args.anchorEvent, offsetMinutes: isUpdate ? args.anchorOffsetMinutes : args.anchorOffsetMinutes || 0 };
+    } else if (cleared('anchorEvent')) {
+      options.anchor = null;
+    } else if (isUpdate && typeof args.anchorOffsetMinutes === 'number') {
+      options.anchor = { offsetMinutes: args.anchorOffsetMinutes };
+    }
+
+    if (args.guardCondition) {
+      options.guard = { type: 'condition', prompt: args.guardCondition };
+    } else if (args.guardCapability) {
+      options.guard = {
+        type: 'capability',
+        deviceName: args.guardDevice,
+        deviceId: args.guardDeviceId,
+        capability: args.guardCapability,
+        operator: args.guardOperator,
+        value: args.guardValue
+      };
+    } else if (cleared('guardCondition') || cleared('guardCapability')) {
+      options.guard = null;
+    }
+
+    for (const key of ['directActions', 'targets']) {
+      if (Array.isArray(args[key]) && args[key].length > 0) {
+        options[key] = args[key];
+      } else if (cleared(key)) {
+        options[key] = null;
+      }
+    }
+
+    // Conflicting schedules are reported back instead of saved, until the user confirms
+    options.checkConflicts = args.confirmConflicts !== true;
+
+    const policy = {};
+    if (args.maxRetries !== undefined) policy.maxRetries = args.maxRetries;
+    if (args.retryBackoffSeconds !== undefined) policy.retryBackoffSeconds = args.retryBackoffSeconds;
+    if (args.graceMinutes !== undefined) policy.graceMinutes = args.graceMinutes;
+    if (args.runOnceOnRecovery !== undefined) policy.runOnceOnRecovery = args.runOnceOnRecovery;
+    if (Object.keys(policy).length > 0) {
+      options.policy = policy;
+    }
+
+    return options;
+  }
+
+  /**
+   * Cleans up HomeyAPI resources and stops the scheduler timers.
    *
    * @public
    * @returns {Promise<void>}
    */
   async cleanup() {
+    this.scheduler.cleanup();
     this.api = null;
   }
   
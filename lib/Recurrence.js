@@ -0,0 +1,644 @@
+'use strict';
+
+// Maximum number of local days scanned when looking for the next occurrence.
+// Four years plus a day covers every cron rule, including Feb 29 ones; RRULEs
+// scan this many days per INTERVAL, up to one 400-year Gregorian cycle.
+const MAX_SEARCH_DAYS = 366 * 4 + 1;
+const GREGORIAN_CYCLE_DAYS = 146097;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const CRON_MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const CRON_WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+const RRULE_FREQUENCIES = new Set(['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY']);
+
+/**
+ * Recurrence
+ *
+ * Computes occurrences of recurring schedules expressed either as a standard
+ * 5-field cron expression or as an iCal RRULE (RFC 5545 subset). All
+ * calculations are performed on the wall clock of a given IANA timezone, so
+ * that "every weekday at 07:00" stays at 07:00 across DST changes.
+ *
+ * Supported cron syntax: `*`, `?`, lists, ranges, steps, month/weekday names,
+ * `L` in the day-of-month field (last day) and `#n` in the day-of-week field
+ * (n-th weekday of the month, e.g. `0#1` = first Sunday), plus the `@daily`
+ * style macros.
+ *
+ * Supported RRULE parts: `FREQ` (DAILY, WEEKLY, MONTHLY, YEARLY), `INTERVAL`,
+ * `BYDAY` (with optional ordinal, e.g. `1SU`, `-1FR`), `BYMONTHDAY`, `BYMONTH`,
+ * `BYHOUR`, `BYMINUTE`, `COUNT` and `UNTIL`. Ordinal `BYDAY` values are always
+ * evaluated within the month.
+ *
+ * This module has no Homey dependencies and can be used standalone.
+ */
+class Recurrence {
+
+    /**
+     * Validates and normalises a recurrence definition.
+     *
+     * @public
+     * @static
+     * @param {{ type: 'cron'|'rrule', expression: string }} definition - The recurrence definition.
+     * @returns {{ type: 'cron'|'rrule', expression: string }} The normalised definition.
+     * @throws {Error} If the type is unknown or the expression cannot be parsed.
+     * @example
+     * Recurrence.validate({ type: 'cron', expression: '0 7 * * 1-5' });
+     */
+    static validate(definition) {
+        if (!definition || typeof definition.expression !== 'string' || definition.expression.trim().length === 0) {
+            throw new Error('Recurrence expression is required');
+        }
+
+        const expression = definition.expression.trim();
+
+        if (definition.type === 'cron') {
+            Recurrence._parseCron(expression);
+        } else if (definition.type === 'rrule') {
+            Recurrence._parseRRule(expression);
+        } else {
+            throw new Error(`Unknown recurrence type: ${definition.type}`);
+        }
+
+        return { type: definition.type, expression };
+    }
+
+    /**
+     * Computes the first occurrence of a recurrence strictly after a given instant.
+     *
+     * @public
+     * @static
+     * @param {{ type: 'cron'|'rrule', expression: string, dtstart?: string }} definition
+     *   The recurrence definition. `dtstart` is a local ISO datetime (`YYYY-MM-DDTHH:MM:SS`)
+     *   used by RRULEs as the series start and as the default for omitted BY* parts.
+     * @param {Date} after - Occurrences at or before this instant are ignored.
+     * @param {string} [timezone='UTC'] - IANA timezone in which the rule is evaluated.
+     * @param {number} [runCount=0] - Number of occurrences already executed (for RRULE `COUNT`).
+     * @param {?function(number, number, number): Date[]} [resolveDayTimes=null] - Optional resolver
+     *   that replaces the rule's clock times: called with the local year, month and day of every
+     *   matching day, it returns the (ascending) instants to use on that day. Used for anchors
+     *   whose time changes from day to day, such as sunset.
+     * @returns {?Date} The next occurrence as a UTC `Date`, or `null` if the series has ended.
+     * @throws {Error} If the expression cannot be parsed.
+     * @example
+     * const next = Recurrence.getNextOccurrence(
+     *   { type: 'rrule', expression: 'FREQ=MONTHLY;BYDAY=1SU;BYHOUR=10;BYMINUTE=0', dtstart: '2026-03-01T10:00:00' },
+     *   new Date(),
+     *   'Europe/Rome'
+     * );
+     */
+    static getNextOccurrence(definition, after, timezone = 'UTC', runCount = 0, resolveDayTimes = null) {
+        const rule = definition.type === 'cron' ? null : Recurrence._parseRRule(definition.expression);
+        const matcher = rule
+            ? Recurrence._buildRRuleMatcher(rule, definition.dtstart, after, timezone, runCount)
+            : Recurrence._buildCronMatcher(Recurrence._parseCron(definition.expression));
+        const searchDays = rule ? Math.min(MAX_SEARCH_DAYS * rule.interval, GREGORIAN_CYCLE_DAYS) : MAX_SEARCH_DAYS;
+
+        if (!matcher) {
+            return null;
+        }
+
+        const afterMs = after.getTime();
+        const start = Recurrence._getZonedParts(after, timezone);
+        let dayMs = Date.UTC(start.year, start.month - 1, start.day);
+
+        for (let i = 0; i < searchDays; i++, dayMs += 86400000) {
+            const day = new Date(dayMs);
+            const y = day.getUTCFullYear();
+            const m = day.getUTCMonth() + 1;
+            const d = day.getUTCDate();
+
+            if (!matcher.matchesDay(y, m, d)) {
+                continue;
+            }
+
+            const candidates = resolveDayTimes
+                ? resolveDayTimes(y, m, d)
+                : matcher.times.map(([hour, minute]) => Recurrence.zonedTimeToUtc(y, m, d, hour, minute, 0, timezone));
+
+            for (const candidate of candidates) {
+                if (candidate.getTime() <= afterMs || (matcher.notBefore && candidate < matcher.notBefore)) {
+                    continue;
+                }
+                if (matcher.until && candidate.getTime() > matcher.until.getTime()) {
+                    return null;
+                }
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Converts a wall-clock time in the given timezone to a UTC `Date`.
+     *
+     * @public
+     * @static
+     * @param {number} year - Full year.
+     * @param {number} month - Month (1-12).
+     * @param {number} day - Day of month (1-31).
+     * @param {number} hour - Hour (0-23).
+     * @param {number} minute - Minute (0-59).
+     * @param {number} second - Second (0-59).
+     * @param {string} timezone - IANA timezone name.
+     * @returns {Date} The corresponding instant.
+     * @example
+     * Recurrence.zonedTimeToUtc(2026, 7, 1, 7, 0, 0, 'Europe/Rome').toISOString();
+     * // '2026-07-01T05:00:00.000Z'
+     */
+    static zonedTimeToUtc(year, month, day, hour, minute, second, timezone) {
+        const wallMs = Date.UTC(year, month - 1, day, hour, minute, second);
+        const firstGuess = wallMs - Recurrence._getOffsetMs(new Date(wallMs), timezone);
+        // Re-check the offset at the guessed instant to settle DST transitions
+        const secondOffset = Recurrence._getOffsetMs(new Date(firstGuess), timezone);
+        return new Date(wallMs - secondOffset);
+    }
+
+    /**
+     * Formats an instant as a local ISO datetime (`YYYY-MM-DDTHH:MM:SS`) in the given timezone.
+     *
+     * @public
+     * @static
+     * @param {Date} date - The instant to format.
+     * @param {string} timezone - IANA timezone name.
+     * @returns {string} Local ISO datetime without offset.
+     * @example
+     * Recurrence.toLocalIso(new Date('2026-07-01T05:00:00Z'), 'Europe/Rome'); // '2026-07-01T07:00:00'
+     */
+    static toLocalIso(date, timezone) {
+        const p = Recurrence._getZonedParts(date, timezone);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+    }
+
+    // ── Private Methods ─────────────────────────────────────────────────────────
+
+    /**
+     * Returns the wall-clock components of an instant in the given timezone.
+     *
+     * @private
+     * @static
+     * @param {Date} date - The instant.
+     * @param {string} timezone - IANA timezone name.
+     * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+     */
+    static _getZonedParts(date, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+        const get = (type) => parseInt(parts.find(p => p.type === type)?.value ?? '0', 10);
+        return {
+            year: get('year'),
+            month: get('month'),
+            day: get('day'),
+            hour: get('hour') % 24,
+            minute: get('minute'),
+            second: get('second')
+        };
+    }
+
+    /**
+     * Returns the UTC offset (in milliseconds) of the given timezone at a given instant.
+     *
+     * @private
+     * @static
+     * @param {Date} date - The instant.
+     * @param {string} timezone - IANA timezone name.
+     * @returns {number} Offset in milliseconds (positive east of UTC).
+     */
+    static _getOffsetMs(date, timezone) {
+        const p = Recurrence._getZonedParts(date, timezone);
+        const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return asUtc - (Math.floor(date.getTime() / 1000) * 1000);
+    }
+
+    /**
+     * Returns the number of days in a month.
+     *
+     * @private
+     * @static
+     * @param {number} year - Full year.
+     * @param {number} month - Month (1-12).
+     * @returns {number}
+     */
+    static _daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    /**
+     * Returns whether a date is the n-th given weekday of its month.
+     * Negative `nth` values count from the end of the month (-1 = last).
+     *
+     * @private
+     * @static
+     * @param {number} year - Full year.
+     * @param {number} month - Month (1-12).
+     * @param {number} day - Day of month.
+     * @param {number} nth - Ordinal (1..5 or -1..-5).
+     * @returns {boolean}
+     */
+    static _isNthWeekdayOfMonth(year, month, day, nth) {
+        if (nth > 0) {
+            return Math.ceil(day / 7) === nth;
+        }
+        const remaining = Recurrence._daysInMonth(year, month) - day;
+        return Math.floor(remaining / 7) === -nth - 1;
+    }
+
+    /**
+     * Builds the cartesian product of hours and minutes, sorted chronologically.
+     *
+     * @private
+     * @static
+     * @param {number[]} hours - Allowed hours.
+     * @param {number[]} minutes - Allowed minutes.
+     * @returns {Array<[number, number]>}
+     */
+    static _buildTimes(hours, minutes) {
+        const times = [];
+        for (const h of [...hours].sort((a, b) => a - b)) {
+            for (const m of [...minutes].sort((a, b) => a - b)) {
+                times.push([h, m]);
+            }
+        }
+        return times;
+    }
+
+    /**
+     * Parses a 5-field cron expression (or macro).
+     *
+     * @private
+     * @static
+     * @param {string} expression - Cron expression.
+     * @returns {object} Parsed field sets.
+     * @throws {Error} If the expression is malformed.
+     */
+    static _parseCron(expression) {
+        const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+        const fields = normalized.split(/\s+/);
+
+        if (fields.length !== 5) {
+            throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+        }
+
+        const [minuteField, hourField, domField, monthField, dowField] = fields;
+
+        const dom = { values: new Set(), last: false, restricted: domField !== '*' && domField !== '?' };
+        for (const item of domField.split(',')) {
+            if (item.toUpperCase() === 'L') {
+                dom.last = true;
+            } else {
+                Recurrence._parseCronItem(item, 1, 31, null, expression).forEach(v => dom.values.add(v));
+            }
+        }
+
+        const dow = { values: new Set(), nth: [], restricted: dowField !== '*' && dowField !== '?' };
+        for (const item of dowField.split(',')) {
+            const nthMatch = item.match(/^([A-Za-z]{3}|\d)#(-?[1-5])$/);
+            if (nthMatch) {
+                const [weekday] = Recurrence._parseCronItem(nthMatch[1], 0, 7, CRON_WEEKDAY_NAMES, expression);
+                dow.nth.push({ weekday: weekday % 7, nth: parseInt(nthMatch[2], 10) });
+            } else {
+                Recurrence._parseCronItem(item, 0, 7, CRON_WEEKDAY_NAMES, expression).forEach(v => dow.values.add(v % 7));
+            }
+        }
+
+        return {
+            minutes: Recurrence._parseCronField(minuteField, 0, 59, null, expression),
+            hours: Recurrence._parseCronField(hourField, 0, 23, null, expression),
+            months: Recurrence._parseCronField(monthField, 1, 12, CRON_MONTH_NAMES, expression),
+            dom,
+            dow
+        };
+    }
+
+    /**
+     * Parses a comma-separated cron field into a sorted array of values.
+     *
+     * @private
+     * @static
+     * @param {string} field - Raw field.
+     * @param {number} min - Minimum allowed value.
+     * @param {number} max - Maximum allowed value.
+     * @param {?string[]} names - Optional symbolic names (index 0 maps to `min` for months, 0 for weekdays).
+     * @param {string} expression - Full expression, for error messages.
+     * @returns {number[]}
+     */
+    static _parseCronField(field, min, max, names, expression) {
+        const values = new Set();
+        for (const item of field.split(',')) {
+            Recurrence._parseCronItem(item, min, max, names, expression).forEach(v => values.add(v));
+        }
+        return [...values].sort((a, b) => a - b);
+    }
+
+    /**
+     * Parses a single cron list item (`*`, `n`, `a-b`, `*\/s`, `a-b/s`, or a name).
+     *
+     * @private
+     * @static
+     * @param {string} item - Raw item.
+     * @param {number} min - Minimum allowed value.
+     * @param {number} max - Maximum allowed value.
+     * @param {?string[]} names - Optional symbolic names.
+     * @param {string} expression - Full expression, for error messages.
+     * @returns {number[]}
+     */
+    static _parseCronItem(item, min, max, names, expression) {
+        const toNumber = (token) => {
+            if (names) {
+                const idx = names.indexOf(token.toUpperCase());
+                if (idx !== -1) {
+                    return names === CRON_MONTH_NAMES ? idx + 1 : idx;
+                }
+            }
+            if (!/^\d+$/.test(token)) {
+                throw new Error(`Invalid cron expression "${expression}": unexpected token "${token}"`);
+            }
+            const value = parseInt(token, 10);
+            if (value < min || value > max) {
+                throw new Error(`Invalid cron expression "${expression}": value ${value} out of range ${min}-${max}`);
+            }
+            return value;
+        };
+
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart !== undefined ? parseInt(stepPart, 10) : 1;
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid cron expression "${expression}": invalid step "${item}"`);
+        }
+
+        let from;
+        let to;
+        if (rangePart === '*' || rangePart === '?') {
+            from = min;
+            to = max;
+        } else if (rangePart.includes('-')) {
+            const [a, b] = rangePart.split('-');
+            from = toNumber(a);
+            to = toNumber(b);
+        } else {
+            from = toNumber(rangePart);
+            to = stepPart !== undefined ? max : from;
+        }
+
+        if (from > to) {
+            throw new Error(`Invalid cron expression "${expression}": invalid range "${item}"`);
+        }
+
+        const values = [];
+        for (let v = from; v <= to; v += step) {
+            values.push(v);
+        }
+        return values;
+    }
+
+    /**
+     * Builds a day/time matcher for a parsed cron expression.
+     * Follows the classic cron rule: when both day-of-month and day-of-week are
+     * restricted, a day matches if EITHER field matches.
+     *
+     * @private
+     * @static
+     * @param {object} cron - Result of {@link Recurrence._parseCron}.
+     * @returns {{ matchesDay: Function, times: Array<[number, number]>, until: null, notBefore: null }}
+     */
+    static _buildCronMatcher(cron) {
+        const months = new Set(cron.months);
+
+        const matchesDom = (y, m, d) =>
+            cron.dom.values.has(d) || (cron.dom.last && d === Recurrence._daysInMonth(y, m));
+
+        const matchesDow = (y, m, d) => {
+            const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+            return cron.dow.values.has(weekday) ||
+                cron.dow.nth.some(n => n.weekday === weekday && Recurrence._isNthWeekdayOfMonth(y, m, d, n.nth));
+        };
+
+        return {
+            times: Recurrence._buildTimes(cron.hours, cron.minutes),
+            until: null,
+            notBefore: null,
+            matchesDay: (y, m, d) => {
+                if (!months.has(m)) return false;
+                if (cron.dom.restricted && cron.dow.restricted) {
+                    return matchesDom(y, m, d) || matchesDow(y, m, d);
+                }
+                if (cron.dom.restricted) return matchesDom(y, m, d);
+                if (cron.dow.restricted) return matchesDow(y, m, d);
+                return true;
+            }
+        };
+    }
+
+    /**
+     * Parses an RRULE string (with or without the `RRULE:` prefix).
+     *
+     * @private
+     * @static
+     * @param {string} expression - RRULE string, e.g. `FREQ=WEEKLY;BYDAY=MO,WE;BYHOUR=7;BYMINUTE=0`.
+     * @returns {object} Parsed rule.
+     * @throws {Error} If the rule is malformed or uses unsupported parts.
+     */
+    static _parseRRule(expression) {
+        const body = expression.trim().replace(/^RRULE:/i, '');
+        const rule = { interval: 1, byDay: [], byMonthDay: [], byMonth: [], byHour: [], byMinute: [], count: null, until: null };
+
+        // Negative values count from the end, which only BYMONTHDAY supports (-1 = last day)
+        const toIntList = (value, min, max, key, allowNegative = false) => value.split(',').map(v => {
+            const n = /^-?\d+$/.test(v) ? parseInt(v, 10) : NaN;
+            if (!Number.isInteger(n) || (n < 0 && !allowNegative) || Math.abs(n) < min || Math.abs(n) > max) {
+                throw new Error(`Invalid RRULE "${expression}": invalid ${key} value "${v}"`);
+            }
+            return n;
+        });
+
+        for (const part of body.split(';').filter(Boolean)) {
+            const [rawKey, value] = part.split('=');
+            const key = (rawKey || '').toUpperCase();
+            if (!value) {
+                throw new Error(`Invalid RRULE "${expression}": missing value for "${rawKey}"`);
+            }
+
+            switch (key) {
+                case 'FREQ':
+                    rule.freq = value.toUpperCase();
+                    break;
+                case 'INTERVAL':
+                    rule.interval = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+                    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+                        throw new Error(`Invalid RRULE "${expression}": INTERVAL must be a positive integer`);
+                    }
+                    break;
+                case 'BYDAY':
+                    rule.byDay = value.toUpperCase().split(',').map(v => {
+                        const match = v.match(/^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/);
+                        if (!match) {
+                            throw new Error(`Invalid RRULE "${expression}": invalid BYDAY value "${v}"`);
+                        }
+                        return { weekday: WEEKDAY_CODES.indexOf(match[2]), nth: match[1] ? parseInt(match[1], 10) : null };
+                    });
+                    break;
+                case 'BYMONTHDAY':
+                    rule.byMonthDay = toIntList(value, 1, 31, key, true);
+                    break;
+                case 'BYMONTH':
+                    rule.byMonth = toIntList(value, 1, 12, key);
+                    break;
+                case 'BYHOUR':
+                    rule.byHour = toIntList(value, 0, 23, key);
+                    break;
+                case 'BYMINUTE':
+                    rule.byMinute = toIntList(value, 0, 59, key);
+                    break;
+                case 'COUNT':
+                    rule.count = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+                    if (!Number.isInteger(rule.count) || rule.count < 1) {
+                        throw new Error(`Invalid RRULE "${expression}": COUNT must be a positive integer`);
+                    }
+                    break;
+                case 'UNTIL':
+                    rule.until = Recurrence._parseRRuleDate(value, expression);
+                    break;
+                case 'WKST':
+                    break;
+                default:
+                    throw new Error(`Invalid RRULE "${expression}": unsupported part "${key}"`);
+            }
+        }
+
+        if (!RRULE_FREQUENCIES.has(rule.freq)) {
+            throw new Error(`Invalid RRULE "${expression}": FREQ must be one of ${[...RRULE_FREQUENCIES].join(', ')}`);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Parses an RRULE `UNTIL` value (`YYYYMMDD` or `YYYYMMDDTHHMMSS[Z]`).
+     * Values without the `Z` suffix are interpreted as UTC, which is the safe
+     * reading for a cut-off when no timezone is attached.
+     *
+     * @private
+     * @static
+     * @param {string} value - Raw UNTIL value.
+     * @param {string} expression - Full expression, for error messages.
+     * @returns {Date}
+     */
+    static _parseRRuleDate(value, expression) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/i);
+        if (!match) {
+            throw new Error(`Invalid RRULE "${expression}": invalid UNTIL value "${value}"`);
+        }
+        const [, y, mo, d, h = '23', mi = '59', s = '59'] = match;
+        return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+    }
+
+    /**
+     * Builds a day/time matcher for a parsed RRULE.
+     *
+     * @private
+     * @static
+     * @param {object} rule - Result of {@link Recurrence._parseRRule}.
+     * @param {string} [dtstart] - Local ISO datetime of the series start.
+     * @param {Date} after - Reference instant (used as series start when `dtstart` is missing).
+     * @param {string} timezone - IANA timezone name.
+     * @param {number} runCount - Occurrences already executed.
+     * @returns {?{ matchesDay: Function, times: Array<[number, number]>, until: ?Date, notBefore: ?Date }}
+     *   `null` when the COUNT limit has already been reached.
+     */
+    static _buildRRuleMatcher(rule, dtstart, after, timezone, runCount) {
+        if (rule.count !== null && runCount >= rule.count) {
+            return null;
+        }
+
+        const startMatch = typeof dtstart === 'string' && dtstart.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+        const start = startMatch
+            ? { year: +startMatch[1], month: +startMatch[2], day: +startMatch[3], hour: +startMatch[4], minute: +startMatch[5] }
+            : Recurrence._getZonedParts(after, timezone);
+
+        const startDayNumber = Math.floor(Date.UTC(start.year, start.month - 1, start.day) / 86400000);
+        const startWeekday = new Date(Date.UTC(start.year, start.month - 1, start.day)).getUTCDay();
+        // Monday-based week number of the series start
+        const startWeekNumber = Math.floor((startDayNumber - ((startWeekday + 6) % 7)) / 7);
+
+        const byMonth = rule.byMonth.length > 0
+            ? new Set(rule.byMonth)
+            : (rule.freq === 'YEARLY' && rule.byDay.length === 0 && rule.byMonthDay.length === 0 ? new Set([start.month]) : null);
+        const byMonthDay = rule.byMonthDay.length > 0
+            ? rule.byMonthDay
+            : ((rule.freq === 'MONTHLY' || rule.freq === 'YEARLY') && rule.byDay.length === 0 ? [start.day] : []);
+        const byDay = rule.byDay.length > 0
+            ? rule.byDay
+            : (rule.freq === 'WEEKLY' ? [{ weekday: startWeekday, nth: null }] : []);
+
+        const hours = rule.byHour.length > 0 ? rule.byHour : [start.hour];
+        const minutes = rule.byMinute.length > 0 ? rule.byMinute : [start.minute];
+
+        return {
+            times: Recurrence._buildTimes(hours, minutes),
+            until: rule.until,
+            notBefore: startMatch
+                ? Recurrence.zonedTimeToUtc(start.year, start.month, start.day, start.hour, start.minute, 0, timezone)
+                : null,
+            matchesDay: (y, m, d) => {
+                const dayNumber = Math.floor(Date.UTC(y, m - 1, d) / 86400000);
+                if (dayNumber < startDayNumber) return false;
+
+                const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+
+                // Interval check on the rule's own period
+                switch (rule.freq) {
+                    case 'DAILY':
+                        if ((dayNumber - startDayNumber) % rule.interval !== 0) return false;
+                        break;
+                    case 'WEEKLY': {
+                        const weekNumber = Math.floor((dayNumber - ((weekday + 6) % 7)) / 7);
+                        if ((weekNumber - startWeekNumber) % rule.interval !== 0) return false;
+                        break;
+                    }
+                    case 'MONTHLY':
+                        if (((y * 12 + m) - (start.year * 12 + start.month)) % rule.interval !== 0) return false;
+                        break;
+                    case 'YEARLY':
+                        if ((y - start.year) % rule.interval !== 0) return false;
+                        break;
+                }
+
+                if (byMonth && !byMonth.has(m)) return false;
+
+                if (byMonthDay.length > 0) {
+                    const daysInMonth = Recurrence._daysInMonth(y, m);
+                    const matches = byMonthDay.some(md => (md > 0 ? md === d : daysInMonth + md + 1 === d));
+                    if (!matches) return false;
+                }
+
+                if (byDay.length > 0) {
+                    const matches = byDay.some(bd => bd.weekday === weekday &&
+                        (bd.nth === null || rule.freq === 'DAILY' || rule.freq === 'WEEKLY' || Recurrence._isNthWeekdayOfMonth(y, m, d, bd.nth)));
+                    if (!matches) return false;
+                }
+
+                return true;
+            }
+        };
+    }
+}
+
+module.exports = { Recurrence };
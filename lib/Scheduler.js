@@ -1,5 +1,53 @@
 'use strict';
 
+const { Recurrence } = require('./Recurrence');
+const { SolarCalculator } = require('./SolarCalculator');
+
+// Largest offset (in minutes) accepted around a solar anchor
+const MAX_ANCHOR_OFFSET_MINUTES = 12 * 60;
+
+// Comparison operators supported by capability guards
+const GUARD_OPERATORS = ['eq', 'neq', 'lt', 'lte', 'gt', 'gte'];
+
+// Tools that can be captured as direct actions and replayed without Gemini
+const DIRECT_ACTION_TOOLS = ['control_device', 'trigger_flow', 'run_action_card'];
+const MAX_DIRECT_ACTIONS = 10;
+
+// Longest snooze accepted (1 year, in minutes)
+const MAX_SNOOZE_MINUTES = 365 * 24 * 60;
+
+// Bounds of the per-schedule retry policy
+const MAX_POLICY_RETRIES = 10;
+const DEFAULT_RETRY_BACKOFF_SECONDS = 60;
+const MAX_POLICY_DECISIONS = 10;
+
+// Settings key and cap of the execution history (audit log)
+const EXECUTION_HISTORY_KEY = 'scheduled_commands_history';
+const MAX_EXECUTION_HISTORY = 100;
+const MAX_HISTORY_RESPONSE_LENGTH = 2000;
+
+// Conflict detection: schedules on the same target closer than the window are reported,
+// looking at the occurrences of the new schedule within the horizon
+const TARGET_TYPES = ['device', 'zone', 'flow'];
+const MAX_TARGETS = 10;
+const CONFLICT_WINDOW_MINUTES = 15;
+const CONFLICT_HORIZON_DAYS = 7;
+const MAX_CONFLICT_OCCURRENCES = 50;
+
+// Conversation session of scheduled runs, kept apart from chats and flows
+const SCHEDULER_SESSION_ID = 'scheduler';
+
+// Schedule IDs currently executing, kept at module level so a run still in
+// progress on a replaced scheduler also blocks the new one from starting it again
+const runningSchedules = new Set();
+
+// Lifecycle flow trigger cards fired by the scheduler
+const TRIGGER_CREATED = 'scheduled_command_created';
+const TRIGGER_CANCELLED = 'scheduled_command_cancelled';
+const TRIGGER_UPCOMING = 'scheduled_command_upcoming';
+const TRIGGER_EXECUTED = 'scheduled_command_executed';
+const TRIGGER_FAILED = 'scheduled_command_failed';
+
 /**
  * Scheduler
  *
@@ -9,8 +57,42 @@
  *  - **Long delay (≥ 24 h):** periodic checker (every 10 minutes) that reads
  *    persisted commands from Homey settings.
  *
+ * Commands are either one-shot (removed after execution) or recurring
+ * (cron expression or iCal RRULE, see {@link Recurrence}). Recurring commands
+ * are re-armed for their next occurrence after every run.
+ *
+ * The execution time can also be anchored to a solar event (dawn, sunrise,
+ * solar noon, sunset, dusk) with an optional offset, computed offline from
+ * Homey's geolocation (see {@link SolarCalculator}). Recurring anchored
+ * commands resolve the event time again for each day they run on.
+ *
+ * An optional guard is checked right before each run: either a structured
+ * capability comparison or a natural-language yes/no condition. When the guard
+ * does not pass the run is skipped (and still counts as an occurrence).
+ *
+ * A per-schedule policy controls failure handling: transient Gemini errors
+ * (429/503) are retried with exponential backoff, and runs missed while the app
+ * was not running are either fired late (within a grace window), skipped, or
+ * collapsed into a single run on recovery. Every decision is recorded on the
+ * schedule (`policyDecisions`).
+ *
+ * Commands may also carry "direct actions": tool calls resolved when the
+ * schedule was created (e.g. `control_device` with a concrete device and
+ * value). They are replayed through `HomeyMCPAdapter.callTool` without
+ * involving Gemini; the natural language command is only used as a fallback
+ * when the replay fails.
+ *
+ * Before saving, callers can ask for conflict detection: pending commands that
+ * target the same device, zone or flow (from their direct actions or explicit
+ * `targets`) within a few minutes are returned as a structured warning instead.
+ *
+ * Lifecycle flow cards fire when a command is created, cancelled, about to run
+ * (a lead time chosen in each flow), executed and failed.
+ *
  * Commands are persisted in `homey.settings` under the key `scheduled_commands`
- * so that they survive app restarts.
+ * so that they survive app restarts. Every run (executed, skipped, failed, or
+ * missed while the app was not running) is
+ * appended to a capped audit log under `scheduled_commands_history`.
  */
 class Scheduler {
 
@@ -19,17 +101,26 @@ class Scheduler {
      *
      * @public
      * @param {import('homey')} homey - The Homey app instance.
+     * @param {Object} [adapter] - The parent HomeyMCPAdapter instance, used to replay direct actions
+     *   and read guard devices.
      * @example
-     * const scheduler = new Scheduler(homey);
+     * const scheduler = new Scheduler(homey, adapter);
      */
-    constructor(homey) {
+    constructor(homey, adapter = null) {
         this.homey = homey;
+        this.adapter = adapter;
 
         /** @type {?NodeJS.Timeout} Active periodic checker interval (for schedules > 24h) */
         this._schedulerInterval = null;
 
         /** @type {Map<string, NodeJS.Timeout>} Map of active setTimeout IDs, keyed by scheduleId */
         this._scheduledTimeouts = new Map();
+
+        /** @type {Set<string>} Schedule IDs currently executing, shared across re-created schedulers */
+        this._runningSchedules = runningSchedules;
+
+        /** @type {Map<string, NodeJS.Timeout[]>} "About to run" trigger timers, keyed by scheduleId */
+        this._upcomingTimeouts = new Map();
     }
 
     // ── Public Methods ──────────────────────────────────────────────────────────
@@ -42,10 +133,48 @@ class Scheduler {
      * Commands scheduled within 24 hours use `homey.setTimeout`; commands
      * beyond 24 hours are handled by the periodic checker.
      *
+     * When `options.recurrence` is provided the command becomes recurring: the
+     * first execution is the next occurrence of the rule, and `executeAt` (if
+     * given) is only used as the series start for RRULEs.
+     *
+     * When `options.anchor` is provided the time of day comes from a solar event
+     * at Homey's location: one-shot commands run on the date part of `executeAt`
+     * (or at the next such event when omitted), recurring commands run at the
+     * event time of every day matched by the rule (the rule's clock times are
+     * ignored).
+     *
+     * When `options.guard` is provided the command only runs if the guard passes
+     * at execution time; otherwise the run is skipped and the
+     * `scheduled_command_executed` trigger fires with status `skipped`.
+     *
      * @public
      * @param {string} command - Natural language MCP command to execute (e.g. `'turn off all lights'`).
      * @param {string} executeAt - ISO 8601 local datetime string (e.g. `'2026-02-08T22:00:00'`).
+     *   Optional for recurring commands.
      * @param {string} description - Human-readable description shown to the user.
+     * @param {Object} [options={}] - Additional scheduling options.
+     * @param {{ type: 'cron'|'rrule', expression: string }} [options.recurrence] - Recurrence rule,
+     *   evaluated in Homey's timezone.
+     * @param {{ event: 'dawn'|'sunrise'|'solarNoon'|'sunset'|'dusk', offsetMinutes?: number }} [options.anchor]
+     *   Solar anchor; `offsetMinutes` is negative for "before" and positive for "after".
+     * @param {Object} [options.guard] - Execution guard, either
+     *   `{ type: 'capability', deviceName?, deviceId?, capability, operator, value }`
+     *   (operator: `eq`, `neq`, `lt`, `lte`, `gt`, `gte`) or `{ type: 'condition', prompt }`.
+     * @param {Object} [options.policy] - Failure handling policy.
+     * @param {number} [options.policy.maxRetries=0] - Retries after a transient (429/503) error.
+     * @param {number} [options.policy.retryBackoffSeconds=60] - First retry delay, doubled on every retry.
+     * @param {number} [options.policy.graceMinutes] - Runs missed by more than this while the app was not
+     *   running are skipped instead of fired late (default: 24 h + 10 min).
+     * @param {boolean} [options.policy.runOnceOnRecovery=false] - Run missed commands once on recovery
+     *   even beyond the grace window.
+     * @param {Array<{ tool: string, args: Object }>} [options.directActions] - Resolved tool calls
+     *   (`control_device`, `trigger_flow`, `run_action_card`) replayed at execution time instead of
+     *   running the command through Gemini.
+     * @param {Array<{ type: 'device'|'zone'|'flow', name: string }>} [options.targets] - Devices, zones
+     *   or flows the command acts on, used for conflict detection when there are no direct actions.
+     * @param {boolean} [options.checkConflicts=false] - When true, nothing is saved if other pending
+     *   commands act on the same target at a nearby time; the result then has `success: false`,
+     *   `requiresConfirmation: true` and the `conflicts` found.
      * @returns {Promise<Object>} Result object with `success`, `scheduleId`, timing details, and a
      *   localised confirmation message.
      * @example
@@ -55,81 +184,87 @@ class Scheduler {
      *   'Turn off lights at 11pm'
      * );
      * // result.scheduleId === 'schedule_1771767033047_80bzk880w'
+     *
+     * await scheduler.scheduleCommand('open the blinds', null, 'Open blinds on weekdays', {
+     *   recurrence: { type: 'cron', expression: '0 7 * * 1-5' }
+     * });
+     *
+     * await scheduler.scheduleCommand('turn on the garden lights', null, '30 minutes after sunset', {
+     *   recurrence: { type: 'rrule', expression: 'FREQ=DAILY' },
+     *   anchor: { event: 'sunset', offsetMinutes: 30 }
+     * });
+     *
+     * await scheduler.scheduleCommand('turn on the heating', '2026-02-22T06:30:00', 'Heating if cold', {
+     *   guard: { type: 'capability', deviceName: 'Living Room Thermostat', capability: 'measure_temperature', operator: 'lt', value: 19 }
+     * });
      */
-    async scheduleCommand(command, executeAt, description) {
+    async scheduleCommand(command, executeAt, description, options = {}) {
         try {
-            // Validate format
-            if (!executeAt || typeof executeAt !== 'string') {
-                return {
-                    success: false,
-                    error: `Invalid datetime format. Received: ${executeAt}`
-                };
+            const recurrence = options.recurrence || null;
+            const anchor = options.anchor || null;
+
+            let policyData = null;
+            if (options.policy) {
+                const policyValidation = this._validatePolicy(options.policy);
+                if (!policyValidation.success) {
+                    return policyValidation;
+                }
+                policyData = policyValidation.policy;
             }
 
-            // Get Homey's timezone
-            let userTimezone = 'UTC';
-            try {
-                userTimezone = this.homey?.clock?.getTimezone?.() || 'UTC';
-            } catch (e) {
-                this.homey.log('[scheduleCommand] Could not get timezone, using UTC');
+            let directActions = null;
+            if (options.directActions) {
+                const actionsValidation = this._validateDirectActions(options.directActions);
+                if (!actionsValidation.success) {
+                    return actionsValidation;
+                }
+                directActions = actionsValidation.directActions;
             }
 
-            // Parse executeAt as LOCAL time
-            const localDate = new Date(executeAt);
-
-            // Validate parsed date
-            if (isNaN(localDate.getTime())) {
-                return {
-                    success: false,
-                    error: 'Invalid datetime format. Use ISO 8601 format (e.g., 2026-02-08T22:00:00)'
-                };
+            let targets = null;
+            if (options.targets) {
+                const targetsValidation = this._validateTargets(options.targets);
+                if (!targetsValidation.success) {
+                    return targetsValidation;
+                }
+                targets = targetsValidation.targets;
             }
 
-            // Convert LOCAL time to UTC by computing the timezone offset
-            const utcDate = new Date(localDate.toLocaleString('en-US', { timeZone: 'UTC' }));
-            const tzDate = new Date(localDate.toLocaleString('en-US', { timeZone: userTimezone }));
-            const offsetMs = tzDate.getTime() - utcDate.getTime();
+            let guardData = null;
+            if (options.guard) {
+                const guardValidation = this._validateGuard(options.guard);
+                if (!guardValidation.success) {
+                    return guardValidation;
+                }
+                guardData = guardValidation.guard;
+            }
 
-            const executeUTC = new Date(localDate.getTime() - offsetMs);
+            const userTimezone = this._getTimezone();
             const now = new Date();
 
-            this.homey.log(`[scheduleCommand] Input (local): ${executeAt}`);
-            this.homey.log(`[scheduleCommand] Timezone: ${userTimezone}, Offset: ${offsetMs}ms`);
-            this.homey.log(`[scheduleCommand] Converted to UTC: ${executeUTC.toISOString()}`);
-            this.homey.log(`[scheduleCommand] Current UTC: ${now.toISOString()}`);
-
-            const delayMs = executeUTC.getTime() - now.getTime();
-
-            // Allow 60-second tolerance for race conditions (multi-turn loops take time)
-            const TOLERANCE_MS = 60000; // 60 seconds
-
-            if (delayMs < -TOLERANCE_MS) {
-                return {
-                    success: false,
-                    error: 'Scheduled time is too far in the past',
-                    requestedTime: executeAt,
-                    currentTime: now.toISOString(),
-                    delaySeconds: Math.round(delayMs / 1000)
-                };
+            const resolved = this._resolveExecutionTime(executeAt, recurrence, anchor, userTimezone, now);
+            if (!resolved.success) {
+                return resolved;
+            }
+            const { executeUTC, recurrenceData, anchorData, delayMs } = resolved;
+
+            if (options.checkConflicts) {
+                const conflicts = this._findConflicts(null, {
+                    command,
+                    executeAt: executeUTC.toISOString(),
+                    ...(recurrenceData && { recurrence: recurrenceData, runCount: 0 }),
+                    ...(anchorData && { anchor: anchorData }),
+                    ...(directActions && { directActions }),
+                    ...(targets && { targets })
+                });
+                if (conflicts.length > 0) {
+                    return this._buildConflictWarning(conflicts);
+                }
             }
-
-            // If slightly in the past (within tolerance), execute immediately
             const actualDelayMs = Math.max(delayMs, 0);
             const delayMinutes = Math.round(delayMs / 60000);
-            const delayHours = Math.round(delayMs / 3600000);
             const delayDays = Math.round(delayMs / 86400000);
 
-            // Limit to 365 days (1 year)
-            const MAX_DAYS = 365;
-            if (delayDays > MAX_DAYS) {
-                return {
-                    success: false,
-                    error: `Cannot schedule commands more than ${MAX_DAYS} days in the future`,
-                    requestedDelay: `${delayDays} giorni`,
-                    maxDelay: `${MAX_DAYS} giorni`
-                };
-            }
-
             // Create unique identifier
             const scheduleId = `schedule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -140,37 +275,23 @@ class Scheduler {
                 executeAt: executeUTC.toISOString(),
                 description,
                 createdAt: now.toISOString(),
-                status: 'pending'
+                status: 'pending',
+                ...(recurrenceData && { recurrence: recurrenceData, runCount: 0 }),
+                ...(anchorData && { anchor: anchorData }),
+                ...(guardData && { guard: guardData }),
+                ...(policyData && { policy: policyData }),
+                ...(directActions && { directActions }),
+                ...(targets && { targets })
             };
             this.homey.settings.set('scheduled_commands', scheduledCommands);
 
             this.homey.log(`[scheduleCommand] Scheduled ${scheduleId} for ${executeUTC.toISOString()} (in ${delayMinutes} minutes)`);
 
-            // Hybrid scheduling strategy:
-            //  - < 24 h: setTimeout for precise execution
-            //  - ≥ 24 h: periodic checker (every 10 minutes)
-            const HOURS_24_MS = 24 * 60 * 60 * 1000;
-
-            if (actualDelayMs < HOURS_24_MS) {
-                this.homey.log(`[scheduleCommand] Using setTimeout for ${scheduleId} (${Math.round(actualDelayMs / 1000)}s)`);
-                this._scheduleWithTimeout(scheduleId, command, actualDelayMs);
-            } else {
-                this.homey.log(`[scheduleCommand] Using periodic checker for ${scheduleId} (${delayDays} days)`);
-                this._ensureSchedulerCheckerRunning();
-            }
+            this._armSchedule(scheduleId, command, actualDelayMs);
+            await this._triggerLifecycleCard(TRIGGER_CREATED, scheduleId, scheduledCommands[scheduleId]);
 
             // Build human-readable time string
-            let timeInfo;
-            if (delayMinutes === 0) {
-                const seconds = Math.round(actualDelayMs / 1000);
-                timeInfo = `${seconds} second${seconds !== 1 ? 'i' : 'o'}`;
-            } else if (delayMinutes < 60) {
-                timeInfo = `${delayMinutes} minut${delayMinutes !== 1 ? 'i' : 'o'}`;
-            } else if (delayHours < 48) {
-                timeInfo = `${delayHours} or${delayHours !== 1 ? 'e' : 'a'}`;
-            } else {
-                timeInfo = `${delayDays} giorn${delayDays !== 1 ? 'i' : 'o'}`;
-            }
+            const timeInfo = this._formatDelay(delayMs);
 
             return {
                 success: true,
@@ -180,7 +301,19 @@ class Scheduler {
                 description,
                 delayMinutes,
                 delayDays: Math.round(delayDays * 10) / 10,
-                message: `Comando programmato con successo. Verrà eseguito tra ${timeInfo}`
+                ...(recurrenceData && {
+                    recurrence: recurrenceData,
+                    nextOccurrence: executeUTC.toISOString()
+                }),
+                executeAtLocal: Recurrence.toLocalIso(executeUTC, userTimezone),
+                ...(anchorData && { anchor: anchorData }),
+                ...(guardData && { guard: guardData }),
+                ...(policyData && { policy: policyData }),
+                ...(directActions && { directActions }),
+                ...(targets && { targets }),
+                message: recurrenceData
+                    ? `Comando ricorrente programmato con successo. La prossima esecuzione avverrà tra ${timeInfo}`
+                    : `Comando programmato con successo. Verrà eseguito tra ${timeInfo}`
             };
 
         } catch (error) {
@@ -197,8 +330,11 @@ class Scheduler {
      *
      * - Future commands within 24 h are re-registered with `setTimeout`.
      * - Future commands beyond 24 h are handled by the periodic checker.
-     * - Past-due commands (expired < 24 h + 10 min ago) are executed immediately.
-     * - Commands expired longer than that threshold are deleted from settings.
+     * - Past-due commands (expired < 24 h + 10 min ago, or within the schedule's
+     *   `graceMinutes`) are executed immediately.
+     * - One-shot commands expired longer than that threshold are deleted from settings;
+     *   recurring commands are moved forward to their next occurrence instead. With
+     *   `runOnceOnRecovery` they are executed once instead.
      *
      * Must be called from `app.js` `onInit()` after the adapter is ready.
      *
@@ -221,12 +357,52 @@ class Scheduler {
         const TOLERANCE_MS = 10 * 60 * 1000; // 10 minutes
         const PAST_DUE_THRESHOLD = HOURS_24_MS + TOLERANCE_MS;
 
+        let rolledForwardCount = 0;
+        let decisionCount = 0;
+
         for (const [scheduleId, schedule] of Object.entries(scheduledCommands)) {
             if (schedule.status === 'pending') {
-                const executeAt = new Date(schedule.executeAt);
-                const delayMs = executeAt.getTime() - now.getTime();
+                const policy = schedule.policy || {};
+                const graceMs = Number.isInteger(policy.graceMinutes) ? policy.graceMinutes * 60000 : PAST_DUE_THRESHOLD;
+
+                let executeAt = this._getDueAt(schedule);
+                let delayMs = executeAt.getTime() - now.getTime();
+
+                // Missed beyond the grace window: run once anyway (run-once-on-recovery),
+                // or skip to the next occurrence for recurring commands
+                if (delayMs < -graceMs) {
+                    const lateMinutes = Math.round(-delayMs / 60000);
+
+                    if (policy.runOnceOnRecovery) {
+                        this._recordPolicyDecision(schedule, 'run_on_recovery', `${lateMinutes} min late, running once now`);
+                        decisionCount++;
+                    } else if (schedule.recurrence) {
+                        const next = this._computeNextOccurrence(schedule, now);
+                        if (next) {
+                            this._recordPolicyDecision(schedule, 'skipped_missed', `${lateMinutes} min late, moved to ${next.toISOString()}`);
+                            this._recordExecution({
+                                scheduleId,
+                                command: schedule.command,
+                                description: schedule.description,
+                                plannedAt: schedule.executeAt,
+                                executedAt: now.toISOString(),
+                                status: 'missed',
+                                success: false,
+                                error: 'Missed while the app was not running; moved to the next occurrence'
+                            });
+                            this.homey.log(`[restoreScheduledCommands] Rolling recurring ${scheduleId} forward to ${next.toISOString()}`);
+                            schedule.executeAt = next.toISOString();
+                            delete schedule.retryAt;
+                            delete schedule.retryCount;
+                            executeAt = next;
+                            delayMs = executeAt.getTime() - now.getTime();
+                            rolledForwardCount++;
+                        }
+                    }
+                }
 
                 if (delayMs > 0) {
+                    this._armUpcomingTriggers(scheduleId);
                     if (delayMs < HOURS_24_MS) {
                         this.homey.log(`[restoreScheduledCommands] Restoring with setTimeout: ${scheduleId} (in ${Math.round(delayMs / 60000)} minutes)`);
                         this._scheduleWithTimeout(scheduleId, schedule.command, delayMs);
@@ -238,13 +414,25 @@ class Scheduler {
                 } else {
                     const absPastDueMs = Math.abs(delayMs);
 
-                    if (absPastDueMs <= PAST_DUE_THRESHOLD) {
+                    if (absPastDueMs <= graceMs || policy.runOnceOnRecovery) {
                         const lateMinutes = Math.round(absPastDueMs / 60000);
                         this.homey.log(`[restoreScheduledCommands] Past due: ${scheduleId} (${lateMinutes} min late, will execute immediately)`);
                         pastDueCount++;
                     } else {
                         const lateDays = Math.round(absPastDueMs / (24 * 60 * 60 * 1000));
                         this.homey.log(`[restoreScheduledCommands] Deleting expired: ${scheduleId} (${lateDays} days late, too old)`);
+                        this._recordExecution({
+                            scheduleId,
+                            command: schedule.command,
+                            description: schedule.description,
+                            plannedAt: schedule.executeAt,
+                            executedAt: now.toISOString(),
+                            status: 'missed',
+                            success: false,
+                            error: lateDays > 0
+                                ? `Missed while the app was not running (${lateDays} days late)`
+                                : `Missed while the app was not running (${Math.round(absPastDueMs / 60000)} min late, beyond the grace window)`
+                        });
                         delete scheduledCommands[scheduleId];
                         expiredCount++;
                     }
@@ -252,8 +440,8 @@ class Scheduler {
             }
         }
 
-        // Save cleaned settings (expired commands deleted)
-        if (expiredCount > 0) {
+        // Save cleaned settings (expired commands deleted, recurring ones rolled forward, policy decisions)
+        if (expiredCount > 0 || rolledForwardCount > 0 || decisionCount > 0) {
             this.homey.settings.set('scheduled_commands', scheduledCommands);
         }
 
@@ -280,6 +468,10 @@ class Scheduler {
      * @example
      * const list = await scheduler.listScheduledCommands();
      * // [ { scheduleId: '...', command: '...', executeAt: '...', description: '...', createdAt: '...' } ]
+     * // Recurring entries also carry `recurrence`, `nextOccurrence` and `runCount`,
+     * // sun-anchored entries carry `anchor`, guarded entries carry `guard`, entries with a
+     * // failure policy carry `policy`; `policyDecisions` lists the decisions taken so far;
+     * // direct-action entries carry `directActions`, entries with explicit conflict targets carry `targets`.
      */
     async listScheduledCommands() {
         try {
@@ -291,7 +483,19 @@ class Scheduler {
                     command: data.command,
                     executeAt: data.executeAt,
                     description: data.description,
-                    createdAt: data.createdAt
+                    createdAt: data.createdAt,
+                    ...(data.recurrence && {
+                        recurrence: data.recurrence,
+                        nextOccurrence: data.executeAt,
+                        runCount: data.runCount || 0
+                    }),
+                    ...(data.anchor && { anchor: data.anchor }),
+                    ...(data.guard && { guard: data.guard }),
+                    ...(data.policy && { policy: data.policy }),
+                    ...(data.retryAt && { retryAt: data.retryAt, retryCount: data.retryCount }),
+                    ...(data.policyDecisions && { policyDecisions: data.policyDecisions }),
+                    ...(data.directActions && { directActions: data.directActions }),
+                    ...(data.targets && { targets: data.targets })
                 }));
 
             // Sort chronologically by execution time
@@ -340,12 +544,14 @@ class Scheduler {
                 this._scheduledTimeouts.delete(scheduleId);
                 this.homey.log(`[cancelScheduledCommand] Cleared setTimeout for: ${scheduleId}`);
             }
+            this._clearUpcomingTriggers(scheduleId);
 
             // Remove from settings
             delete scheduledCommands[scheduleId];
             this.homey.settings.set('scheduled_commands', scheduledCommands);
 
             this.homey.log(`[cancelScheduledCommand] Cancelled and removed: ${scheduleId}`);
+            await this._triggerLifecycleCard(TRIGGER_CANCELLED, scheduleId, schedule);
 
             return {
                 success: true,
@@ -362,6 +568,359 @@ class Scheduler {
         }
     }
 
+    /**
+     * Updates an existing scheduled command in place, keeping its schedule ID.
+     *
+     * Only the provided fields change. When the timing changes (`executeAt`,
+     * `recurrence` or `anchor`) the execution time is resolved again exactly as in
+     * {@link scheduleCommand} and the timer (or periodic checker) is re-armed.
+     * Passing `null` for `recurrence`, `anchor`, `guard`, `policy`, `directActions` or `targets` removes it.
+     * An `anchor` without `event` keeps the current solar event and only changes its offset.
+     * With `checkConflicts` the update is rejected (nothing is saved) when the edited command
+     * would conflict with another pending one, as in {@link scheduleCommand}.
+     *
+     * @public
+     * @param {string} scheduleId - The schedule ID returned by {@link scheduleCommand}.
+     * @param {Object} changes - Fields to change.
+     * @param {string} [changes.command] - New natural language command.
+     * @param {string} [changes.description] - New description.
+     * @param {string} [changes.executeAt] - New local ISO datetime (series start for RRULEs, date for anchors).
+     * @param {?Object} [changes.recurrence] - New recurrence rule (see {@link scheduleCommand}).
+     * @param {?Object} [changes.anchor] - New solar anchor, or `{ offsetMinutes }` to move the current one.
+     *   A new event without `offsetMinutes` keeps the current offset.
+     * @param {?Object} [changes.guard] - New execution guard.
+     * @param {?Object} [changes.policy] - Policy fields to change, merged into the current policy; `null` removes it.
+     * @param {?Array<Object>} [changes.directActions] - New direct actions.
+     * @param {?Array<Object>} [changes.targets] - New conflict detection targets.
+     * @param {boolean} [changes.checkConflicts=false] - Reject the update if it causes conflicts.
+     * @returns {Promise<Object>} Result object with `success`, the updated schedule details and a
+     *   localised confirmation message.
+     * @example
+     * await scheduler.updateScheduledCommand('schedule_1771767033047_80bzk880w', { executeAt: '2026-02-22T23:00:00' });
+     */
+    async updateScheduledCommand(scheduleId, changes = {}) {
+        try {
+            this.homey.log(`[updateScheduledCommand] Called with scheduleId: ${scheduleId}`);
+
+            // Edited on a copy, so that nothing changes when the update is rejected
+            const scheduledCommands = JSON.parse(JSON.stringify(this.homey.settings.get('scheduled_commands') || {}));
+            const schedule = scheduledCommands[scheduleId];
+
+            if (!schedule || schedule.status !== 'pending') {
+                return { success: false, error: `Schedule ${scheduleId} not found` };
+            }
+            if (this._runningSchedules.has(scheduleId)) {
+                return { success: false, error: `Schedule ${scheduleId} is running right now, retry in a moment` };
+            }
+
+            if (changes.anchor && !changes.anchor.event) {
+                if (!schedule.anchor) {
+                    return { success: false, error: `Schedule ${scheduleId} is not anchored to a solar event: pass 'anchorEvent' together with 'anchorOffsetMinutes'` };
+                }
+                changes = { ...changes, anchor: { event: schedule.anchor.event, offsetMinutes: changes.anchor.offsetMinutes } };
+            } else if (changes.anchor && changes.anchor.offsetMinutes === undefined) {
+                // A new event without an offset keeps the current one
+                changes = { ...changes, anchor: { event: changes.anchor.event, offsetMinutes: schedule.anchor ? schedule.anchor.offsetMinutes : 0 } };
+            }
+            if (changes.guard !== undefined && changes.guard !== null) {
+                const guardValidation = this._validateGuard(changes.guard);
+                if (!guardValidation.success) {
+                    return guardValidation;
+                }
+                changes = { ...changes, guard: guardValidation.guard };
+            }
+            if (changes.policy !== undefined && changes.policy !== null) {
+                // Only the given fields change; a null field drops back to its default
+                const policyValidation = this._validatePolicy({ ...(schedule.policy || {}), ...changes.policy });
+                if (!policyValidation.success) {
+                    return policyValidation;
+                }
+                changes = { ...changes, policy: policyValidation.policy };
+            }
+            if (changes.directActions !== undefined && changes.directActions !== null) {
+                const actionsValidation = this._validateDirectActions(changes.directActions);
+                if (!actionsValidation.success) {
+                    return actionsValidation;
+                }
+                changes = { ...changes, directActions: actionsValidation.directActions };
+            }
+            if (changes.targets !== undefined && changes.targets !== null) {
+                const targetsValidation = this._validateTargets(changes.targets);
+                if (!targetsValidation.success) {
+                    return targetsValidation;
+                }
+                changes = { ...changes, targets: targetsValidation.targets };
+            }
+
+            const timezone = this._getTimezone();
+            const now = new Date();
+            const retime = changes.executeAt !== undefined || changes.recurrence !== undefined || changes.anchor !== undefined;
+
+            if (retime) {
+                const recurrence = changes.recurrence !== undefined
+                    ? changes.recurrence
+                    : (schedule.recurrence ? { type: schedule.recurrence.type, expression: schedule.recurrence.expression } : null);
+                const anchor = changes.anchor !== undefined
+                    ? changes.anchor
+                    : (schedule.anchor ? { event: schedule.anchor.event, offsetMinutes: schedule.anchor.offsetMinutes } : null);
+
+                // Without a new executeAt, keep the current series start / anchor date / local time
+                let executeAt = changes.executeAt;
+                if (executeAt === undefined || executeAt === null) {
+                    if (recurrence) {
+                        executeAt = schedule.recurrence ? schedule.recurrence.dtstart : null;
+                    } else if (anchor) {
+                        executeAt = schedule.anchor && schedule.anchor.date ? schedule.anchor.date : null;
+                    } else {
+                        executeAt = Recurrence.toLocalIso(new Date(schedule.executeAt), timezone);
+                    }
+                }
+
+                const resolved = this._resolveExecutionTime(executeAt, recurrence, anchor, timezone, now);
+                if (!resolved.success) {
+                    return resolved;
+                }
+
+                schedule.executeAt = resolved.executeUTC.toISOString();
+                if (resolved.recurrenceData) {
+                    schedule.recurrence = resolved.recurrenceData;
+                    if (changes.recurrence !== undefined) {
+                        schedule.runCount = 0; // New rule: COUNT starts over
+                    }
+                } else {
+                    delete schedule.recurrence;
+                    delete schedule.runCount;
+                }
+                if (resolved.anchorData) {
+                    schedule.anchor = resolved.anchorData;
+                } else {
+                    delete schedule.anchor;
+                }
+                delete schedule.retryAt;
+                delete schedule.retryCount;
+            }
+
+            if (changes.command) {
+                schedule.command = changes.command;
+            }
+            if (changes.description) {
+                schedule.description = changes.description;
+            }
+            for (const key of ['guard', 'policy', 'directActions', 'targets']) {
+                if (changes[key] === null) {
+                    delete schedule[key];
+                } else if (changes[key] !== undefined) {
+                    schedule[key] = changes[key];
+                }
+            }
+            schedule.updatedAt = now.toISOString();
+
+            if (changes.checkConflicts) {
+                const conflicts = this._findConflicts(scheduleId, schedule, scheduledCommands);
+                if (conflicts.length > 0) {
+                    return this._buildConflictWarning(conflicts);
+                }
+            }
+
+            this.homey.settings.set('scheduled_commands', scheduledCommands);
+
+            // The armed timer captures the command, so re-arm on command changes too
+            if (retime || changes.command) {
+                this._rearmSchedule(scheduleId, schedule, now);
+            }
+
+            this.homey.log(`[updateScheduledCommand] Updated ${scheduleId}, next run ${this._getDueAt(schedule).toISOString()}`);
+
+            return {
+                success: true,
+                scheduleId,
+                command: schedule.command,
+                executeAt: schedule.executeAt,
+                description: schedule.description,
+                ...(schedule.recurrence && { recurrence: schedule.recurrence, nextOccurrence: schedule.executeAt }),
+                ...(schedule.anchor && { anchor: schedule.anchor }),
+                ...(schedule.guard && { guard: schedule.guard }),
+                ...(schedule.policy && { policy: schedule.policy }),
+                ...(schedule.directActions && { directActions: schedule.directActions }),
+                ...(schedule.targets && { targets: schedule.targets }),
+                message: `Comando programmato aggiornato con successo. Verrà eseguito tra ${this._formatDelay(this._getDueAt(schedule).getTime() - now.getTime())}`
+            };
+        } catch (error) {
+            this.homey.error('[updateScheduledCommand] Error:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to update scheduled command'
+            };
+        }
+    }
+
+    /**
+     * Postpones the next run of a scheduled command, keeping its schedule ID.
+     *
+     * For recurring commands only the upcoming occurrence moves; the following
+     * ones are computed from the rule as usual.
+     *
+     * @public
+     * @param {string} scheduleId - The schedule ID returned by {@link scheduleCommand}.
+     * @param {number} minutes - Minutes to postpone the next run by (1 to 525600).
+     * @returns {Promise<Object>} Result object with `success`, the new `executeAt` and a
+     *   localised confirmation message.
+     * @example
+     * await scheduler.snoozeScheduledCommand('schedule_1771767033047_80bzk880w', 60);
+     */
+    async snoozeScheduledCommand(scheduleId, minutes) {
+        try {
+            this.homey.log(`[snoozeScheduledCommand] Called with scheduleId: ${scheduleId}, minutes: ${minutes}`);
+
+            const snoozeMinutes = Number(minutes);
+            if (!Number.isInteger(snoozeMinutes) || snoozeMinutes < 1 || snoozeMinutes > MAX_SNOOZE_MINUTES) {
+                return { success: false, error: `Invalid snooze: minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}` };
+            }
+
+            const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
+            const schedule = scheduledCommands[scheduleId];
+
+            if (!schedule || schedule.status !== 'pending') {
+                return { success: false, error: `Schedule ${scheduleId} not found` };
+            }
+            if (this._runningSchedules.has(scheduleId)) {
+                return { success: false, error: `Schedule ${scheduleId} is running right now, retry in a moment` };
+            }
+
+            const now = new Date();
+            const dueAt = this._getDueAt(schedule);
+            const from = dueAt > now ? dueAt : now;
+            const snoozedTo = new Date(from.getTime() + snoozeMinutes * 60000);
+
+            schedule.executeAt = snoozedTo.toISOString();
+            schedule.updatedAt = now.toISOString();
+            delete schedule.retryAt;
+            delete schedule.retryCount;
+            this.homey.settings.set('scheduled_commands', scheduledCommands);
+
+            this._rearmSchedule(scheduleId, schedule, now);
+
+            this.homey.log(`[snoozeScheduledCommand] Snoozed ${scheduleId} to ${schedule.executeAt}`);
+
+            return {
+                success: true,
+                scheduleId,
+                command: schedule.command,
+                executeAt: schedule.executeAt,
+                description: schedule.description,
+                snoozedMinutes: snoozeMinutes,
+                message: `Comando programmato posticipato di ${this._formatDelay(snoozeMinutes * 60000)}. Verrà eseguito tra ${this._formatDelay(snoozedTo.getTime() - now.getTime())}`
+            };
+        } catch (error) {
+            this.homey.error('[snoozeScheduledCommand] Error:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to snooze scheduled command'
+            };
+        }
+    }
+
+    /**
+     * Schedules a command to run a number of minutes from now.
+     * Convenience wrapper around {@link scheduleCommand} for callers that do not
+     * work with local datetimes (e.g. the "schedule command in N minutes" flow card).
+     *
+     * @public
+     * @param {string} command - Natural language MCP command to execute.
+     * @param {number} minutes - Delay in minutes (greater than 0).
+     * @param {string} description - Human-readable description shown to the user.
+     * @param {Object} [options={}] - Additional scheduling options (see {@link scheduleCommand}).
+     * @returns {Promise<Object>} Same result as {@link scheduleCommand}.
+     * @example
+     * const result = await scheduler.scheduleCommandIn('turn off the oven', 45, 'Oven off');
+     */
+    async scheduleCommandIn(command, minutes, description, options = {}) {
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            return { success: false, error: 'Invalid delay: minutes must be a number greater than 0' };
+        }
+
+        const executeAt = Recurrence.toLocalIso(new Date(Date.now() + minutes * 60000), this._getTimezone());
+        return await this.scheduleCommand(command, executeAt, description, options);
+    }
+
+    /**
+     * Cancels every pending command whose command or description contains the
+     * given text (case-insensitive). Each match goes through
+     * {@link cancelScheduledCommand}, so timers are cleared and the
+     * `scheduled_command_cancelled` card fires for every cancelled command.
+     *
+     * @public
+     * @param {string} text - Text to look for.
+     * @returns {Promise<Object>} Result object with `success`, `count` and the cancelled `scheduleIds`.
+     * @example
+     * const result = await scheduler.cancelMatchingScheduledCommands('irrigation');
+     * // result.count === 2
+     */
+    async cancelMatchingScheduledCommands(text) {
+        const needle = (text || '').trim().toLowerCase();
+        if (!needle) {
+            return { success: false, error: 'Missing text to match' };
+        }
+
+        const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
+        const matches = Object.entries(scheduledCommands)
+            .filter(([_, data]) => data.status === 'pending'
+                && [data.command, data.description].some(value => value && value.toLowerCase().includes(needle)))
+            .map(([id]) => id);
+
+        const scheduleIds = [];
+        for (const scheduleId of matches) {
+            const result = await this.cancelScheduledCommand(scheduleId);
+            if (result.success) {
+                scheduleIds.push(scheduleId);
+            }
+        }
+
+        this.homey.log(`[cancelMatchingScheduledCommands] Cancelled ${scheduleIds.length} command(s) matching "${text}"`);
+
+        return {
+            success: true,
+            count: scheduleIds.length,
+            scheduleIds,
+            message: `Cancelled ${scheduleIds.length} scheduled command(s) matching "${text}"`
+        };
+    }
+
+    /**
+     * Formats an instant as a short local datetime (`YYYY-MM-DD HH:MM`) in Homey's
+     * timezone, as used by the flow card tokens.
+     *
+     * @public
+     * @param {Date|string} date - The instant (Date or ISO string).
+     * @returns {string} Local datetime.
+     * @example
+     * scheduler.formatLocalDateTime('2026-02-22T22:00:00.000Z'); // '2026-02-22 23:00' in Europe/Rome
+     */
+    formatLocalDateTime(date) {
+        return Recurrence.toLocalIso(new Date(date), this._getTimezone()).slice(0, 16).replace('T', ' ');
+    }
+
+    /**
+     * Re-arms the "about to run" trigger timers of all pending commands.
+     * Call it when the lead times used by flows change (the trigger card's
+     * `update` event), so that new lead times take effect without re-creating
+     * the schedules.
+     *
+     * @public
+     * @returns {Promise<void>}
+     * @example
+     * upcomingCard.on('update', () => scheduler.refreshUpcomingTriggers());
+     */
+    async refreshUpcomingTriggers() {
+        const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
+
+        for (const [scheduleId, schedule] of Object.entries(scheduledCommands)) {
+            if (schedule.status === 'pending') {
+                await this._armUpcomingTriggers(scheduleId);
+            }
+        }
+    }
+
     /**
      * Releases all resources held by this scheduler.
      *
@@ -377,14 +936,22 @@ class Scheduler {
     cleanup() {
         if (this._schedulerInterval) {
             this.homey.clearInterval(this._schedulerInterval);
+            this._schedulerInterval = null;
             this.homey.log('[schedulerChecker] Stopped');
         }
 
         if (this._scheduledTimeouts && this._scheduledTimeouts.size > 0) {
             this.homey.log(`[cleanup] Clearing ${this._scheduledTimeouts.size} active setTimeout timers`);
-            // homey.setTimeout timers are auto-cleared on app destroy, but we track them for visibility
+            // Cleared explicitly: the app outlives this scheduler when the client is re-created
+            for (const timeoutId of this._scheduledTimeouts.values()) {
+                this.homey.clearTimeout(timeoutId);
+            }
             this._scheduledTimeouts.clear();
         }
+
+        for (const scheduleId of [...this._upcomingTimeouts.keys()]) {
+            this._clearUpcomingTriggers(scheduleId);
+        }
     }
 
     // ── Private Methods ─────────────────────────────────────────────────────────
@@ -423,8 +990,9 @@ class Scheduler {
     }
 
     /**
-     * Registers a command for execution using `homey.setTimeout`.
-     * Used for commands scheduled within 24 hours.
+     * Arms a persisted command using the hybrid scheduling strategy:
+     *  - < 24 h: `setTimeout` for precise execution
+     *  - ≥ 24 h: periodic checker (every 10 minutes)
      *
      * @private
      * @param {string} scheduleId - Unique schedule identifier.
@@ -432,53 +1000,1234 @@ class Scheduler {
      * @param {number} delayMs - Delay in milliseconds before execution.
      * @returns {void}
      */
-    _scheduleWithTimeout(scheduleId, command, delayMs) {
-        const timeoutId = this.homey.setTimeout(async () => {
-            this.homey.log(`[setTimeout] Executing scheduled command: ${scheduleId}`);
-            await this._executeScheduledCommand(scheduleId, command);
-            this._scheduledTimeouts.delete(scheduleId);
-        }, delayMs);
+    _armSchedule(scheduleId, command, delayMs) {
+        const HOURS_24_MS = 24 * 60 * 60 * 1000;
 
-        this._scheduledTimeouts.set(scheduleId, timeoutId);
+        if (delayMs < HOURS_24_MS) {
+            this.homey.log(`[_armSchedule] Using setTimeout for ${scheduleId} (${Math.round(delayMs / 1000)}s)`);
+            this._scheduleWithTimeout(scheduleId, command, delayMs);
+        } else {
+            this.homey.log(`[_armSchedule] Using periodic checker for ${scheduleId} (${Math.round(delayMs / 86400000)} days)`);
+            this._ensureSchedulerCheckerRunning();
+        }
+
+        this._armUpcomingTriggers(scheduleId);
     }
 
     /**
-     * Checks all persisted pending commands and executes any whose time has passed.
-     * Called by the periodic checker and on restart for past-due commands.
+     * Arms one timer per lead time used by flows with the
+     * `scheduled_command_upcoming` card, firing that many minutes before the
+     * persisted due time of the command. Lead times that are already past are skipped, and timers
+     * more than 24 h away are left to the periodic checker, which calls this
+     * method again on every tick. Re-arming replaces the previous timers.
      *
      * @private
+     * @param {string} scheduleId - Unique schedule identifier.
      * @returns {Promise<void>}
      */
-    async _checkAndExecutePendingCommands() {
-        const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
-        const now = new Date();
+    async _armUpcomingTriggers(scheduleId) {
+        const HOURS_24_MS = 24 * 60 * 60 * 1000;
 
-        for (const [scheduleId, schedule] of Object.entries(scheduledCommands)) {
-            if (schedule.status === 'pending') {
-                const executeAt = new Date(schedule.executeAt);
+        let leadMinutes = [];
+        try {
+            const card = this._getTriggerCard(TRIGGER_UPCOMING);
+            const argumentValues = card ? await card.getArgumentValues() : [];
+            leadMinutes = [...new Set(argumentValues
+                .map(args => Number(args.lead_minutes))
+                .filter(minutes => Number.isFinite(minutes) && minutes > 0))];
+        } catch (error) {
+            this.homey.error(`[_armUpcomingTriggers] Could not read lead times for ${scheduleId}:`, error.message);
+        }
 
-                if (now >= executeAt) {
-                    this.homey.log(`[schedulerChecker] Executing due command: ${scheduleId}`);
-                    await this._executeScheduledCommand(scheduleId, schedule.command);
-                }
+        // Cleared only now, so that concurrent calls cannot leave duplicate timers behind
+        this._clearUpcomingTriggers(scheduleId);
+
+        const pending = (this.homey.settings.get('scheduled_commands') || {})[scheduleId];
+        if (!pending || pending.status !== 'pending') {
+            return; // Removed while the lead times were being read
+        }
+        const dueAtMs = this._getDueAt(pending).getTime();
+
+        const timeouts = [];
+        for (const minutes of leadMinutes) {
+            const delayMs = dueAtMs - minutes * 60000 - Date.now();
+            if (delayMs <= 0 || delayMs >= HOURS_24_MS) {
+                continue;
             }
+
+            timeouts.push(this.homey.setTimeout(async () => {
+                const schedule = (this.homey.settings.get('scheduled_commands') || {})[scheduleId];
+
+                // Skip timers made stale by a cancel, update or snooze
+                if (!schedule || schedule.status !== 'pending' || this._getDueAt(schedule).getTime() !== dueAtMs) {
+                    return;
+                }
+
+                this.homey.log(`[_armUpcomingTriggers] ${scheduleId} runs in ${minutes} minutes`);
+                await this._triggerLifecycleCard(TRIGGER_UPCOMING, scheduleId, schedule, {}, { lead_minutes: minutes });
+            }, delayMs));
+        }
+
+        if (timeouts.length > 0) {
+            this._upcomingTimeouts.set(scheduleId, timeouts);
         }
     }
 
     /**
-     * Executes a scheduled command via `GeminiClient.generateTextWithMCP` and
-     * triggers the `scheduled_command_executed` flow card.
-     * Removes the command from settings regardless of execution outcome.
+     * Clears the "about to run" trigger timers of a schedule.
      *
      * @private
-     * @param {string} scheduleId - The schedule ID to execute and remove.
-     * @param {string} command - The natural language command to execute.
-     * @returns {Promise<void>}
+     * @param {string} scheduleId - Unique schedule identifier.
+     * @returns {void}
      */
-    async _executeScheduledCommand(scheduleId, command) {
-        this.homey.log(`[_executeScheduledCommand] Executing: ${scheduleId}`);
+    _clearUpcomingTriggers(scheduleId) {
+        for (const timeoutId of this._upcomingTimeouts.get(scheduleId) || []) {
+            this.homey.clearTimeout(timeoutId);
+        }
+        this._upcomingTimeouts.delete(scheduleId);
+    }
 
-        try {
+    /**
+     * Clears the pending timer of a schedule (if any) and arms it again for its
+     * current due time. Used after a schedule has been edited.
+     *
+     * @private
+     * @param {string} scheduleId - Unique schedule identifier.
+     * @param {Object} schedule - The (already persisted) schedule entry.
+     * @param {Date} now - Current instant.
+     * @returns {void}
+     */
+    _rearmSchedule(scheduleId, schedule, now) {
+        if (this._scheduledTimeouts.has(scheduleId)) {
+            this.homey.clearTimeout(this._scheduledTimeouts.get(scheduleId));
+            this._scheduledTimeouts.delete(scheduleId);
+        }
+        this._armSchedule(scheduleId, schedule.command, Math.max(this._getDueAt(schedule).getTime() - now.getTime(), 0));
+    }
+
+    /**
+     * Registers a command for execution using `homey.setTimeout`.
+     * Used for commands scheduled within 24 hours.
+     *
+     * @private
+     * @param {string} scheduleId - Unique schedule identifier.
+     * @param {string} command - Natural language command to execute.
+     * @param {number} delayMs - Delay in milliseconds before execution.
+     * @returns {void}
+     */
+    _scheduleWithTimeout(scheduleId, command, delayMs) {
+        const armedAtMs = Date.now() + delayMs;
+
+        const timeoutId = this.homey.setTimeout(async () => {
+            // Forget the fired timer before executing: recurring commands re-arm
+            // themselves during execution and register a new timer under the same id.
+            if (this._scheduledTimeouts.get(scheduleId) === timeoutId) {
+                this._scheduledTimeouts.delete(scheduleId);
+            }
+
+            const schedule = (this.homey.settings.get('scheduled_commands') || {})[scheduleId];
+
+            // Skip timers made stale by a cancel, update or snooze. A past-due
+            // schedule is armed with no delay, so only a later due time counts there.
+            const dueAtMs = schedule && schedule.status === 'pending' ? this._getDueAt(schedule).getTime() : null;
+            if (dueAtMs === null || dueAtMs - armedAtMs > 1000 || (delayMs > 0 && armedAtMs - dueAtMs > 1000)) {
+                this.homey.log(`[setTimeout] Skipping stale timer for ${scheduleId}`);
+                return;
+            }
+
+            this.homey.log(`[setTimeout] Executing scheduled command: ${scheduleId}`);
+            await this._executeScheduledCommand(scheduleId, schedule.command);
+        }, delayMs);
+
+        this._scheduledTimeouts.set(scheduleId, timeoutId);
+    }
+
+    /**
+     * Resolves the first execution time of a command from its one-shot datetime,
+     * recurrence rule and/or solar anchor, and checks that it is neither in the
+     * past (beyond a 60-second tolerance) nor more than 365 days away.
+     *
+     * @private
+     * @param {?string} executeAt - Local ISO datetime (or date, for anchors).
+     * @param {?{ type: 'cron'|'rrule', expression: string }} recurrence - Optional recurrence rule.
+     * @param {?{ event: string, offsetMinutes?: number }} anchor - Optional solar anchor.
+     * @param {string} timezone - IANA timezone of Homey.
+     * @param {Date} now - Current instant.
+     * @returns {{ success: true, executeUTC: Date, recurrenceData: ?Object, anchorData: ?Object, delayMs: number }|{ success: false, error: string }}
+     */
+    _resolveExecutionTime(executeAt, recurrence, anchor, timezone, now) {
+        // Validate format
+        if (!recurrence && !anchor && (!executeAt || typeof executeAt !== 'string')) {
+            return {
+                success: false,
+                error: `Invalid datetime format. Received: ${executeAt}`
+            };
+        }
+
+        let executeUTC;
+        let recurrenceData = null;
+        let anchorData = null;
+
+        if (anchor) {
+            const resolved = this._resolveAnchor(anchor, recurrence, executeAt, timezone, now);
+            if (!resolved.success) {
+                return resolved;
+            }
+            executeUTC = resolved.nextOccurrence;
+            anchorData = resolved.anchor;
+            recurrenceData = resolved.recurrence;
+
+            this.homey.log(`[_resolveExecutionTime] Anchor: ${anchorData.event} ${anchorData.offsetMinutes >= 0 ? '+' : ''}${anchorData.offsetMinutes} min in ${timezone}${recurrenceData ? ` (${recurrenceData.type}: ${recurrenceData.expression})` : ''}`);
+            this.homey.log(`[_resolveExecutionTime] First occurrence (UTC): ${executeUTC.toISOString()}`);
+        } else if (recurrence) {
+            const resolved = this._resolveRecurrence(recurrence, executeAt, timezone, now);
+            if (!resolved.success) {
+                return resolved;
+            }
+            executeUTC = resolved.nextOccurrence;
+            recurrenceData = resolved.recurrence;
+
+            this.homey.log(`[_resolveExecutionTime] Recurrence (${recurrenceData.type}): ${recurrenceData.expression} in ${timezone}`);
+            this.homey.log(`[_resolveExecutionTime] First occurrence (UTC): ${executeUTC.toISOString()}`);
+        } else {
+            // Parse executeAt as LOCAL time
+            const localDate = new Date(executeAt);
+
+            // Validate parsed date
+            if (isNaN(localDate.getTime())) {
+                return {
+                    success: false,
+                    error: 'Invalid datetime format. Use ISO 8601 format (e.g., 2026-02-08T22:00:00)'
+                };
+            }
+
+            // Convert LOCAL time to UTC by computing the timezone offset
+            const utcDate = new Date(localDate.toLocaleString('en-US', { timeZone: 'UTC' }));
+            const tzDate = new Date(localDate.toLocaleString('en-US', { timeZone: timezone }));
+            const offsetMs = tzDate.getTime() - utcDate.getTime();
+
+            executeUTC = new Date(localDate.getTime() - offsetMs);
+
+            this.homey.log(`[_resolveExecutionTime] Input (local): ${executeAt}`);
+            this.homey.log(`[_resolveExecutionTime] Timezone: ${timezone}, Offset: ${offsetMs}ms`);
+            this.homey.log(`[_resolveExecutionTime] Converted to UTC: ${executeUTC.toISOString()}`);
+        }
+        this.homey.log(`[_resolveExecutionTime] Current UTC: ${now.toISOString()}`);
+
+        const delayMs = executeUTC.getTime() - now.getTime();
+
+        // Allow 60-second tolerance for race conditions (multi-turn loops take time)
+        const TOLERANCE_MS = 60000; // 60 seconds
+
+        if (delayMs < -TOLERANCE_MS) {
+            return {
+                success: false,
+                error: 'Scheduled time is too far in the past',
+                requestedTime: executeAt,
+                currentTime: now.toISOString(),
+                delaySeconds: Math.round(delayMs / 1000)
+            };
+        }
+
+        const delayDays = Math.round(delayMs / 86400000);
+
+        // Limit to 365 days (1 year)
+        const MAX_DAYS = 365;
+        if (delayDays > MAX_DAYS) {
+            return {
+                success: false,
+                error: `Cannot schedule commands more than ${MAX_DAYS} days in the future`,
+                requestedDelay: `${delayDays} giorni`,
+                maxDelay: `${MAX_DAYS} giorni`
+            };
+        }
+
+        return { success: true, executeUTC, recurrenceData, anchorData, delayMs };
+    }
+
+    /**
+     * Returns Homey's IANA timezone, falling back to UTC.
+     *
+     * @private
+     * @returns {string}
+     */
+    _getTimezone() {
+        try {
+            return this.homey?.clock?.getTimezone?.() || 'UTC';
+        } catch (e) {
+            this.homey.log('[_getTimezone] Could not get timezone, using UTC');
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Formats a delay as a short Italian duration for confirmation messages
+     * (e.g. `'5 minuti'`, `'2 ore'`, `'3 giorni'`).
+     *
+     * @private
+     * @param {number} delayMs - Delay in milliseconds (negative values count as 0).
+     * @returns {string}
+     */
+    _formatDelay(delayMs) {
+        const actualDelayMs = Math.max(delayMs, 0);
+        const delayMinutes = Math.round(delayMs / 60000);
+        const delayHours = Math.round(delayMs / 3600000);
+        const delayDays = Math.round(delayMs / 86400000);
+
+        if (delayMinutes <= 0) {
+            const seconds = Math.round(actualDelayMs / 1000);
+            return `${seconds} second${seconds !== 1 ? 'i' : 'o'}`;
+        } else if (delayMinutes < 60) {
+            return `${delayMinutes} minut${delayMinutes !== 1 ? 'i' : 'o'}`;
+        } else if (delayHours < 48) {
+            return `${delayHours} or${delayHours !== 1 ? 'e' : 'a'}`;
+        }
+        return `${delayDays} giorn${delayDays !== 1 ? 'i' : 'o'}`;
+    }
+
+    /**
+     * Validates a recurrence definition and computes its first occurrence.
+     *
+     * @private
+     * @param {{ type: 'cron'|'rrule', expression: string }} recurrence - The recurrence definition.
+     * @param {?string} executeAt - Optional local ISO datetime used as the RRULE series start.
+     * @param {string} timezone - IANA timezone in which the rule is evaluated.
+     * @param {Date} now - Current instant.
+     * @param {?Function} [resolveDayTimes=null] - Optional per-day time resolver (see {@link Recurrence.getNextOccurrence}).
+     * @returns {{ success: true, recurrence: Object, nextOccurrence: Date }|{ success: false, error: string }}
+     */
+    _resolveRecurrence(recurrence, executeAt, timezone, now, resolveDayTimes = null) {
+        let definition;
+        try {
+            definition = Recurrence.validate(recurrence);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        let dtstart = Recurrence.toLocalIso(now, timezone).replace(/:\d{2}$/, ':00');
+        if (executeAt) {
+            if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(executeAt)) {
+                return {
+                    success: false,
+                    error: 'Invalid datetime format. Use ISO 8601 format (e.g., 2026-02-08T22:00:00)'
+                };
+            }
+            dtstart = executeAt.length === 16 ? `${executeAt}:00` : executeAt;
+        }
+
+        const recurrenceData = { ...definition, timezone, dtstart };
+        const nextOccurrence = Recurrence.getNextOccurrence(recurrenceData, now, timezone, 0, resolveDayTimes);
+
+        if (!nextOccurrence) {
+            return {
+                success: false,
+                error: `Recurrence rule "${definition.expression}" has no future occurrences`
+            };
+        }
+
+        return { success: true, recurrence: recurrenceData, nextOccurrence };
+    }
+
+    /**
+     * Validates a solar anchor and computes the first execution time.
+     *
+     * @private
+     * @param {{ event: string, offsetMinutes?: number }} anchor - The anchor definition.
+     * @param {?{ type: 'cron'|'rrule', expression: string }} recurrence - Optional recurrence selecting the days.
+     * @param {?string} executeAt - Local ISO date(time); for one-shot anchors only its date part is used.
+     * @param {string} timezone - IANA timezone of Homey.
+     * @param {Date} now - Current instant.
+     * @returns {{ success: true, anchor: Object, recurrence: ?Object, nextOccurrence: Date }|{ success: false, error: string }}
+     */
+    _resolveAnchor(anchor, recurrence, executeAt, timezone, now) {
+        const events = SolarCalculator.getSupportedEvents();
+        if (!anchor || !events.includes(anchor.event)) {
+            return {
+                success: false,
+                error: `Invalid anchor event "${anchor && anchor.event}". Supported: ${events.join(', ')}`
+            };
+        }
+
+        const offsetMinutes = anchor.offsetMinutes === undefined || anchor.offsetMinutes === null
+            ? 0
+            : Number(anchor.offsetMinutes);
+        if (!Number.isInteger(offsetMinutes) || Math.abs(offsetMinutes) > MAX_ANCHOR_OFFSET_MINUTES) {
+            return {
+                success: false,
+                error: `Invalid anchor offset "${anchor.offsetMinutes}": must be a whole number of minutes between -${MAX_ANCHOR_OFFSET_MINUTES} and ${MAX_ANCHOR_OFFSET_MINUTES}`
+            };
+        }
+
+        const anchorData = { event: anchor.event, offsetMinutes };
+        const resolveDayTimes = this._buildAnchorResolver(anchorData, timezone);
+        if (!resolveDayTimes) {
+            return {
+                success: false,
+                error: 'Homey location is not available: cannot compute solar times'
+            };
+        }
+
+        if (recurrence) {
+            const resolved = this._resolveRecurrence(recurrence, executeAt, timezone, now, resolveDayTimes);
+            if (!resolved.success) {
+                return resolved;
+            }
+            return { success: true, anchor: anchorData, recurrence: resolved.recurrence, nextOccurrence: resolved.nextOccurrence };
+        }
+
+        // One-shot: a specific date, or the first upcoming event
+        let date = null;
+        if (executeAt) {
+            const match = typeof executeAt === 'string' && executeAt.match(/^(\d{4})-(\d{2})-(\d{2})/);
+            if (!match) {
+                return {
+                    success: false,
+                    error: 'Invalid date format. Use ISO 8601 format (e.g., 2026-02-08)'
+                };
+            }
+            date = { year: +match[1], month: +match[2], day: +match[3] };
+            anchorData.date = match[0];
+        }
+
+        const nextOccurrence = date
+            ? (resolveDayTimes(date.year, date.month, date.day)[0] || null)
+            : Recurrence.getNextOccurrence({ type: 'cron', expression: '@daily' }, now, timezone, 0, resolveDayTimes);
+
+        if (!nextOccurrence) {
+            return {
+                success: false,
+                error: `The sun does not reach "${anchorData.event}" on the requested day at Homey's location`
+            };
+        }
+
+        return { success: true, anchor: anchorData, recurrence: null, nextOccurrence };
+    }
+
+    /**
+     * Builds a per-day time resolver for a solar anchor, using Homey's current location.
+     *
+     * The location is read on every call, so the times follow a change of
+     * Homey's configured address.
+     *
+     * @private
+     * @param {{ event: string, offsetMinutes: number }} anchor - Validated anchor definition.
+     * @param {string} timezone - IANA timezone of Homey.
+     * @returns {?function(number, number, number): Date[]} The resolver, or `null` if the location is unavailable.
+     */
+    _buildAnchorResolver(anchor, timezone) {
+        let latitude;
+        let longitude;
+        try {
+            latitude = this.homey.geolocation.getLatitude();
+            longitude = this.homey.geolocation.getLongitude();
+        } catch (error) {
+            this.homey.error('[_buildAnchorResolver] Could not get Homey location:', error.message);
+            return null;
+        }
+
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            return null;
+        }
+
+        return (year, month, day) => {
+            // Local noon identifies the solar day unambiguously in every timezone
+            const noon = Recurrence.zonedTimeToUtc(year, month, day, 12, 0, 0, timezone);
+            const eventTime = SolarCalculator.getEventTime(anchor.event, noon, latitude, longitude);
+            if (!eventTime) {
+                return []; // Polar day/night: no occurrence on this day
+            }
+            const ms = eventTime.getTime() + (anchor.offsetMinutes || 0) * 60000;
+            return [new Date(Math.round(ms / 60000) * 60000)];
+        };
+    }
+
+    /**
+     * Validates and normalises a failure handling policy.
+     *
+     * @private
+     * @param {Object} policy - Raw policy (see {@link scheduleCommand}).
+     * @returns {{ success: true, policy: Object }|{ success: false, error: string }}
+     */
+    _validatePolicy(policy) {
+        const normalized = {};
+
+        if (policy.maxRetries !== undefined && policy.maxRetries !== null) {
+            const maxRetries = Number(policy.maxRetries);
+            if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > MAX_POLICY_RETRIES) {
+                return { success: false, error: `Invalid policy: maxRetries must be a whole number between 0 and ${MAX_POLICY_RETRIES}` };
+            }
+            normalized.maxRetries = maxRetries;
+        }
+
+        if (policy.retryBackoffSeconds !== undefined && policy.retryBackoffSeconds !== null) {
+            const backoff = Number(policy.retryBackoffSeconds);
+            if (!Number.isInteger(backoff) || backoff < 5 || backoff > 3600) {
+                return { success: false, error: 'Invalid policy: retryBackoffSeconds must be a whole number between 5 and 3600' };
+            }
+            normalized.retryBackoffSeconds = backoff;
+        }
+
+        if (policy.graceMinutes !== undefined && policy.graceMinutes !== null) {
+            const grace = Number(policy.graceMinutes);
+            if (!Number.isInteger(grace) || grace < 0) {
+                return { success: false, error: 'Invalid policy: graceMinutes must be a non-negative whole number' };
+            }
+            normalized.graceMinutes = grace;
+        }
+
+        if (policy.runOnceOnRecovery !== undefined && policy.runOnceOnRecovery !== null) {
+            normalized.runOnceOnRecovery = policy.runOnceOnRecovery === true || policy.runOnceOnRecovery === 'true';
+        }
+
+        return { success: true, policy: normalized };
+    }
+
+    /**
+     * Appends a policy decision to a schedule entry (the caller persists it),
+     * keeping only the most recent ones.
+     *
+     * @private
+     * @param {Object} schedule - Persisted schedule entry (mutated).
+     * @param {'retry_scheduled'|'retries_exhausted'|'skipped_missed'|'run_on_recovery'} decision - Decision taken.
+     * @param {string} detail - Human-readable detail.
+     * @returns {void}
+     */
+    _recordPolicyDecision(schedule, decision, detail) {
+        const decisions = schedule.policyDecisions || [];
+        decisions.push({ at: new Date().toISOString(), decision, detail });
+        schedule.policyDecisions = decisions.slice(-MAX_POLICY_DECISIONS);
+    }
+
+    /**
+     * Returns the instant at which a schedule is due: its pending retry if any,
+     * otherwise its planned execution time.
+     *
+     * @private
+     * @param {Object} schedule - Persisted schedule entry.
+     * @returns {Date}
+     */
+    _getDueAt(schedule) {
+        return new Date(schedule.retryAt || schedule.executeAt);
+    }
+
+    /**
+     * Checks whether an error is transient (quota exceeded or service overloaded)
+     * and therefore worth retrying later.
+     *
+     * @private
+     * @param {Error} error - The error thrown by the Gemini call.
+     * @returns {boolean}
+     */
+    _isTransientError(error) {
+        const errorStr = `${error && error.message} ${JSON.stringify(error)}`.toLowerCase();
+        return errorStr.includes('429') ||
+            errorStr.includes('503') ||
+            errorStr.includes('quota') ||
+            errorStr.includes('resource_exhausted') ||
+            errorStr.includes('service unavailable') ||
+            errorStr.includes('service_unavailable') ||
+            errorStr.includes('high demand');
+    }
+
+    /**
+     * Applies the retry policy after a failed run. When a retry is allowed the
+     * schedule is kept, its `retryAt`/`retryCount` are persisted and a timer is
+     * armed; otherwise the caller finalizes the run.
+     *
+     * @private
+     * @param {string} scheduleId - The schedule ID that failed.
+     * @param {Error} error - The error thrown by the run.
+     * @returns {?{ attempt: number, maxRetries: number, delayMs: number }} The planned retry, or `null`
+     *   when the run must not be retried.
+     */
+    _planRetry(scheduleId, error) {
+        const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
+        const schedule = scheduledCommands[scheduleId];
+        const maxRetries = schedule && schedule.policy ? schedule.policy.maxRetries || 0 : 0;
+
+        if (!schedule || maxRetries === 0) {
+            return null; // No policy (or cancelled while running): keep the historical behaviour
+        }
+
+        const retryCount = schedule.retryCount || 0;
+
+        if (!this._isTransientError(error)) {
+            this._recordPolicyDecision(schedule, 'retries_exhausted', `Not retried, non-transient error: ${error.message}`);
+            this.homey.settings.set('scheduled_commands', scheduledCommands);
+            return null;
+        }
+
+        if (retryCount >= maxRetries) {
+            this._recordPolicyDecision(schedule, 'retries_exhausted', `Gave up after ${retryCount} retries: ${error.message}`);
+            this.homey.settings.set('scheduled_commands', scheduledCommands);
+            return null;
+        }
+
+        const backoffSeconds = schedule.policy.retryBackoffSeconds || DEFAULT_RETRY_BACKOFF_SECONDS;
+        const delayMs = backoffSeconds * 1000 * Math.pow(2, retryCount);
+
+        schedule.retryCount = retryCount + 1;
+        schedule.retryAt = new Date(Date.now() + delayMs).toISOString();
+        this._recordPolicyDecision(schedule, 'retry_scheduled', `Retry ${schedule.retryCount}/${maxRetries} in ${Math.round(delayMs / 1000)}s: ${error.message}`);
+        this.homey.settings.set('scheduled_commands', scheduledCommands);
+
+        this.homey.log(`[_planRetry] Retry ${schedule.retryCount}/${maxRetries} for ${scheduleId} in ${Math.round(delayMs / 1000)}s`);
+        this._armSchedule(scheduleId, schedule.command, delayMs);
+
+        return { attempt: schedule.retryCount, maxRetries, delayMs };
+    }
+
+    /**
+     * Validates the direct actions of a schedule.
+     *
+     * @private
+     * @param {Array<{ tool: string, args: Object }>} directActions - Raw direct actions.
+     * @returns {{ success: true, directActions: Array<Object> }|{ success: false, error: string }}
+     */
+    _validateDirectActions(directActions) {
+        if (!Array.isArray(directActions) || directActions.length === 0) {
+            return { success: false, error: 'Invalid directActions: expected a non-empty array of { tool, args }' };
+        }
+        if (directActions.length > MAX_DIRECT_ACTIONS) {
+            return { success: false, error: `Invalid directActions: at most ${MAX_DIRECT_ACTIONS} actions are allowed` };
+        }
+
+        const normalized = [];
+        for (const action of directActions) {
+            if (!action || !DIRECT_ACTION_TOOLS.includes(action.tool)) {
+                return {
+                    success: false,
+                    error: `Invalid direct action tool "${action && action.tool}". Supported: ${DIRECT_ACTION_TOOLS.join(', ')}`
+                };
+            }
+            if (!action.args || typeof action.args !== 'object' || Array.isArray(action.args)) {
+                return { success: false, error: `Invalid direct action "${action.tool}": 'args' must be an object` };
+            }
+            normalized.push({ tool: action.tool, args: action.args });
+        }
+
+        return { success: true, directActions: normalized };
+    }
+
+    /**
+     * Validates the conflict detection targets of a schedule.
+     *
+     * @private
+     * @param {Array<{ type: string, name: string }>} targets - Raw targets.
+     * @returns {{ success: true, targets: Array<Object> }|{ success: false, error: string }}
+     */
+    _validateTargets(targets) {
+        if (!Array.isArray(targets)) {
+            return { success: false, error: 'Invalid targets: expected an array of { type, name }' };
+        }
+        if (targets.length > MAX_TARGETS) {
+            return { success: false, error: `Invalid targets: at most ${MAX_TARGETS} targets are allowed` };
+        }
+
+        const normalized = [];
+        for (const target of targets) {
+            if (!target || !TARGET_TYPES.includes(target.type)) {
+                return { success: false, error: `Invalid target type "${target && target.type}". Supported: ${TARGET_TYPES.join(', ')}` };
+            }
+            if (typeof target.name !== 'string' || !target.name.trim()) {
+                return { success: false, error: `Invalid ${target.type} target: 'name' is required` };
+            }
+            normalized.push({ type: target.type, name: target.name.trim() });
+        }
+
+        return { success: true, targets: normalized };
+    }
+
+    /**
+     * Collects what a schedule acts on: the devices and flows of its direct
+     * actions (with capability and value for `control_device`) plus its explicit targets.
+     *
+     * @private
+     * @param {Object} schedule - Schedule entry.
+     * @returns {Array<{ type: string, name: ?string, id?: string, capability?: string, value?: * }>}
+     */
+    _getScheduleTargets(schedule) {
+        const targets = [];
+
+        for (const action of schedule.directActions || []) {
+            const args = action.args || {};
+            if (action.tool === 'control_device' || action.tool === 'run_action_card') {
+                targets.push({
+                    type: 'device',
+                    name: args.deviceName || null,
+                    ...(args.deviceId && { id: args.deviceId }),
+                    ...(action.tool === 'control_device' && { capability: args.capability, value: args.value })
+                });
+            } else if (action.tool === 'trigger_flow') {
+                targets.push({ type: 'flow', name: args.flowName || null });
+            }
+        }
+
+        for (const target of schedule.targets || []) {
+            targets.push({ type: target.type, name: target.name });
+        }
+
+        return targets.filter(target => target.name || target.id);
+    }
+
+    /**
+     * Tells whether two targets designate the same device, zone or flow
+     * (same ID, or same name ignoring case).
+     *
+     * @private
+     * @param {Object} a - First target.
+     * @param {Object} b - Second target.
+     * @returns {boolean}
+     */
+    _targetsMatch(a, b) {
+        if (a.type !== b.type) {
+            return false;
+        }
+        if (a.id && b.id) {
+            return a.id === b.id;
+        }
+        return !!a.name && !!b.name && a.name.trim().toLowerCase() === b.name.trim().toLowerCase();
+    }
+
+    /**
+     * Returns the run times of a schedule between two instants: its due time for
+     * one-shot commands, every occurrence in the range for recurring ones
+     * (at most {@link MAX_CONFLICT_OCCURRENCES}).
+     *
+     * @private
+     * @param {Object} schedule - Schedule entry.
+     * @param {number} fromMs - Range start (epoch milliseconds).
+     * @param {number} untilMs - Range end (epoch milliseconds).
+     * @returns {Date[]}
+     */
+    _getRunTimesBetween(schedule, fromMs, untilMs) {
+        const dueAt = this._getDueAt(schedule);
+        if (!schedule.recurrence) {
+            return dueAt.getTime() >= fromMs && dueAt.getTime() <= untilMs ? [dueAt] : [];
+        }
+
+        const times = [];
+        let next = dueAt.getTime() >= fromMs ? dueAt : this._computeNextOccurrence(schedule, new Date(fromMs - 1));
+        while (next && next.getTime() <= untilMs && times.length < MAX_CONFLICT_OCCURRENCES) {
+            times.push(next);
+            next = this._computeNextOccurrence(schedule, next);
+        }
+        return times;
+    }
+
+    /**
+     * Finds the pending commands that act on a target of `candidate` less than
+     * {@link CONFLICT_WINDOW_MINUTES} apart from one of its runs (within the
+     * next {@link CONFLICT_HORIZON_DAYS} days of runs for recurring commands).
+     * A conflict is `contradictory` when both set the same capability of a device
+     * to different values, `duplicate` when they set the same value, and
+     * `overlap` otherwise. One conflict is reported per conflicting command.
+     *
+     * @private
+     * @param {?string} scheduleId - ID of the candidate when it is an existing command, excluded from the search.
+     * @param {Object} candidate - Schedule entry to check (not necessarily persisted).
+     * @param {Object} [scheduledCommands] - Persisted commands (read from settings when omitted).
+     * @returns {Array<Object>} Conflicts, closest first.
+     */
+    _findConflicts(scheduleId, candidate, scheduledCommands = null) {
+        const candidateTargets = this._getScheduleTargets(candidate);
+        if (candidateTargets.length === 0) {
+            return [];
+        }
+
+        const windowMs = CONFLICT_WINDOW_MINUTES * 60000;
+        const firstRun = this._getDueAt(candidate).getTime();
+        const candidateRuns = this._getRunTimesBetween(candidate, firstRun, firstRun + CONFLICT_HORIZON_DAYS * 86400000);
+        if (candidateRuns.length === 0) {
+            return [];
+        }
+        const rangeStart = candidateRuns[0].getTime() - windowMs;
+        const rangeEnd = candidateRuns[candidateRuns.length - 1].getTime() + windowMs;
+
+        const conflicts = [];
+        const commands = scheduledCommands || this.homey.settings.get('scheduled_commands') || {};
+
+        for (const [otherId, other] of Object.entries(commands)) {
+            if (otherId === scheduleId || other.status !== 'pending') {
+                continue;
+            }
+
+            const shared = [];
+            for (const target of candidateTargets) {
+                for (const otherTarget of this._getScheduleTargets(other)) {
+                    if (this._targetsMatch(target, otherTarget)) {
+                        shared.push([target, otherTarget]);
+                    }
+                }
+            }
+            if (shared.length === 0) {
+                continue;
+            }
+
+            // Closest pair of runs
+            let closest = null;
+            for (const otherRun of this._getRunTimesBetween(other, rangeStart, rangeEnd)) {
+                for (const run of candidateRuns) {
+                    const gapMs = Math.abs(otherRun.getTime() - run.getTime());
+                    if (gapMs <= windowMs && (!closest || gapMs < closest.gapMs)) {
+                        closest = { gapMs, otherRun };
+                    }
+                }
+            }
+            if (!closest) {
+                continue;
+            }
+
+            let kind = 'overlap';
+            let target = shared[0][0];
+            for (const [mine, theirs] of shared) {
+                if (mine.capability && mine.capability === theirs.capability) {
+                    const same = JSON.stringify(mine.value) === JSON.stringify(theirs.value);
+                    kind = same ? 'duplicate' : 'contradictory';
+                    target = mine;
+                    if (!same) {
+                        break;
+                    }
+                }
+            }
+
+            conflicts.push({
+                scheduleId: otherId,
+                description: other.description,
+                command: other.command,
+                executeAt: closest.otherRun.toISOString(),
+                executeAtLocal: this.formatLocalDateTime(closest.otherRun),
+                minutesApart: Math.round(closest.gapMs / 60000),
+                kind,
+                target: {
+                    type: target.type,
+                    name: target.name || target.id,
+                    ...(target.capability && { capability: target.capability })
+                }
+            });
+        }
+
+        return conflicts.sort((a, b) => a.minutesApart - b.minutesApart);
+    }
+
+    /**
+     * Builds the result returned instead of saving when conflicts were found.
+     *
+     * @private
+     * @param {Array<Object>} conflicts - Conflicts from {@link _findConflicts}.
+     * @returns {{ success: false, requiresConfirmation: true, conflicts: Array<Object>, error: string }}
+     */
+    _buildConflictWarning(conflicts) {
+        this.homey.log(`[_buildConflictWarning] ${conflicts.length} conflicting schedule(s): ${conflicts.map(c => `${c.scheduleId} (${c.kind})`).join(', ')}`);
+        return {
+            success: false,
+            requiresConfirmation: true,
+            conflicts,
+            error: `Not saved: ${conflicts.length} pending scheduled command(s) act on the same target within ${CONFLICT_WINDOW_MINUTES} minutes. Ask the user whether to keep both, change one, or cancel the other.`
+        };
+    }
+
+    /**
+     * Replays the direct actions of a schedule through `HomeyMCPAdapter.callTool`,
+     * stopping at the first failure.
+     *
+     * @private
+     * @param {string} scheduleId - The schedule ID (for logging).
+     * @param {Array<{ tool: string, args: Object }>} directActions - Validated direct actions.
+     * @returns {Promise<{ success: boolean, completed: string[], error?: string }>} `completed` holds a
+     *   short description of every action that succeeded.
+     */
+    async _replayDirectActions(scheduleId, directActions) {
+        const adapter = this.adapter || this.homey.app.geminiClient?.mcpAdapter;
+        const completed = [];
+
+        if (!adapter) {
+            return { success: false, completed, error: 'MCP Adapter not available' };
+        }
+
+        // The actions of one run are undone together (see UndoManager)
+        const runId = `run_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+        for (const action of directActions) {
+            const label = `${action.tool}(${JSON.stringify(action.args)})`;
+            let result;
+            try {
+                result = await adapter.callTool(action.tool, action.args, { runId, sessionId: SCHEDULER_SESSION_ID, entryPoint: 'scheduler' });
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            if (!result || result.success === false) {
+                const error = (result && result.error) || 'Unknown error';
+                this.homey.log(`[_replayDirectActions] ${scheduleId}: ${label} failed - ${error}`);
+                return { success: false, completed, error: `${label}: ${error}` };
+            }
+
+            this.homey.log(`[_replayDirectActions] ${scheduleId}: ${label} OK`);
+            completed.push(result.message || label);
+        }
+
+        return { success: true, completed };
+    }
+
+    /**
+     * Validates and normalises an execution guard.
+     *
+     * @private
+     * @param {Object} guard - Raw guard definition (see {@link scheduleCommand}).
+     * @returns {{ success: true, guard: Object }|{ success: false, error: string }}
+     */
+    _validateGuard(guard) {
+        if (guard.type === 'condition') {
+            if (!guard.prompt || typeof guard.prompt !== 'string' || !guard.prompt.trim()) {
+                return { success: false, error: "Invalid guard: 'condition' guards require a non-empty 'prompt'" };
+            }
+            return { success: true, guard: { type: 'condition', prompt: guard.prompt.trim() } };
+        }
+
+        if (guard.type === 'capability') {
+            if (!guard.deviceName && !guard.deviceId) {
+                return { success: false, error: "Invalid guard: 'capability' guards require 'deviceName' or 'deviceId'" };
+            }
+            if (!guard.capability) {
+                return { success: false, error: "Invalid guard: 'capability' guards require a 'capability'" };
+            }
+            const operator = guard.operator || 'eq';
+            if (!GUARD_OPERATORS.includes(operator)) {
+                return { success: false, error: `Invalid guard operator "${operator}". Supported: ${GUARD_OPERATORS.join(', ')}` };
+            }
+            if (guard.value === undefined || guard.value === null || guard.value === '') {
+                return { success: false, error: "Invalid guard: 'capability' guards require a 'value' to compare with" };
+            }
+            if (['lt', 'lte', 'gt', 'gte'].includes(operator) && !Number.isFinite(Number(guard.value))) {
+                return { success: false, error: `Invalid guard: operator "${operator}" requires a numeric value` };
+            }
+            return {
+                success: true,
+                guard: {
+                    type: 'capability',
+                    ...(guard.deviceName && { deviceName: guard.deviceName }),
+                    ...(guard.deviceId && { deviceId: guard.deviceId }),
+                    capability: guard.capability,
+                    operator,
+                    value: guard.value
+                }
+            };
+        }
+
+        return { success: false, error: `Invalid guard type "${guard.type}". Supported: capability, condition` };
+    }
+
+    /**
+     * Evaluates an execution guard against the current state of the home.
+     *
+     * Evaluation errors and unanswerable conditions never let the command run:
+     * a guard that cannot be checked counts as not passed.
+     *
+     * @private
+     * @param {Object} guard - Validated guard definition.
+     * @returns {Promise<{ passed: boolean, reason: string }>}
+     */
+    async _evaluateGuard(guard) {
+        try {
+            const geminiClient = this.homey.app.geminiClient;
+
+            if (guard.type === 'condition') {
+                const result = await geminiClient.evaluateConditionWithMCP(guard.prompt, { sessionId: SCHEDULER_SESSION_ID, entryPoint: 'scheduler' });
+                if (!result.isAnswerable) {
+                    return { passed: false, reason: `Guard condition could not be evaluated: ${result.explanation || guard.prompt}` };
+                }
+                return { passed: result.result === true, reason: result.explanation || guard.prompt };
+            }
+
+            const adapter = this.adapter || geminiClient.mcpAdapter;
+            const state = await adapter.deviceManager.getDeviceState(guard.deviceName, guard.deviceId || null);
+            if (!state.success) {
+                return { passed: false, reason: `Guard device could not be read: ${state.error}` };
+            }
+            if (!(guard.capability in state.state)) {
+                return { passed: false, reason: `Guard capability "${guard.capability}" not found on ${state.device || guard.deviceId}` };
+            }
+
+            const actual = state.state[guard.capability];
+            const passed = this._compareGuardValue(actual, guard.operator, guard.value);
+            return {
+                passed,
+                reason: `${state.device || guard.deviceId}.${guard.capability} = ${actual} (expected ${guard.operator} ${guard.value})`
+            };
+        } catch (error) {
+            this.homey.error('[_evaluateGuard] Error:', error);
+            return { passed: false, reason: `Guard evaluation failed: ${error.message}` };
+        }
+    }
+
+    /**
+     * Compares a capability value with a guard's expected value.
+     * Booleans and numbers are compared by value even when the expected value
+     * was stored as a string (e.g. `'true'`, `'19'`).
+     *
+     * @private
+     * @param {*} actual - Current capability value.
+     * @param {string} operator - One of `eq`, `neq`, `lt`, `lte`, `gt`, `gte`.
+     * @param {*} expected - Expected value from the guard.
+     * @returns {boolean}
+     */
+    _compareGuardValue(actual, operator, expected) {
+        if (['lt', 'lte', 'gt', 'gte'].includes(operator)) {
+            const a = Number(actual);
+            const b = Number(expected);
+            if (actual === null || !Number.isFinite(a)) {
+                return false;
+            }
+            switch (operator) {
+                case 'lt': return a < b;
+                case 'lte': return a <= b;
+                case 'gt': return a > b;
+                case 'gte': return a >= b;
+            }
+        }
+
+        let normalized = expected;
+        if (typeof actual === 'boolean' && typeof expected === 'string') {
+            normalized = expected.trim().toLowerCase() === 'true';
+        } else if (typeof actual === 'number' && typeof expected === 'string') {
+            normalized = Number(expected);
+        } else if (typeof actual === 'string' && typeof expected !== 'string') {
+            normalized = String(expected);
+        }
+
+        const equal = typeof actual === 'string'
+            ? actual.toLowerCase() === String(normalized).toLowerCase()
+            : actual === normalized;
+
+        return operator === 'neq' ? !equal : equal;
+    }
+
+    /**
+     * Appends a run to the persistent execution history, dropping the oldest
+     * entries beyond the cap. Never throws: the audit log must not break a run.
+     *
+     * @private
+     * @param {Object} entry - Entry with `scheduleId`, `command`, `description`, `plannedAt`,
+     *   `executedAt`, `status` (`executed`|`skipped`|`failed`|`missed`), `success`, `response` and `error`;
+     *   executed runs also carry `mode` (`llm`, `direct` or `fallback`).
+     * @returns {void}
+     */
+    _recordExecution(entry) {
+        try {
+            const history = this.homey.settings.get(EXECUTION_HISTORY_KEY) || [];
+            const response = typeof entry.response === 'string' && entry.response.length > MAX_HISTORY_RESPONSE_LENGTH
+                ? `${entry.response.substring(0, MAX_HISTORY_RESPONSE_LENGTH)}…`
+                : entry.response;
+
+            history.push({
+                scheduleId: entry.scheduleId,
+                command: entry.command,
+                description: entry.description || null,
+                plannedAt: entry.plannedAt || null,
+                executedAt: entry.executedAt,
+                status: entry.status,
+                ...(entry.mode && { mode: entry.mode }),
+                success: entry.success,
+                response: response || null,
+                error: entry.error || null
+            });
+
+            this.homey.settings.set(EXECUTION_HISTORY_KEY, history.slice(-MAX_EXECUTION_HISTORY));
+        } catch (error) {
+            this.homey.error('[_recordExecution] Could not write execution history:', error);
+        }
+    }
+
+    /**
+     * Returns a scheduler flow trigger card.
+     * Prefers the reference registered in app.js onInit() so that the Homey SDK 3
+     * Flow Engine has already mapped the card to matching flows.
+     *
+     * @private
+     * @param {string} cardId - The trigger card ID.
+     * @returns {?Object} The trigger card, or `null` if it is not available.
+     */
+    _getTriggerCard(cardId) {
+        return (this.homey.app && this.homey.app.scheduleTriggerCards && this.homey.app.scheduleTriggerCards[cardId])
+            || this.homey.flow.getTriggerCard(cardId);
+    }
+
+    /**
+     * Fires a lifecycle flow card for a schedule. Every card carries the
+     * `timer_id`, `description`, `command` and `execute_at` (local time) tokens;
+     * card-specific tokens are merged on top. Errors are logged, never thrown,
+     * so that a failing flow cannot affect the schedule itself.
+     *
+     * @private
+     * @param {string} cardId - The trigger card ID.
+     * @param {string} scheduleId - The schedule ID.
+     * @param {?Object} schedule - The schedule entry (may already be removed from settings).
+     * @param {Object} [tokens={}] - Additional card-specific tokens.
+     * @param {Object} [state={}] - State matched by the card's run listener.
+     * @returns {Promise<void>}
+     */
+    async _triggerLifecycleCard(cardId, scheduleId, schedule, tokens = {}, state = {}) {
+        try {
+            const trigger = this._getTriggerCard(cardId);
+            if (!trigger) {
+                this.homey.log(`[_triggerLifecycleCard] WARNING: Flow card '${cardId}' not found, trigger skipped for ${scheduleId}`);
+                return;
+            }
+
+            const executeAt = schedule && schedule.executeAt ? this._getDueAt(schedule) : null;
+            await trigger.trigger({
+                timer_id: scheduleId,
+                description: (schedule && schedule.description) || '',
+                command: (schedule && schedule.command) || '',
+                execute_at: executeAt ? this.formatLocalDateTime(executeAt) : '',
+                ...tokens
+            }, state);
+            this.homey.log(`[_triggerLifecycleCard] Flow card '${cardId}' triggered for ${scheduleId}`);
+        } catch (error) {
+            this.homey.error(`[_triggerLifecycleCard] Could not trigger '${cardId}' for ${scheduleId}:`, error.message);
+        }
+    }
+
+    /**
+     * Computes the next occurrence of a recurring schedule strictly after a given instant.
+     * Sun-anchored schedules resolve the event time for the day of the occurrence.
+     *
+     * @private
+     * @param {Object} schedule - Persisted schedule entry with a `recurrence` field.
+     * @param {Date} after - Reference instant.
+     * @returns {?Date} The next occurrence, or `null` if the series has ended or the rule is invalid.
+     */
+    _computeNextOccurrence(schedule, after) {
+        const recurrence = schedule.recurrence;
+        try {
+            const timezone = recurrence.timezone || 'UTC';
+            let resolveDayTimes = null;
+            if (schedule.anchor) {
+                resolveDayTimes = this._buildAnchorResolver(schedule.anchor, timezone);
+                if (!resolveDayTimes) {
+                    throw new Error('Homey location is not available');
+                }
+            }
+            return Recurrence.getNextOccurrence(recurrence, after, timezone, schedule.runCount || 0, resolveDayTimes);
+        } catch (error) {
+            this.homey.error(`[_computeNextOccurrence] Invalid recurrence "${recurrence.expression}":`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Completes a run: one-shot commands are removed from settings, recurring
+     * commands are moved to their next occurrence and re-armed (or removed when
+     * the series has ended).
+     *
+     * @private
+     * @param {string} scheduleId - The schedule ID that has just run.
+     * @returns {void}
+     */
+    _finalizeScheduledRun(scheduleId) {
+        const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
+        const schedule = scheduledCommands[scheduleId];
+
+        if (!schedule) {
+            return; // Cancelled while running
+        }
+
+        if (schedule.recurrence) {
+            const now = new Date();
+            schedule.runCount = (schedule.runCount || 0) + 1;
+            schedule.lastRunAt = now.toISOString();
+            delete schedule.retryAt;
+            delete schedule.retryCount;
+
+            // Never re-fire the occurrence that just ran, even if it ran early
+            const plannedAt = new Date(schedule.executeAt);
+            const next = this._computeNextOccurrence(schedule, plannedAt > now ? plannedAt : now);
+
+            if (next) {
+                schedule.executeAt = next.toISOString();
+                this.homey.settings.set('scheduled_commands', scheduledCommands);
+                this.homey.log(`[_finalizeScheduledRun] Re-armed recurring ${scheduleId} for ${schedule.executeAt}`);
+                this._armSchedule(scheduleId, schedule.command, next.getTime() - now.getTime());
+                return;
+            }
+
+            this.homey.log(`[_finalizeScheduledRun] Recurring ${scheduleId} has no further occurrences`);
+        }
+
+        this.homey.log(`[_finalizeScheduledRun] Removing command from settings: ${scheduleId}`);
+        this._clearUpcomingTriggers(scheduleId);
+        delete scheduledCommands[scheduleId];
+        this.homey.settings.set('scheduled_commands', scheduledCommands);
+    }
+
+    /**
+     * Checks all persisted pending commands and executes any whose time has passed.
+     * Called by the periodic checker and on restart for past-due commands.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _checkAndExecutePendingCommands() {
+        const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
+        const now = new Date();
+
+        for (const [scheduleId, schedule] of Object.entries(scheduledCommands)) {
+            if (schedule.status === 'pending') {
+                const executeAt = this._getDueAt(schedule);
+
+                if (now >= executeAt) {
+                    this.homey.log(`[schedulerChecker] Executing due command: ${scheduleId}`);
+                    await this._executeScheduledCommand(scheduleId, schedule.command);
+                } else if (!this._scheduledTimeouts.has(scheduleId)) {
+                    // Long schedule: arm "about to run" triggers once they fall within 24 h
+                    await this._armUpcomingTriggers(scheduleId);
+                }
+            }
+        }
+    }
+
+    /**
+     * Executes a scheduled command via `GeminiClient.generateTextWithMCP` and
+     * triggers the `scheduled_command_executed` flow card (status `executed`),
+     * plus `scheduled_command_failed` when the run did not succeed.
+     * Guarded commands whose guard does not pass are not run; the card fires
+     * with status `skipped` and the guard outcome as response. Commands with
+     * direct actions replay them without Gemini and fall back to the natural
+     * language command only if the replay fails.
+     * Regardless of execution outcome, one-shot commands are removed from settings
+     * and recurring commands are re-armed for their next occurrence; the outcome
+     * is recorded in the execution history.
+     *
+     * @private
+     * @param {string} scheduleId - The schedule ID to execute.
+     * @param {string} command - The natural language command to execute.
+     * @returns {Promise<void>}
+     */
+    async _executeScheduledCommand(scheduleId, command) {
+        if (this._runningSchedules.has(scheduleId)) {
+            this.homey.log(`[_executeScheduledCommand] Already running, skipping: ${scheduleId}`);
+            return;
+        }
+
+        this.homey.log(`[_executeScheduledCommand] Executing: ${scheduleId}`);
+        this._runningSchedules.add(scheduleId);
+
+        // Ensures a run is finalized once even if the flow trigger throws afterwards
+        let finalized = false;
+
+        // Captured before finalizing, which moves recurring commands forward
+        const startedAt = new Date().toISOString();
+        const initialData = (this.homey.settings.get('scheduled_commands') || {})[scheduleId];
+        const triggerData = initialData ? { ...initialData } : { command };
+        const historyEntry = {
+            scheduleId,
+            command,
+            description: initialData ? initialData.description : null,
+            plannedAt: initialData ? initialData.executeAt : null,
+            executedAt: startedAt
+        };
+
+        try {
             const app = this.homey.app;
 
             if (!app.geminiClient) {
@@ -486,54 +2235,110 @@ class Scheduler {
             }
 
             // Recupera la data di creazione per fornire un contesto più preciso a Gemini
-            let scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
+            const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
             const scheduleData = scheduledCommands[scheduleId];
             const options = {
                 isScheduled: true,
-                createdAt: scheduleData ? scheduleData.createdAt : null
+                createdAt: scheduleData ? scheduleData.createdAt : null,
+                sessionId: SCHEDULER_SESSION_ID,
+                entryPoint: 'scheduler'
             };
 
-            const result = await app.geminiClient.generateTextWithMCP(command, options);
-
-            // Remove from settings after successful execution
-            scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
-            if (scheduledCommands[scheduleId]) {
-                this.homey.log(`[_executeScheduledCommand] Removing executed command from settings: ${scheduleId}`);
-                delete scheduledCommands[scheduleId];
-                this.homey.settings.set('scheduled_commands', scheduledCommands);
+            if (scheduleData && scheduleData.guard) {
+                const guardResult = await this._evaluateGuard(scheduleData.guard);
+                this.homey.log(`[_executeScheduledCommand] Guard for ${scheduleId}: ${guardResult.passed ? 'passed' : 'not passed'} - ${guardResult.reason}`);
+
+                if (!guardResult.passed) {
+                    finalized = true;
+                    this._finalizeScheduledRun(scheduleId);
+                    this._recordExecution({ ...historyEntry, status: 'skipped', success: false, response: guardResult.reason });
+                    await this._triggerLifecycleCard(TRIGGER_EXECUTED, scheduleId, triggerData, {
+                        success: false,
+                        response: guardResult.reason,
+                        status: 'skipped'
+                    });
+                    return;
+                }
             }
 
-            // Trigger flow card notification.
-            // Use the reference registered in app.js onInit() so that Homey SDK 3
-            // Flow Engine has already mapped this card to matching flows.
-            const trigger = this.homey.app.scheduledCommandExecutedTrigger
-                || this.homey.flow.getTriggerCard('scheduled_command_executed');
-            if (trigger) {
-                this.homey.log(`[_executeScheduledCommand] Triggering flow card 'scheduled_command_executed' for ${scheduleId}...`);
-                await trigger.trigger({
-                    command: command,
-                    success: result.success,
-                    response: result.response,
-                    timer_id: scheduleId
-                });
-                this.homey.log(`[_executeScheduledCommand] Flow card 'scheduled_command_executed' successfully triggered for ${scheduleId}`);
+            let result;
+            let mode = 'llm';
+
+            if (scheduleData && scheduleData.directActions) {
+                const replay = await this._replayDirectActions(scheduleId, scheduleData.directActions);
+
+                if (replay.success) {
+                    mode = 'direct';
+                    result = { success: true, response: replay.completed.join('\n') };
+                } else {
+                    mode = 'fallback';
+                    this.homey.log(`[_executeScheduledCommand] Direct replay failed for ${scheduleId}, falling back to natural language: ${replay.error}`);
+
+                    // Tell Gemini what has already been done so it is not repeated
+                    const fallbackPrompt = replay.completed.length > 0
+                        ? `${command}\n[NOTE: the following steps were already executed successfully and must NOT be repeated: ${replay.completed.join('; ')}]`
+                        : command;
+                    result = await app.geminiClient.generateTextWithMCP(fallbackPrompt, options);
+                    result = { ...result, error: result.error || `Direct replay failed: ${replay.error}` };
+                }
             } else {
-                this.homey.log(`[_executeScheduledCommand] WARNING: Flow card 'scheduled_command_executed' not found, trigger skipped for ${scheduleId}`);
+                result = await app.geminiClient.generateTextWithMCP(command, options);
             }
 
+            // Remove (one-shot) or re-arm (recurring) after successful execution
+            finalized = true;
+            this._finalizeScheduledRun(scheduleId);
+            this._recordExecution({
+                ...historyEntry,
+                status: 'executed',
+                mode,
+                success: result.success,
+                response: result.response,
+                error: result.error
+            });
+
+            // Trigger flow card notification
+            await this._triggerLifecycleCard(TRIGGER_EXECUTED, scheduleId, triggerData, {
+                success: result.success,
+                response: result.response || '',
+                status: 'executed'
+            });
+            if (!result.success) {
+                await this._triggerLifecycleCard(TRIGGER_FAILED, scheduleId, triggerData, {
+                    error: result.error || 'Unknown error',
+                    will_retry: false
+                });
+            }
 
             this.homey.log(`[_executeScheduledCommand] Completed: ${scheduleId} - Success: ${result.success}`);
 
         } catch (error) {
             this.homey.error(`[_executeScheduledCommand] Failed for ${scheduleId}:`, error);
 
-            // Remove from settings even on error to avoid infinite retries
-            const scheduledCommands = this.homey.settings.get('scheduled_commands') || {};
-            if (scheduledCommands[scheduleId]) {
-                this.homey.log(`[_executeScheduledCommand] Removing failed command from settings: ${scheduleId}`);
-                delete scheduledCommands[scheduleId];
-                this.homey.settings.set('scheduled_commands', scheduledCommands);
+            if (!finalized) {
+                // Retry transient errors when the schedule's policy allows it
+                const retry = this._planRetry(scheduleId, error);
+                if (retry) {
+                    this._recordExecution({
+                        ...historyEntry,
+                        status: 'failed',
+                        success: false,
+                        response: `Retry ${retry.attempt}/${retry.maxRetries} in ${Math.round(retry.delayMs / 1000)}s`,
+                        error: error.message
+                    });
+                } else {
+                    // Remove (or move recurring commands forward) to avoid infinite retries
+                    this._finalizeScheduledRun(scheduleId);
+                    this._recordExecution({ ...historyEntry, status: 'failed', success: false, error: error.message });
+                }
+
+                await this._triggerLifecycleCard(TRIGGER_FAILED, scheduleId, triggerData, {
+                    error: error.message,
+                    will_retry: Boolean(retry)
+                });
             }
+        } finally {
+            this._runningSchedules.delete(scheduleId);
         }
     }
 }
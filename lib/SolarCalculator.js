@@ -0,0 +1,121 @@
+'use strict';
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397; // Obliquity of the Earth's axis
+
+// Solar altitude (degrees) that defines each supported event.
+// `rising: true` means the event happens in the morning branch of the day.
+const SOLAR_EVENTS = {
+    dawn: { angle: -6, rising: true },       // Civil dawn
+    sunrise: { angle: -0.833, rising: true },
+    solarNoon: { angle: null, rising: null },
+    sunset: { angle: -0.833, rising: false },
+    dusk: { angle: -6, rising: false }       // Civil dusk
+};
+
+/**
+ * SolarCalculator
+ *
+ * Computes solar event times (dawn, sunrise, solar noon, sunset, dusk) for a
+ * given day and location entirely offline, using the simplified astronomical
+ * algorithm popularised by NOAA and the SunCalc library (accuracy within ~1
+ * minute at moderate latitudes).
+ *
+ * This module has no Homey dependencies and can be used standalone.
+ */
+class SolarCalculator {
+
+    /**
+     * Returns the list of supported event names.
+     *
+     * @public
+     * @static
+     * @returns {string[]} e.g. `['dawn', 'sunrise', 'solarNoon', 'sunset', 'dusk']`
+     */
+    static getSupportedEvents() {
+        return Object.keys(SOLAR_EVENTS);
+    }
+
+    /**
+     * Computes the time of a solar event on a given day.
+     *
+     * @public
+     * @static
+     * @param {string} event - One of {@link SolarCalculator.getSupportedEvents}.
+     * @param {Date} day - Any instant within the target day (local noon is recommended).
+     * @param {number} latitude - Latitude in decimal degrees.
+     * @param {number} longitude - Longitude in decimal degrees.
+     * @returns {?Date} The event time, or `null` if the sun never reaches the
+     *   required altitude on that day (polar day/night).
+     * @throws {Error} If the event name is unknown.
+     * @example
+     * const sunset = SolarCalculator.getEventTime('sunset', new Date('2026-06-21T12:00:00Z'), 45.46, 9.19);
+     */
+    static getEventTime(event, day, latitude, longitude) {
+        const definition = SOLAR_EVENTS[event];
+        if (!definition) {
+            throw new Error(`Unknown solar event "${event}". Supported: ${SolarCalculator.getSupportedEvents().join(', ')}`);
+        }
+
+        const lw = RAD * -longitude;
+        const phi = RAD * latitude;
+        const d = SolarCalculator._toDays(day);
+
+        const n = Math.round(d - J0 - lw / (2 * Math.PI));
+        const ds = J0 + lw / (2 * Math.PI) + n;
+
+        const M = RAD * (357.5291 + 0.98560028 * ds);
+        const C = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+        const L = M + C + RAD * 102.9372 + Math.PI;
+        const dec = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+
+        const jNoon = J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+        if (definition.angle === null) {
+            return SolarCalculator._fromJulian(jNoon);
+        }
+
+        const cosW = (Math.sin(RAD * definition.angle) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+        if (cosW < -1 || cosW > 1) {
+            return null;
+        }
+
+        const w = Math.acos(cosW);
+        const a = J0 + (w + lw) / (2 * Math.PI) + n;
+        const jSet = J2000 + a + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+        return SolarCalculator._fromJulian(definition.rising ? jNoon - (jSet - jNoon) : jSet);
+    }
+
+    // ── Private Methods ─────────────────────────────────────────────────────────
+
+    /**
+     * Converts a Date to days since J2000.
+     *
+     * @private
+     * @static
+     * @param {Date} date - The instant.
+     * @returns {number}
+     */
+    static _toDays(date) {
+        return date.getTime() / DAY_MS - 0.5 + J1970 - J2000;
+    }
+
+    /**
+     * Converts a Julian date to a Date.
+     *
+     * @private
+     * @static
+     * @param {number} julian - Julian date.
+     * @returns {Date}
+     */
+    static _fromJulian(julian) {
+        return new Date((julian + 0.5 - J1970) * DAY_MS);
+    }
+}
+
+module.exports = { SolarCalculator };
@@ -70,6 +70,50 @@ function getTools() {
                 required: ['deviceName', 'capability', 'value']
             }
         },
+        {
+            name: 'control_devices',
+            description: `
+                Set the same capability value on every device of a zone and/or class, in one call
+                (e.g. "turn off all the lights downstairs", "close every blind in the bedrooms", "turn off everything in the kitchen").
+
+                **Targeting:**
+                - \`zone\`: the zone and all its sub-zones (e.g. a floor includes its rooms).
+                - \`deviceClass\`: only devices of this class (the virtual class when set, e.g. a socket used as a light).
+                - Pass at least one of them. Only devices that have \`capability\` are changed; hidden and grouped devices follow the same rules as discovery.
+
+                **Prefer this over** \`discover_resources\` followed by one \`control_device\` per device whenever the user targets
+                a whole zone or class. For a few devices named explicitly, use \`control_device\`.
+
+                **Response:** \`success\` is true only when every device succeeded; \`partial: true\` means some devices were changed and others not.
+                \`summary\` (total, succeeded, failed), \`results\` (one per device) and \`failures\` (each failed device with its \`error\`).
+                Devices protected by the access policy are refused one by one (\`blockedByPolicy\`); report them to the user.
+                Devices needing the user's approval are asked for together, in a single approval.`,
+            inputSchema: {
+                type: Type.OBJECT,
+                properties: {
+                    zone: {
+                        type: Type.STRING,
+                        description: "Exact zone name (e.g. 'Downstairs', 'Kitchen'). Sub-zones are included. Omit to target the whole home."
+                    },
+                    deviceClass: {
+                        type: Type.STRING,
+                        description: "Device class. Common values: 'light', 'socket', 'windowcoverings', 'fan', 'thermostat', 'speaker', 'heater'. Omit to target every class in the zone."
+                    },
+                    capability: {
+                        type: Type.STRING,
+                        description: "Capability to set on every matching device: 'onoff', 'dim', 'target_temperature', 'volume_set', 'windowcoverings_state', ..."
+                    },
+                    value: {
+                        description: "Value to set, as a native JSON primitive matching the capability type (same rules as control_device): boolean for 'onoff', number 0.0–1.0 for 'dim', number in °C for 'target_temperature', string ('up'/'idle'/'down') for 'windowcoverings_state'."
+                    },
+                    includeHiddenGrouped: {
+                        type: Type.BOOLEAN,
+                        description: "Optional override for hidden/grouped device visibility. true: force-include hidden and grouped devices regardless of the global app setting. false: force-exclude them. Omit entirely to defer to the global app setting. **❌ NEVER** set this unless the user has explicitly asked to include or exclude hidden/grouped devices in this specific request."
+                    }
+                },
+                required: ['capability', 'value']
+            }
+        },
         {
             name: 'trigger_flow',
             description: `
@@ -282,24 +326,34 @@ function getTools() {
         {
             name: 'manage_schedule',
             description: `
-                Manage scheduled commands (create a new scheduled action, list pending actions, or cancel an action).
+                Manage scheduled commands (create a new scheduled action, list pending actions, edit or postpone an action, or cancel an action).
 
                 **Actions available:**
                 - \`create\`: Schedule a command to execute at a future time (requires \`command\`, \`executeAt\`, \`description\`).
-                - \`list\`: List all currently pending scheduled commands, returning their IDs and descriptions.
-                - \`cancel\`: Cancel a scheduled command using its unique schedule ID.
+                  For **recurring** commands ("every weekday at 7", "every first Sunday of the month") pass \`cron\` OR \`rrule\` instead of (or together with) \`executeAt\`.
+                  For times **relative to the sun** ("at sunset", "30 minutes before sunrise") pass \`anchorEvent\` (and \`anchorOffsetMinutes\`): the time is computed from Homey's location, daily for recurring commands.
+                  For **conditional** commands ("only if nobody is home", "only if the living room is below 19°") add a guard, checked right before every run: \`guardCondition\` (natural-language yes/no question) OR \`guardDevice\` + \`guardCapability\` + \`guardOperator\` + \`guardValue\` (preferred when a single capability decides). Runs whose guard is not met are skipped.
+                  For simple, unambiguous device or flow commands ALSO pass \`directActions\`: the exact tool calls you would make now (device/flow names already verified with discover_resources). They are replayed at run time without Gemini; \`command\` remains the fallback if the replay fails.
+                  When the command acts on known devices, zones or flows and has no \`directActions\`, pass them as \`targets\` so conflicts can be detected.
+                  If another pending command acts on the same device, zone or flow within a few minutes, nothing is saved and the result has \`requiresConfirmation: true\` with the \`conflicts\` (e.g. "turn on heating at 7" vs "turn off heating at 7:01"). Explain them to the user and ask how to proceed; only if they want to keep both, call again with \`confirmConflicts: true\`.
+                  Only when the user asks how failures or missed runs must be handled, set \`maxRetries\`/\`retryBackoffSeconds\` (retry when Gemini is overloaded), \`graceMinutes\` (skip runs missed by more than this while Homey was off) and/or \`runOnceOnRecovery\`.
+                - \`list\`: List all currently pending scheduled commands, returning their IDs, descriptions and, for recurring or sun-anchored ones, the rule and next occurrence.
+                - \`update\`: Change an existing scheduled command in place (requires \`scheduleId\`), e.g. "move the dishwasher timer to 23:00". Pass only the fields to change (\`executeAt\`, \`command\`, \`description\`, \`cron\`/\`rrule\`, \`anchorEvent\`, guard or policy fields). To remove the recurrence, sun anchor, guard, direct actions or targets, pass \`null\` or an empty value (\`cron: null\`, \`anchorEvent: null\`, \`guardCondition: null\`, \`directActions: []\`, \`targets: []\`). \`anchorOffsetMinutes\` alone moves the offset of the current sun anchor ("make it 30 minutes before sunset"). A new \`anchorEvent\` without \`anchorOffsetMinutes\` keeps the current offset, and policy fields left out keep their current value. The schedule ID stays the same.
+                - \`snooze\`: Postpone the next run of a scheduled command by \`snoozeMinutes\` (requires \`scheduleId\`), e.g. "postpone that by an hour". The schedule ID stays the same.
+                - \`cancel\`: Cancel a scheduled command using its unique schedule ID (cancels all future occurrences of a recurring command).
 
                 **Workflow example:**
                 1. User: "Annula il comando per spegnere la luce"
                 2. Call \`manage_schedule({action: 'list'})\` → find the scheduleId representing "spegnere la luce"
-                3. Call \`manage_schedule({action: 'cancel', scheduleId: '...'})\` to cancel it.`,
+                3. Call \`manage_schedule({action: 'cancel', scheduleId: '...'})\` to cancel it.
+                Use the same list-first workflow for \`update\` and \`snooze\`; never cancel and re-create a command to move it.`,
             inputSchema: {
                 type: Type.OBJECT,
                 properties: {
                     action: {
                         type: Type.STRING,
-                        description: "The action to perform: 'create' (to schedule a command), 'list' (to show pending commands), or 'cancel' (to cancel a scheduled command).",
-                        enum: ['create', 'list', 'cancel']
+                        description: "The action to perform: 'create' (to schedule a command), 'list' (to show pending commands), 'update' (to edit a scheduled command), 'snooze' (to postpone its next run), or 'cancel' (to cancel a scheduled command).",
+                        enum: ['create', 'list', 'update', 'snooze', 'cancel']
                     },
                     command: {
                         type: Type.STRING,
@@ -307,7 +361,65 @@ function getTools() {
                     },
                     executeAt: {
                         type: Type.STRING,
-                        description: "Required for 'create': ISO 8601 local datetime, format: 'YYYY-MM-DDTHH:MM:SS' (Homey timezone). Do not append UTC timezone suffixes. Conversion to UTC is handled automatically."
+                        description: "Required for one-time 'create': ISO 8601 local datetime, format: 'YYYY-MM-DDTHH:MM:SS' (Homey timezone). Do not append UTC timezone suffixes. Conversion to UTC is handled automatically. Optional for recurring commands: with 'rrule' it sets the series start. With 'anchorEvent' only the date part is used ('YYYY-MM-DD'); omit it to use the next occurrence of the event."
+                    },
+                    cron: {
+                        type: Type.STRING,
+                        description: "Optional for 'create': makes the command recurring using a 5-field cron expression in Homey local time ('minute hour day-of-month month day-of-week'). Examples: '0 7 * * 1-5' (weekdays at 07:00), '30 22 * * *' (every day at 22:30), '0 10 * * 0#1' (first Sunday of the month at 10:00), '0 9 L * *' (last day of the month at 09:00)."
+                    },
+                    rrule: {
+                        type: Type.STRING,
+                        description: "Optional for 'create': makes the command recurring using an iCal RRULE in Homey local time. Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY (e.g. MO,FR or 1SU, -1FR), BYMONTHDAY, BYMONTH, BYHOUR, BYMINUTE, COUNT, UNTIL. Example: 'FREQ=MONTHLY;BYDAY=1SU;BYHOUR=10;BYMINUTE=0'. Use either 'cron' or 'rrule', never both."
+                    },
+                    anchorEvent: {
+                        type: Type.STRING,
+                        description: "Optional for 'create': anchors the execution time to a solar event at Homey's location. 'dawn' and 'dusk' are civil twilight. Combined with 'cron'/'rrule', the rule only selects the days (its clock time is ignored), e.g. rrule 'FREQ=DAILY' + 'sunset' = every day at sunset.",
+                        enum: ['dawn', 'sunrise', 'solarNoon', 'sunset', 'dusk']
+                    },
+                    anchorOffsetMinutes: {
+                        type: Type.NUMBER,
+                        description: "Optional with 'anchorEvent': offset in minutes from the event, negative = before, positive = after (e.g. -30 for '30 minutes before sunset'). Range -720..720. Default 0."
+                    },
+                    guardCondition: {
+                        type: Type.STRING,
+                        description: "Optional for 'create': natural-language yes/no question evaluated with the smart home tools right before each run; the command runs only if the answer is yes (e.g. 'Is nobody at home?'). Do not combine with 'guardCapability'."
+                    },
+                    guardDevice: {
+                        type: Type.STRING,
+                        description: "Optional for 'create': exact name of the device checked by a capability guard (use discover_resources to find it)."
+                    },
+                    guardDeviceId: {
+                        type: Type.STRING,
+                        description: "Optional for 'create': ID of the device checked by a capability guard, when the name is ambiguous."
+                    },
+                    guardCapability: {
+                        type: Type.STRING,
+                        description: "Optional for 'create': capability compared by the guard (e.g. 'measure_temperature', 'onoff', 'alarm_motion')."
+                    },
+                    guardOperator: {
+                        type: Type.STRING,
+                        description: "Optional with 'guardCapability': comparison between the current value and 'guardValue'. Default 'eq'.",
+                        enum: ['eq', 'neq', 'lt', 'lte', 'gt', 'gte']
+                    },
+                    guardValue: {
+                        type: Type.STRING,
+                        description: "Required with 'guardCapability': value to compare with, as a string (e.g. '19', 'true', 'armed')."
+                    },
+                    maxRetries: {
+                        type: Type.NUMBER,
+                        description: "Optional for 'create': how many times to retry a run that failed because Gemini was overloaded or out of quota (429/503). Range 0..10. Default 0."
+                    },
+                    retryBackoffSeconds: {
+                        type: Type.NUMBER,
+                        description: "Optional with 'maxRetries': delay before the first retry in seconds, doubled at every retry. Range 5..3600. Default 60."
+                    },
+                    graceMinutes: {
+                        type: Type.NUMBER,
+                        description: "Optional for 'create': if Homey was off when the command was due, run it late only if no more than this many minutes have passed; otherwise skip it. Default: 24 hours."
+                    },
+                    runOnceOnRecovery: {
+                        type: Type.BOOLEAN,
+                        description: "Optional for 'create': if true, a run missed while Homey was off is executed once when Homey is back, however late (missed occurrences of a recurring command are collapsed into one run)."
                     },
                     description: {
                         type: Type.STRING,
@@ -315,7 +427,53 @@ function getTools() {
                     },
                     scheduleId: {
                         type: Type.STRING,
-                        description: "Required for 'cancel': The unique schedule ID of the command to cancel (retrieve this by calling action='list' first)."
+                        description: "Required for 'update', 'snooze' and 'cancel': The unique schedule ID of the command (retrieve this by calling action='list' first)."
+                    },
+                    directActions: {
+                        type: Type.ARRAY,
+                        description: "Optional for 'create'/'update': resolved tool calls replayed at execution time instead of asking Gemini again. Use ONLY for deterministic commands (e.g. turn a specific light off, trigger a specific flow), with verified names/IDs and native JSON values. Leave empty for commands that need reasoning at run time (e.g. 'turn off the lights that are on').",
+                        items: {
+                            type: Type.OBJECT,
+                            properties: {
+                                tool: {
+                                    type: Type.STRING,
+                                    description: "Tool to call at execution time.",
+                                    enum: ['control_device', 'trigger_flow', 'run_action_card']
+                                },
+                                args: {
+                                    type: Type.OBJECT,
+                                    description: "Arguments exactly as you would pass them to that tool now (e.g. {deviceName: 'Kitchen Light', capability: 'onoff', value: false} or {flowName: 'Good Night'})."
+                                }
+                            },
+                            required: ['tool', 'args']
+                        }
+                    },
+                    targets: {
+                        type: Type.ARRAY,
+                        description: "Optional for 'create'/'update': the devices, zones or flows the command acts on (verified names), used to detect conflicts with other scheduled commands. Not needed when 'directActions' is set.",
+                        items: {
+                            type: Type.OBJECT,
+                            properties: {
+                                type: {
+                                    type: Type.STRING,
+                                    description: "Kind of target.",
+                                    enum: ['device', 'zone', 'flow']
+                                },
+                                name: {
+                                    type: Type.STRING,
+                                    description: "Exact name of the device, zone or flow."
+                                }
+                            },
+                            required: ['type', 'name']
+                        }
+                    },
+                    confirmConflicts: {
+                        type: Type.BOOLEAN,
+                        description: "Optional for 'create'/'update': set to true ONLY after the user has confirmed they want to save the command despite the conflicts reported by a previous call."
+                    },
+                    snoozeMinutes: {
+                        type: Type.NUMBER,
+                        description: "Required for 'snooze': how many minutes to postpone the next run by (e.g. 60 for 'postpone by an hour')."
                     }
                 },
                 required: ['action']
@@ -851,9 +1009,118 @@ function getTools() {
                 },
                 required: ['action']
             }
+        },
+        {
+            name: 'remember_fact',
+            description: `
+                Store a durable fact about the household in long-term memory, so it is known in future conversations.
+
+                **Use this when the user:**
+                - Tells you something worth remembering ("Marco's bedroom is the one upstairs", "the cat feeder is called Pippo")
+                - Explicitly asks you to remember something
+                - Describes a temporary situation ("we are on holiday until 3 Nov") → set \`expiresAt\`
+
+                **Rules:**
+                - Write the fact as a short, self-contained sentence in the user's language, with names as the user says them.
+                - Do NOT store device states, one-off commands or anything already visible in Homey (device names, zones, flows).
+                - Storing the same sentence again updates it instead of creating a duplicate. To change a fact, forget the old one first.`,
+            inputSchema: {
+                type: Type.OBJECT,
+                properties: {
+                    fact: {
+                        type: Type.STRING,
+                        description: "The fact as a self-contained sentence (max 500 characters)."
+                    },
+                    category: {
+                        type: Type.STRING,
+                        description: "Category of the fact.",
+                        enum: ['person', 'place', 'device', 'routine', 'preference', 'event', 'other']
+                    },
+                    expiresAt: {
+                        type: Type.STRING,
+                        description: "Optional LOCAL date ('YYYY-MM-DD', end of that day) or datetime ('YYYY-MM-DDTHH:MM') after which the fact no longer holds and is forgotten automatically."
+                    }
+                },
+                required: ['fact']
+            }
+        },
+        {
+            name: 'recall_facts',
+            description: `
+                Search the long-term memory of household facts.
+
+                The facts relevant to each request are already listed in the \`[HOUSEHOLD MEMORY: ...]\` prefix.
+                Call this tool only when the user asks what you remember, or when you need a fact that is not in the prefix.
+                Omit \`query\` to list every fact.`,
+            inputSchema: {
+                type: Type.OBJECT,
+                properties: {
+                    query: {
+                        type: Type.STRING,
+                        description: "Keywords to look for (e.g. 'Marco bedroom')."
+                    },
+                    category: {
+                        type: Type.STRING,
+                        description: "Optional category filter.",
+                        enum: ['person', 'place', 'device', 'routine', 'preference', 'event', 'other']
+                    }
+                }
+            }
+        },
+        {
+            name: 'forget_fact',
+            description: `
+                Delete a fact from long-term memory, when the user asks you to forget it or it is no longer true.
+
+                Pass \`memoryId\` (from recall_facts) or a \`query\`. If the query matches several facts, nothing is deleted:
+                ask the user which one they mean, then call again with its \`memoryId\`.`,
+            inputSchema: {
+                type: Type.OBJECT,
+                properties: {
+                    memoryId: {
+                        type: Type.STRING,
+                        description: "ID of the fact to forget."
+                    },
+                    query: {
+                        type: Type.STRING,
+                        description: "Keywords identifying a single fact."
+                    }
+                }
+            }
+        },
+        {
+            name: 'undo_last_action',
+            description: `
+                Undo the device changes made by your last command in this conversation that changed a device
+                (e.g. "undo", "no, put it back", "that was the wrong light").
+
+                Restores the values every \`control_device\` call of that command replaced, newest first. Devices changed
+                since by someone else are left alone (\`skipped\`). Action cards, started flows and schedules are NOT undone:
+                to revert a flow change use \`manage_flow\` or \`manage_advanced_flow\` with \`action='restore'\`.
+                Calling it again undoes the command before that.`,
+            inputSchema: {
+                type: Type.OBJECT,
+                properties: {}
+            }
         }
     ];
 }
 
-module.exports = { getTools };
+/**
+ * Tools that mutate device state.
+ *
+ * Used by {@link GeminiClient} to detect mixed (mutation + query) batches that require
+ * sequential execution, and by {@link HomeyMCPAdapter} to intercept them in dry-run mode.
+ *
+ * @type {Set<string>}
+ */
+const STATE_MUTATING_TOOLS = new Set([
+    'control_device',
+    'control_devices',
+    'trigger_flow',
+    'run_action_card',
+    'undo_last_action',
+]);
+
+module.exports = { getTools, STATE_MUTATING_TOOLS };
 
@@ -0,0 +1,497 @@
+'use strict';
+
+const { Recurrence } = require('./Recurrence');
+
+// Settings keys
+const USAGE_LEDGER_SETTING = 'usage_ledger';
+const PRICE_TABLE_SETTING = 'usage_price_table';
+const BUDGETS_SETTING = 'usage_budgets';
+const BUDGET_THRESHOLD_SETTING = 'usage_budget_threshold';
+
+// Daily budgets: share of a budget (percent) at which requests fall back to cheaper models
+const BUDGET_THRESHOLD_DEFAULT_PERCENT = 80;
+const BUDGET_THRESHOLD_MIN_PERCENT = 50;
+const BUDGET_THRESHOLD_MAX_PERCENT = 100;
+const BUDGET_TRIGGER_CARD = 'usage_budget_threshold_crossed';
+
+// Retention
+const MAX_DAILY_BUCKETS = 62;     // About two months of daily totals
+const MAX_MONTHLY_BUCKETS = 12;   // One year of monthly totals
+const MAX_RECENT_CALLS = 50;      // Most recent calls kept individually
+
+// Calls are aggregated in memory and written to the settings at most once per interval
+const SAVE_DELAY_MS = 10 * 1000;
+
+// Estimated prices in USD per 1M tokens (paid tier, prompts up to 200k tokens).
+// Thinking tokens are billed as output. Models are matched by the longest key
+// that prefixes the model name, so e.g. dated preview variants use the base price.
+const DEFAULT_PRICE_TABLE = {
+    'gemini-2.5-flash-lite': { input: 0.10, cachedInput: 0.01, output: 0.40 },
+    'gemini-2.5-flash-image': { input: 0.30, cachedInput: 0.03, output: 30.00 },
+    'gemini-2.5-flash': { input: 0.30, cachedInput: 0.03, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, cachedInput: 0.125, output: 10.00 },
+    'gemini-3-flash': { input: 0.50, cachedInput: 0.05, output: 3.00 },
+    'gemini-3.1-flash-lite': { input: 0.25, cachedInput: 0.025, output: 1.50 },
+    'gemini-3.1-pro': { input: 2.00, cachedInput: 0.20, output: 12.00 },
+    'gemini-3.5-flash': { input: 0.50, cachedInput: 0.05, output: 3.00 }
+};
+
+const TOTAL_FIELDS = ['calls', 'promptTokens', 'cachedTokens', 'thoughtsTokens', 'candidatesTokens', 'totalTokens', 'cost'];
+
+/**
+ * UsageLedger
+ *
+ * Records the token usage of every Gemini call, tagged with the model, the entry
+ * point (flow card ID, `widget`, `scheduler`, ...) and the conversation session, and
+ * aggregates it into daily and monthly totals with an estimated cost. Costs are
+ * computed when a call is recorded, from a price table that can be overridden
+ * in the `usage_price_table` setting.
+ *
+ * Days and months follow the Homey timezone. Daily buckets are broken down by model;
+ * monthly buckets by model, entry point and session.
+ *
+ * Each model can have a daily budget of requests and/or tokens (`usage_budgets` setting).
+ * When a call takes a model past the budget threshold, or past the full budget, the
+ * `usage_budget_threshold_crossed` flow card fires; {@link GeminiClient} uses
+ * {@link UsageLedger#getBudgetRatio} to fall back to cheaper models.
+ */
+class UsageLedger {
+
+    /**
+     * Creates a new UsageLedger instance and loads the saved totals.
+     *
+     * @public
+     * @param {import('homey')} homey - The Homey app instance.
+     */
+    constructor(homey) {
+        this.homey = homey;
+        this._saveTimer = null;
+
+        const saved = homey.settings.get(USAGE_LEDGER_SETTING);
+        this._ledger = {
+            days: saved?.days || {},
+            months: saved?.months || {},
+            recent: Array.isArray(saved?.recent) ? saved.recent : []
+        };
+    }
+
+    // ── Public Methods ──────────────────────────────────────────────────────────
+
+    /**
+     * Records the token usage of one Gemini call.
+     *
+     * @public
+     * @param {Object} call - The call to record.
+     * @param {string} call.model - The model that served the call.
+     * @param {?Object} call.usage - The `usageMetadata` of the response.
+     * @param {string} [call.entryPoint='other'] - Where the call came from (e.g. `'send-mcp-command'`, `'widget'`).
+     * @param {?string} [call.sessionId=null] - The conversation session, for MCP calls.
+     * @returns {?Object} The recorded call, or `null` when the response reported no usage.
+     * @example
+     * ledger.record({ model: 'gemini-3.1-flash-lite', usage: response.usageMetadata, entryPoint: 'widget', sessionId: 'widget:abc' });
+     */
+    record({ model, usage, entryPoint = 'other', sessionId = null }) {
+        if (!usage || !model) {
+            return null;
+        }
+
+        const promptTokens = (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0);
+        const cachedTokens = usage.cachedContentTokenCount || 0;
+        const thoughtsTokens = usage.thoughtsTokenCount || 0;
+        const candidatesTokens = usage.candidatesTokenCount || 0;
+
+        const call = {
+            at: Date.now(),
+            model,
+            entryPoint: entryPoint || 'other',
+            sessionId: sessionId || null,
+            calls: 1,
+            promptTokens,
+            cachedTokens,
+            thoughtsTokens,
+            candidatesTokens,
+            totalTokens: usage.totalTokenCount || promptTokens + thoughtsTokens + candidatesTokens,
+            cost: this._estimateCost(model, promptTokens, cachedTokens, thoughtsTokens + candidatesTokens)
+        };
+
+        const ratioBefore = this.getBudgetRatio(model);
+
+        const localIso = Recurrence.toLocalIso(new Date(call.at), this._getTimezone());
+        const day = this._getBucket(this._ledger.days, localIso.slice(0, 10), MAX_DAILY_BUCKETS);
+        this._add(day, call);
+        this._add(this._getGroup(day, 'byModel', model), call);
+
+        const month = this._getBucket(this._ledger.months, localIso.slice(0, 7), MAX_MONTHLY_BUCKETS);
+        this._add(month, call);
+        this._add(this._getGroup(month, 'byModel', model), call);
+        this._add(this._getGroup(month, 'byEntryPoint', call.entryPoint), call);
+        this._add(this._getGroup(month, 'bySession', call.sessionId || '-'), call);
+
+        this._ledger.recent.unshift(call);
+        this._ledger.recent.length = Math.min(this._ledger.recent.length, MAX_RECENT_CALLS);
+
+        this._scheduleSave();
+        this._checkBudgetCrossing(model, ratioBefore);
+        return call;
+    }
+
+    /**
+     * Returns how much of its daily budget a model has used today: the highest of the
+     * request and token ratios (1 = budget exhausted), or 0 when the model has no budget.
+     *
+     * @public
+     * @param {string} model - The model name.
+     * @returns {number} The used share of the budget.
+     * @example
+     * ledger.getBudgetRatio('gemini-3.5-flash'); // 0.82
+     */
+    getBudgetRatio(model) {
+        const status = this.getBudgetStatus(model);
+        return status ? status.ratio : 0;
+    }
+
+    /**
+     * Returns today's usage of a model against its daily budget.
+     *
+     * @public
+     * @param {string} model - The model name.
+     * @returns {?{ model: string, requests: { used: number, limit: ?number }, tokens: { used: number, limit: ?number }, ratio: number }}
+     *   The budget status, or `null` when the model has no budget.
+     */
+    getBudgetStatus(model) {
+        const budget = this.getBudgets()[model];
+        if (!budget) {
+            return null;
+        }
+
+        const today = Recurrence.toLocalIso(new Date(), this._getTimezone()).slice(0, 10);
+        const usage = this._ledger.days[today]?.byModel?.[model] || {};
+        const requests = { used: usage.calls || 0, limit: budget.requests || null };
+        const tokens = { used: usage.totalTokens || 0, limit: budget.tokens || null };
+        const ratio = Math.max(
+            requests.limit ? requests.used / requests.limit : 0,
+            tokens.limit ? tokens.used / tokens.limit : 0
+        );
+        return { model, requests, tokens, ratio };
+    }
+
+    /**
+     * Returns the daily budgets by model (`usage_budgets` setting).
+     *
+     * @public
+     * @returns {Object<string, { requests?: number, tokens?: number }>}
+     */
+    getBudgets() {
+        const budgets = this.homey.settings.get(BUDGETS_SETTING);
+        return budgets && typeof budgets === 'object' ? budgets : {};
+    }
+
+    /**
+     * Returns the budget threshold as a share of the budget (e.g. 0.8).
+     *
+     * @public
+     * @returns {number}
+     */
+    getBudgetThreshold() {
+        const percent = Number(this.homey.settings.get(BUDGET_THRESHOLD_SETTING));
+        return Math.min(
+            BUDGET_THRESHOLD_MAX_PERCENT,
+            Math.max(BUDGET_THRESHOLD_MIN_PERCENT, percent > 0 ? percent : BUDGET_THRESHOLD_DEFAULT_PERCENT)
+        ) / 100;
+    }
+
+    /**
+     * Validates and saves the daily budgets and the threshold.
+     *
+     * @public
+     * @param {Object<string, { requests?: ?number, tokens?: ?number }>} budgets - Daily limits by model (an empty object removes every budget).
+     * @param {number} [thresholdPercent] - Threshold in percent of the budget.
+     * @returns {{ success: boolean, budgets?: Object, thresholdPercent?: number, error?: string }}
+     * @example
+     * ledger.setBudgets({ 'gemini-3.5-flash': { requests: 200, tokens: 2000000 } }, 80);
+     */
+    setBudgets(budgets, thresholdPercent) {
+        if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+            return { success: false, error: 'Budgets must be an object of models, e.g. { "gemini-3.5-flash": { "requests": 200, "tokens": 2000000 } }.' };
+        }
+        if (thresholdPercent !== undefined && thresholdPercent !== null) {
+            const percent = Number(thresholdPercent);
+            if (!Number.isFinite(percent) || percent < BUDGET_THRESHOLD_MIN_PERCENT || percent > BUDGET_THRESHOLD_MAX_PERCENT) {
+                return { success: false, error: `The threshold must be between ${BUDGET_THRESHOLD_MIN_PERCENT} and ${BUDGET_THRESHOLD_MAX_PERCENT} percent.` };
+            }
+        }
+
+        const normalized = {};
+        for (const [model, limits] of Object.entries(budgets)) {
+            const budget = {};
+            for (const field of ['requests', 'tokens']) {
+                if (limits?.[field] === undefined || limits[field] === null || limits[field] === '') {
+                    continue;
+                }
+                const value = Number(limits[field]);
+                if (!Number.isInteger(value) || value <= 0) {
+                    return { success: false, error: `Invalid ${field} budget for model "${model}": it must be a positive whole number.` };
+                }
+                budget[field] = value;
+            }
+            if (Object.keys(budget).length > 0) {
+                normalized[model.trim()] = budget;
+            }
+        }
+
+        this.homey.settings.set(BUDGETS_SETTING, normalized);
+        if (thresholdPercent !== undefined && thresholdPercent !== null) {
+            this.homey.settings.set(BUDGET_THRESHOLD_SETTING, Number(thresholdPercent));
+        }
+        return { success: true, budgets: normalized, thresholdPercent: Math.round(this.getBudgetThreshold() * 100) };
+    }
+
+    /**
+     * Returns the usage report shown by the settings dashboard.
+     *
+     * @public
+     * @returns {{ currency: string, timezone: string, today: Object, month: Object, days: Array<Object>, months: Array<Object>, recent: Array<Object>, priceTable: Object, budgets: Array<Object>, budgetThresholdPercent: number }}
+     * @example
+     * const { today, month } = ledger.getReport();
+     * // today: { date: '2026-10-19', calls: 12, promptTokens: 48210, ..., cost: 0.0123, byModel: { ... } }
+     */
+    getReport() {
+        const localIso = Recurrence.toLocalIso(new Date(), this._getTimezone());
+        const today = localIso.slice(0, 10);
+        const thisMonth = localIso.slice(0, 7);
+        const empty = () => this._add({}, {});
+
+        return {
+            currency: 'USD',
+            timezone: this._getTimezone(),
+            today: { date: today, ...(this._ledger.days[today] || empty()) },
+            month: { month: thisMonth, ...(this._ledger.months[thisMonth] || empty()) },
+            days: Object.keys(this._ledger.days).sort().reverse().map(date => ({ date, ...this._ledger.days[date] })),
+            months: Object.keys(this._ledger.months).sort().reverse().map(month => ({ month, ...this._ledger.months[month] })),
+            recent: this._ledger.recent,
+            priceTable: this.getPriceTable(),
+            budgets: Object.keys(this.getBudgets()).map(model => this.getBudgetStatus(model)),
+            budgetThresholdPercent: Math.round(this.getBudgetThreshold() * 100)
+        };
+    }
+
+    /**
+     * Returns the price table in use: the `usage_price_table` setting, or the defaults.
+     *
+     * @public
+     * @returns {Object<string, { input: number, cachedInput: number, output: number }>} USD per 1M tokens, by model.
+     */
+    getPriceTable() {
+        const custom = this.homey.settings.get(PRICE_TABLE_SETTING);
+        return custom && typeof custom === 'object' ? custom : { ...DEFAULT_PRICE_TABLE };
+    }
+
+    /**
+     * Validates and saves a custom price table. `null` restores the defaults.
+     * Prices apply to calls recorded from now on.
+     *
+     * @public
+     * @param {?Object<string, { input: number, cachedInput?: number, output: number }>} table - USD per 1M tokens, by model.
+     * @returns {{ success: boolean, priceTable?: Object, error?: string }}
+     * @example
+     * ledger.setPriceTable({ 'gemini-3.1-flash-lite': { input: 0.25, cachedInput: 0.025, output: 1.5 } });
+     */
+    setPriceTable(table) {
+        if (table === null) {
+            this.homey.settings.unset(PRICE_TABLE_SETTING);
+            return { success: true, priceTable: this.getPriceTable() };
+        }
+        if (!table || typeof table !== 'object' || Array.isArray(table) || Object.keys(table).length === 0) {
+            return { success: false, error: 'The price table must be an object of models, e.g. { "gemini-3.1-flash-lite": { "input": 0.25, "cachedInput": 0.025, "output": 1.5 } }.' };
+        }
+
+        const normalized = {};
+        for (const [model, prices] of Object.entries(table)) {
+            const input = Number(prices?.input);
+            const output = Number(prices?.output);
+            const cachedInput = prices?.cachedInput === undefined ? input : Number(prices.cachedInput);
+            if (![input, output, cachedInput].every(price => Number.isFinite(price) && price >= 0)) {
+                return { success: false, error: `Invalid prices for model "${model}": input, cachedInput and output must be non-negative numbers (USD per 1M tokens).` };
+            }
+            normalized[model.trim()] = { input, cachedInput, output };
+        }
+
+        this.homey.settings.set(PRICE_TABLE_SETTING, normalized);
+        return { success: true, priceTable: normalized };
+    }
+
+    /**
+     * Deletes all recorded usage.
+     *
+     * @public
+     * @returns {void}
+     */
+    reset() {
+        this._ledger = { days: {}, months: {}, recent: [] };
+        this.flush();
+    }
+
+    /**
+     * Writes pending changes to the settings immediately.
+     *
+     * @public
+     * @returns {void}
+     */
+    flush() {
+        if (this._saveTimer) {
+            this.homey.clearTimeout(this._saveTimer);
+            this._saveTimer = null;
+        }
+        this.homey.settings.set(USAGE_LEDGER_SETTING, this._ledger);
+    }
+
+    // ── Private Methods ─────────────────────────────────────────────────────────
+
+    /**
+     * Fires the `usage_budget_threshold_crossed` flow card when the last call took a model
+     * past its budget threshold (`warning`) or past its full budget (`exhausted`).
+     * Errors are logged, never thrown.
+     *
+     * @private
+     * @param {string} model - The model of the recorded call.
+     * @param {number} ratioBefore - The budget ratio before the call.
+     * @returns {void}
+     */
+    _checkBudgetCrossing(model, ratioBefore) {
+        const status = this.getBudgetStatus(model);
+        if (!status) {
+            return;
+        }
+
+        const threshold = this.getBudgetThreshold();
+        let level = null;
+        if (ratioBefore < 1 && status.ratio >= 1) {
+            level = 'exhausted';
+        } else if (ratioBefore < threshold && status.ratio >= threshold) {
+            level = 'warning';
+        }
+        if (!level) {
+            return;
+        }
+
+        this.homey.log(`[UsageLedger] Daily budget of ${model} ${level}: ${Math.round(status.ratio * 100)}% used`);
+        const card = this.homey.app?.budgetThresholdTrigger || this.homey.flow.getTriggerCard(BUDGET_TRIGGER_CARD);
+        card.trigger({
+            model,
+            level,
+            percent: Math.round(status.ratio * 100),
+            requests_used: status.requests.used,
+            requests_limit: status.requests.limit || 0,
+            tokens_used: status.tokens.used,
+            tokens_limit: status.tokens.limit || 0
+        }).catch(error => this.homey.error(`[UsageLedger] Could not trigger '${BUDGET_TRIGGER_CARD}':`, error.message));
+    }
+
+    /**
+     * Estimates the cost of a call from the price table.
+     *
+     * @private
+     * @param {string} model - The model name.
+     * @param {number} promptTokens - Input tokens, cached ones included.
+     * @param {number} cachedTokens - Input tokens served from the context cache.
+     * @param {number} outputTokens - Candidate and thinking tokens.
+     * @returns {number} The estimated cost in USD (0 for models without a price).
+     */
+    _estimateCost(model, promptTokens, cachedTokens, outputTokens) {
+        const table = this.getPriceTable();
+        const key = Object.keys(table)
+            .filter(name => model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+        if (!key) {
+            return 0;
+        }
+
+        const prices = table[key];
+        const cost = (
+            Math.max(0, promptTokens - cachedTokens) * prices.input +
+            cachedTokens * (prices.cachedInput ?? prices.input) +
+            outputTokens * prices.output
+        ) / 1e6;
+        return Math.round(cost * 1e6) / 1e6;
+    }
+
+    /**
+     * Returns the bucket with the given key, creating it and dropping the oldest
+     * buckets beyond the retention limit.
+     *
+     * @private
+     * @param {Object<string, Object>} buckets - Daily or monthly buckets.
+     * @param {string} key - `YYYY-MM-DD` or `YYYY-MM`.
+     * @param {number} max - Buckets to keep.
+     * @returns {Object} The bucket.
+     */
+    _getBucket(buckets, key, max) {
+        if (!buckets[key]) {
+            buckets[key] = this._add({}, {});
+            const keys = Object.keys(buckets).sort();
+            for (const oldKey of keys.slice(0, Math.max(0, keys.length - max))) {
+                delete buckets[oldKey];
+            }
+        }
+        return buckets[key];
+    }
+
+    /**
+     * Returns the totals of one group (model, entry point or session) within a bucket.
+     *
+     * @private
+     * @param {Object} bucket - The bucket.
+     * @param {string} group - `'byModel'`, `'byEntryPoint'` or `'bySession'`.
+     * @param {string} key - The model, entry point or session.
+     * @returns {Object} The group totals.
+     */
+    _getGroup(bucket, group, key) {
+        bucket[group] = bucket[group] || {};
+        bucket[group][key] = bucket[group][key] || this._add({}, {});
+        return bucket[group][key];
+    }
+
+    /**
+     * Adds the counters of a call to a totals object.
+     *
+     * @private
+     * @param {Object} totals - The totals to update.
+     * @param {Object} call - The call counters.
+     * @returns {Object} The updated totals.
+     */
+    _add(totals, call) {
+        for (const field of TOTAL_FIELDS) {
+            totals[field] = (totals[field] || 0) + (call[field] || 0);
+        }
+        totals.cost = Math.round(totals.cost * 1e6) / 1e6;
+        return totals;
+    }
+
+    /**
+     * Schedules a deferred save, so that the calls of one MCP run are written once.
+     *
+     * @private
+     * @returns {void}
+     */
+    _scheduleSave() {
+        if (this._saveTimer) {
+            return;
+        }
+        this._saveTimer = this.homey.setTimeout(() => {
+            this._saveTimer = null;
+            this.homey.settings.set(USAGE_LEDGER_SETTING, this._ledger);
+        }, SAVE_DELAY_MS);
+    }
+
+    /**
+     * Returns the Homey timezone.
+     *
+     * @private
+     * @returns {string} IANA timezone name.
+     */
+    _getTimezone() {
+        return this.homey.clock.getTimezone() || 'UTC';
+    }
+}
+
+module.exports = { UsageLedger, DEFAULT_PRICE_TABLE };
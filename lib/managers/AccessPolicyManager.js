@@ -0,0 +1,328 @@
+'use strict';
+
+const POLICY_SETTINGS_KEY = 'device_access_policy';
+const MAX_RULES = 200;
+const RULE_SCOPES = ['device', 'zone', 'class', 'capability'];
+
+// Access levels, from the least to the most restrictive
+const ACCESS_LEVELS = ['confirm', 'read-only', 'forbidden'];
+
+// Device tools subject to the policy, and whether a call reads or changes the device
+const DEVICE_TOOL_OPERATIONS = {
+  control_device: () => 'write',
+  run_action_card: () => 'write',
+  manage_device_firmware: args => (args.action === 'install' ? 'write' : 'read'),
+  get_device_state: () => 'read',
+  get_device_image: () => 'read',
+  get_device_logs: () => 'read',
+  discover_flow_cards: () => 'read',
+  list_device_actions: () => 'read'
+};
+
+/**
+ * AccessPolicyManager
+ *
+ * Device access policy set by the owner in the app settings. Rules mark devices,
+ * zones (including their sub-zones), device classes or capabilities as:
+ * - `confirm`: changes wait for the user's approval (see {@link ApprovalManager}).
+ * - `read-only`: the state can be read, never changed.
+ * - `forbidden`: the assistant may neither read nor change the device.
+ *
+ * Rules on a device, zone or class can be limited to some capabilities. When several
+ * rules match, the most restrictive one applies. The policy is checked by
+ * {@link HomeyMCPAdapter#callTool} before dispatch, so it covers the widget, flow cards
+ * and scheduled commands alike; forbidden devices are also left out of discovery and
+ * home summaries (see {@link AccessPolicyManager#isForbidden}). The policy does not cover
+ * flows: a flow started or edited by the assistant can still change any device.
+ * Rules are persisted in the `device_access_policy` setting.
+ */
+class AccessPolicyManager {
+  /**
+   * @param {import('homey')} homey - The Homey app instance.
+   * @param {Object} adapter - The parent HomeyMCPAdapter instance.
+   */
+  constructor(homey, adapter) {
+    this.homey = homey;
+    this.adapter = adapter;
+  }
+
+  /**
+   * Checks a tool call against the policy.
+   *
+   * Calls that do not target a device are allowed. When the policy has rules and the
+   * device or the zones cannot be resolved, the call is refused: a missing or ambiguous
+   * name must not get around a rule. Action cards are checked against the device they
+   * run on (see {@link AccessPolicyManager#_resolveTarget}).
+   *
+   * @public
+   * @param {string} toolName - The MCP tool name.
+   * @param {Object} [args={}] - The tool arguments.
+   * @returns {Promise<?Object>} `null` when the call is allowed, otherwise a refusal to return as the tool result.
+   *   Refusals of `confirm` rules carry `requiresConfirmation: true`: the caller asks for approval instead.
+   * @example
+   * await accessPolicy.check('control_device', { deviceName: 'Front Door', capability: 'locked', value: false });
+   * // { success: false, blockedByPolicy: true, access: 'read-only', device: 'Front Door', capability: 'locked', ... }
+   */
+  async check(toolName, args = {}) {
+    const operationOf = DEVICE_TOOL_OPERATIONS[toolName];
+    const rules = this._load();
+    if (!operationOf || rules.length === 0) {
+      return null;
+    }
+
+    let device;
+    let zones;
+    try {
+      device = await this._resolveTarget(toolName, args);
+      if (!device) {
+        return null;
+      }
+      zones = await this.adapter.api.zones.getZones();
+    } catch (err) {
+      this.homey.log(`[AccessPolicyManager] Blocked ${toolName}: could not check the policy (${err.message})`);
+      return {
+        success: false,
+        blockedByPolicy: true,
+        error: `Not executed: the owner's access policy could not be checked for this device (${err.message}). Check the device name with discover_resources and try again.`
+      };
+    }
+
+    const operation = operationOf(args);
+    // Action cards can change any capability of the device
+    const capability = toolName === 'control_device' ? args.capability : null;
+    const rule = this._findRule(rules, device, zones, capability);
+    if (!rule) {
+      return null;
+    }
+
+    if ((rule.access === 'confirm' || rule.access === 'read-only') && operation === 'read') {
+      return null;
+    }
+
+    this.homey.log(`[AccessPolicyManager] ${rule.access === 'confirm' ? 'Approval required for' : 'Blocked'} ${toolName} on "${device.name}" (${rule.access}, rule ${rule.id})`);
+
+    const refusal = {
+      success: false,
+      blockedByPolicy: true,
+      access: rule.access,
+      device: device.name,
+      capability: capability || undefined,
+      rule: { id: rule.id, scope: rule.scope, target: rule.target, ...(rule.capabilities.length > 0 && { capabilities: rule.capabilities }) }
+    };
+
+    if (rule.access === 'confirm') {
+      return {
+        ...refusal,
+        requiresConfirmation: true,
+        error: `Not executed: the owner's access policy requires the user's approval to change "${device.name}".`
+      };
+    }
+    if (rule.access === 'read-only') {
+      return {
+        ...refusal,
+        error: `Not executed: the owner's access policy makes "${device.name}" read-only for the assistant${rule.capabilities.length > 0 ? ` (${rule.capabilities.join(', ')})` : ''}. Its state can be read but not changed. Explain this to the user; do NOT try another tool, flow or schedule to change it.`
+      };
+    }
+    return {
+      ...refusal,
+      error: `Not executed: the owner's access policy forbids the assistant to use "${device.name}". Explain this to the user; do NOT try another tool, flow or schedule to reach it.`
+    };
+  }
+
+  /**
+   * Whether the policy forbids the assistant to use a device at all. Discovery and
+   * home summaries leave such devices out, as {@link AccessPolicyManager#check} would
+   * refuse to read them.
+   *
+   * @public
+   * @param {Object} device - The HomeyAPI device.
+   * @param {Object<string, Object>} zones - The HomeyAPI zones by ID.
+   * @returns {boolean}
+   */
+  isForbidden(device, zones) {
+    const rules = this._load();
+    if (rules.length === 0) {
+      return false;
+    }
+    return this._findRule(rules, device, zones, null)?.access === 'forbidden';
+  }
+
+  /**
+   * Returns every rule (settings page).
+   *
+   * @public
+   * @returns {Array<Object>} The rules, in the order they were added.
+   */
+  listRules() {
+    return this._load();
+  }
+
+  /**
+   * Adds a rule.
+   *
+   * @public
+   * @param {Object} rule
+   * @param {string} rule.scope - One of {@link RULE_SCOPES}.
+   * @param {string} rule.target - Device name or ID, zone name or ID, device class or capability ID.
+   * @param {string} rule.access - One of {@link ACCESS_LEVELS}.
+   * @param {Array<string>|string} [rule.capabilities] - Capabilities the rule is limited to (device, zone and class rules only).
+   * @returns {{ success: boolean, rule?: Object, error?: string }}
+   * @example
+   * accessPolicy.addRule({ scope: 'class', target: 'lock', access: 'confirm' });
+   * accessPolicy.addRule({ scope: 'zone', target: 'Garage', capabilities: ['garagedoor_closed'], access: 'read-only' });
+   */
+  addRule({ scope, target, access, capabilities } = {}) {
+    if (!RULE_SCOPES.includes(scope)) {
+      return { success: false, error: `Invalid scope "${scope}". Valid values: ${RULE_SCOPES.join(', ')}.` };
+    }
+    if (!ACCESS_LEVELS.includes(access)) {
+      return { success: false, error: `Invalid access "${access}". Valid values: ${ACCESS_LEVELS.join(', ')}.` };
+    }
+    const trimmedTarget = typeof target === 'string' ? target.trim() : '';
+    if (!trimmedTarget) {
+      return { success: false, error: "Missing required parameter 'target'." };
+    }
+
+    const capabilityList = (Array.isArray(capabilities) ? capabilities : String(capabilities || '').split(','))
+      .map(c => String(c).trim())
+      .filter(Boolean);
+
+    const rules = this._load();
+    if (rules.length >= MAX_RULES) {
+      return { success: false, error: `Too many rules (max ${MAX_RULES}). Delete a rule first.` };
+    }
+
+    const rule = {
+      id: `rule_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      scope,
+      target: trimmedTarget,
+      capabilities: scope === 'capability' ? [] : capabilityList,
+      access,
+      createdAt: new Date().toISOString()
+    };
+    rules.push(rule);
+    this._save(rules);
+    this.homey.log(`[AccessPolicyManager] Added ${rule.id}: ${scope} "${rule.target}" → ${access}`);
+    return { success: true, rule };
+  }
+
+  /**
+   * Deletes a rule.
+   *
+   * @public
+   * @param {string} ruleId - The rule ID.
+   * @returns {{ success: boolean, error?: string }}
+   */
+  deleteRule(ruleId) {
+    const rules = this._load();
+    if (!rules.some(r => r.id === ruleId)) {
+      return { success: false, error: `Rule "${ruleId}" not found.` };
+    }
+    this._save(rules.filter(r => r.id !== ruleId));
+    return { success: true };
+  }
+
+  // ── Private Methods ─────────────────────────────────────────────────────────
+
+  /**
+   * Resolves the device a tool call acts on. An action card runs on the device of its
+   * `homey:device:<id>:` card ID unless `deviceId` is given, exactly as in
+   * {@link FlowManager#runActionCard}; its card ID, device ID and device name must all
+   * designate the same device.
+   *
+   * @private
+   * @param {string} toolName - The MCP tool name.
+   * @param {Object} args - The tool arguments.
+   * @returns {Promise<?Object>} The HomeyAPI device, or `null` when the call targets no device.
+   * @throws {Error} If the device cannot be resolved, or the arguments designate different devices.
+   */
+  async _resolveTarget(toolName, args) {
+    let deviceId = args.deviceId || null;
+    const isActionCard = toolName === 'run_action_card';
+    if (isActionCard) {
+      const cardDeviceId = typeof args.cardId === 'string' ? args.cardId.match(/^homey:device:([^:]+):/)?.[1] : null;
+      if (deviceId && cardDeviceId && deviceId !== cardDeviceId) {
+        throw new Error(`the action card "${args.cardId}" belongs to another device than "${deviceId}"`);
+      }
+      deviceId = deviceId || cardDeviceId || null;
+    }
+    if (!args.deviceName && !deviceId) {
+      return null;
+    }
+
+    const device = (await this.adapter.deviceManager._resolveDevice(args.deviceName, deviceId)).device;
+    if (isActionCard && deviceId && args.deviceName && device.name.trim().toLowerCase() !== String(args.deviceName).trim().toLowerCase()) {
+      throw new Error(`"${args.deviceName}" does not match the targeted device "${device.name}"`);
+    }
+    return device;
+  }
+
+  /**
+   * Returns the most restrictive rule that applies to a device and capability.
+   *
+   * @private
+   * @param {Array<Object>} rules - The policy rules.
+   * @param {Object} device - The HomeyAPI device.
+   * @param {Object<string, Object>} zones - The HomeyAPI zones by ID.
+   * @param {?string} capability - The capability being used, or `null` for the whole device.
+   * @returns {?Object} The rule, or `null` when none applies.
+   */
+  _findRule(rules, device, zones, capability) {
+    // The device's zone and all the zones that contain it
+    const zoneChain = [];
+    for (let zone = zones[device.zone]; zone && !zoneChain.includes(zone); zone = zones[zone.parent]) {
+      zoneChain.push(zone);
+    }
+    const deviceCapabilities = device.capabilities || Object.keys(device.capabilitiesObj || {});
+    const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+    const applies = rule => {
+      if (rule.scope === 'capability') {
+        return capability ? same(capability, rule.target) : deviceCapabilities.some(c => same(c, rule.target));
+      }
+
+      let targetMatches = false;
+      if (rule.scope === 'device') {
+        targetMatches = device.id === rule.target || same(device.name, rule.target);
+      } else if (rule.scope === 'zone') {
+        targetMatches = zoneChain.some(zone => zone.id === rule.target || same(zone.name, rule.target));
+      } else if (rule.scope === 'class') {
+        targetMatches = same(device.class, rule.target) || same(device.virtualClass, rule.target);
+      }
+      if (!targetMatches || rule.capabilities.length === 0) {
+        return targetMatches;
+      }
+      return capability
+        ? rule.capabilities.some(c => same(c, capability))
+        : rule.capabilities.some(c => deviceCapabilities.some(d => same(c, d)));
+    };
+
+    return rules
+      .filter(applies)
+      .sort((a, b) => ACCESS_LEVELS.indexOf(b.access) - ACCESS_LEVELS.indexOf(a.access))[0] || null;
+  }
+
+  /**
+   * Loads the rules.
+   *
+   * @private
+   * @returns {Array<Object>} The rules.
+   */
+  _load() {
+    const rules = this.homey.settings.get(POLICY_SETTINGS_KEY);
+    return Array.isArray(rules) ? rules.map(r => ({ ...r, capabilities: r.capabilities || [] })) : [];
+  }
+
+  /**
+   * Persists the rules.
+   *
+   * @private
+   * @param {Array<Object>} rules - The rules to store.
+   * @returns {void}
+   */
+  _save(rules) {
+    this.homey.settings.set(POLICY_SETTINGS_KEY, rules);
+  }
+}
+
+module.exports = { AccessPolicyManager };
@@ -0,0 +1,270 @@
+'use strict';
+
+const TIMEOUT_SETTINGS_KEY = 'approval_timeout_seconds';
+const FLOW_CHANGES_SETTINGS_KEY = 'approval_flow_changes';
+const DEFAULT_TIMEOUT_SECONDS = 120;
+const MIN_TIMEOUT_SECONDS = 30;
+const MAX_TIMEOUT_SECONDS = 600;
+const APPROVAL_TRIGGER_CARD = 'approval_requested';
+
+// Flow changes that wait for approval when the `approval_flow_changes` setting is enabled
+const FLOW_TOOLS = ['manage_flow', 'manage_advanced_flow'];
+const SENSITIVE_FLOW_ACTIONS = ['create', 'update', 'delete'];
+
+// Parked tool calls by approval ID. Kept at module level so that an approval can still be
+// decided after a settings change re-created the GeminiClient (and this manager's adapter).
+const _pending = new Map();
+
+// Time each conversation session spent waiting for approvals, by session ID:
+// { open: number of pending approvals, since: when the first one opened, totalMs: closed waits }
+const _sessionWaits = new Map();
+
+/**
+ * ApprovalManager
+ *
+ * Human-in-the-loop confirmation of sensitive tool calls. Calls matching a `confirm`
+ * rule of the device access policy (see {@link AccessPolicyManager}), and flow
+ * create/update/delete when enabled in the settings, are parked by
+ * {@link HomeyMCPAdapter#callTool} until the user decides, so the MCP loop waits:
+ * - The chat widget that sent the command shows an approve/deny bubble.
+ * - The `approval_requested` trigger fires with the approval ID, for flows that ask the
+ *   user elsewhere; other callers (flow cards, scheduled commands) also get a timeline notification.
+ * - The "Approve or deny a pending action" action card, the widget or the settings decide.
+ *
+ * Calls left undecided are refused after the configured timeout.
+ */
+class ApprovalManager {
+  /**
+   * @param {import('homey')} homey - The Homey app instance.
+   * @param {Object} adapter - The parent HomeyMCPAdapter instance.
+   */
+  constructor(homey, adapter) {
+    this.homey = homey;
+    this.adapter = adapter;
+  }
+
+  /**
+   * Whether a call needs approval besides the `confirm` rules of the access policy.
+   *
+   * @public
+   * @param {string} toolName - The MCP tool name.
+   * @param {Object} [args={}] - The tool arguments.
+   * @returns {boolean} `true` for flow create/update/delete when the `approval_flow_changes` setting is enabled.
+   */
+  isSensitive(toolName, args = {}) {
+    return FLOW_TOOLS.includes(toolName)
+      && SENSITIVE_FLOW_ACTIONS.includes(args.action)
+      && this.homey.settings.get(FLOW_CHANGES_SETTINGS_KEY) === true;
+  }
+
+  /**
+   * Parks a tool call until the user approves or denies it, or the timeout expires.
+   *
+   * @public
+   * @param {string} toolName - The MCP tool name.
+   * @param {Object} [args={}] - The tool arguments.
+   * @param {{ sessionId?: string, entryPoint?: string }} [context={}] - The caller of the MCP request.
+   * @param {?string} [device=null] - The resolved device name, when the call targets a device.
+   * @returns {Promise<?Object>} `null` when approved, otherwise the refusal to return as the tool result.
+   * @throws {Error} If the approval request cannot be announced; nothing is left pending then.
+   * @example
+   * const refusal = await approvals.awaitApproval('control_device', { deviceName: 'Front Door', capability: 'locked', value: false }, { sessionId: 'widget:abc', entryPoint: 'widget' }, 'Front Door');
+   */
+  async awaitApproval(toolName, args = {}, context = {}, device = null) {
+    const timeoutSeconds = this.getTimeoutSeconds();
+    const approval = {
+      id: `approval_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      tool: toolName,
+      device: device || null,
+      summary: this.adapter.describeToolCall(toolName, args, device),
+      sessionId: context.sessionId || null,
+      entryPoint: context.entryPoint || null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + timeoutSeconds * 1000).toISOString()
+    };
+
+    this.homey.log(`[ApprovalManager] Waiting up to ${timeoutSeconds}s for approval ${approval.id}: ${approval.summary}`);
+
+    this._startSessionWait(approval.sessionId);
+    let outcome;
+    try {
+      outcome = await new Promise((resolve, reject) => {
+        const timer = this.homey.setTimeout(() => {
+          _pending.delete(approval.id);
+          resolve('expired');
+        }, timeoutSeconds * 1000);
+
+        _pending.set(approval.id, {
+          approval,
+          settle: approved => {
+            this.homey.clearTimeout(timer);
+            _pending.delete(approval.id);
+            resolve(approved ? 'approved' : 'denied');
+          }
+        });
+
+        // An approval nobody was told about must not stay pending
+        try {
+          this._announce(approval, timeoutSeconds);
+        } catch (err) {
+          this.homey.clearTimeout(timer);
+          _pending.delete(approval.id);
+          reject(err);
+        }
+      });
+    } finally {
+      this._endSessionWait(approval.sessionId);
+    }
+
+    this.homey.log(`[ApprovalManager] Approval ${approval.id}: ${outcome}`);
+
+    if (outcome === 'approved') {
+      return null;
+    }
+    if (outcome === 'denied') {
+      return {
+        success: false,
+        approvalDenied: true,
+        approvalId: approval.id,
+        error: `Not executed: the user denied this action (${approval.summary}). Tell the user it was not done; do NOT retry it or reach the same result another way.`
+      };
+    }
+    return {
+      success: false,
+      approvalExpired: true,
+      approvalId: approval.id,
+      error: `Not executed: nobody approved this action (${approval.summary}) within ${timeoutSeconds} seconds. Tell the user it was not done and that they can ask again.`
+    };
+  }
+
+  /**
+   * Approves or denies a parked call, which then resumes or aborts its MCP loop.
+   *
+   * @public
+   * @param {string} approvalId - The approval ID.
+   * @param {boolean} approved - `true` to run the call, `false` to refuse it.
+   * @returns {{ success: boolean, approvalId?: string, decision?: string, error?: string }}
+   * @example
+   * approvals.decide('approval_1716678900000_x7f3k', true);
+   * // { success: true, approvalId: 'approval_1716678900000_x7f3k', decision: 'approved' }
+   */
+  decide(approvalId, approved) {
+    const entry = _pending.get(approvalId);
+    if (!entry) {
+      return { success: false, error: `Approval "${approvalId}" not found, already decided or expired.` };
+    }
+    entry.settle(approved === true);
+    return { success: true, approvalId, decision: approved === true ? 'approved' : 'denied' };
+  }
+
+  /**
+   * Returns the calls waiting for approval.
+   *
+   * @public
+   * @param {?string} [sessionId=null] - Only the calls of this conversation session (e.g. `'widget:abc'`).
+   * @returns {Array<Object>} The pending approvals, oldest first.
+   */
+  listPending(sessionId = null) {
+    return [..._pending.values()]
+      .map(entry => ({ ...entry.approval }))
+      .filter(approval => !sessionId || approval.sessionId === sessionId);
+  }
+
+  /**
+   * Returns how long a conversation session has spent waiting for approvals since the
+   * app started, the approvals still pending included. Overlapping approvals count once.
+   * The session queue leaves this time out of its wait limit (see
+   * {@link GeminiClient#_runInSessionQueue}), so an open approval does not make the
+   * session's other requests fail as busy.
+   *
+   * @public
+   * @param {?string} sessionId - The conversation session ID.
+   * @returns {number} The time in milliseconds.
+   */
+  getSessionWaitMs(sessionId) {
+    const wait = _sessionWaits.get(sessionId || null);
+    if (!wait) {
+      return 0;
+    }
+    return wait.totalMs + (wait.open > 0 ? Date.now() - wait.since : 0);
+  }
+
+  /**
+   * Returns how long a call waits for approval.
+   *
+   * @public
+   * @returns {number} The timeout in seconds (`approval_timeout_seconds` setting, clamped).
+   */
+  getTimeoutSeconds() {
+    const value = Number(this.homey.settings.get(TIMEOUT_SETTINGS_KEY));
+    if (!Number.isFinite(value) || value <= 0) {
+      return DEFAULT_TIMEOUT_SECONDS;
+    }
+    return Math.min(MAX_TIMEOUT_SECONDS, Math.max(MIN_TIMEOUT_SECONDS, Math.round(value)));
+  }
+
+  // ── Private Methods ─────────────────────────────────────────────────────────
+
+  /**
+   * Counts an approval opened by a session (see {@link ApprovalManager#getSessionWaitMs}).
+   *
+   * @private
+   * @param {?string} sessionId - The conversation session ID.
+   * @returns {void}
+   */
+  _startSessionWait(sessionId) {
+    const wait = _sessionWaits.get(sessionId) || { open: 0, since: 0, totalMs: 0 };
+    if (wait.open === 0) {
+      wait.since = Date.now();
+    }
+    wait.open++;
+    _sessionWaits.set(sessionId, wait);
+  }
+
+  /**
+   * Counts an approval of a session as decided or expired.
+   *
+   * @private
+   * @param {?string} sessionId - The conversation session ID.
+   * @returns {void}
+   */
+  _endSessionWait(sessionId) {
+    const wait = _sessionWaits.get(sessionId);
+    if (!wait) {
+      return;
+    }
+    wait.open--;
+    if (wait.open === 0) {
+      wait.totalMs += Date.now() - wait.since;
+    }
+  }
+
+  /**
+   * Fires the `approval_requested` trigger and, unless the chat widget asks the user,
+   * creates a timeline notification.
+   *
+   * @private
+   * @param {Object} approval - The pending approval.
+   * @param {number} timeoutSeconds - How long the call waits.
+   * @returns {void}
+   */
+  _announce(approval, timeoutSeconds) {
+    const card = this.homey.app?.approvalRequestedTrigger || this.homey.flow.getTriggerCard(APPROVAL_TRIGGER_CARD);
+    card.trigger({
+      approval_id: approval.id,
+      action: approval.summary,
+      device: approval.device || '',
+      source: approval.entryPoint || '',
+      timeout: timeoutSeconds
+    }).catch(err => this.homey.error(`[ApprovalManager] Failed to fire ${APPROVAL_TRIGGER_CARD}: ${err.message}`));
+
+    if (approval.entryPoint === 'widget') {
+      return;
+    }
+    this.homey.notifications.createNotification({
+      excerpt: this.homey.__('approval.notification', { action: approval.summary, id: approval.id, seconds: timeoutSeconds })
+    }).catch(err => this.homey.error(`[ApprovalManager] Failed to create notification: ${err.message}`));
+  }
+}
+
+module.exports = { ApprovalManager };
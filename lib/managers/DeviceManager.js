@@ -15,7 +15,19 @@ class DeviceManager {
     this.adapter = adapter;
   }
 
-  async controlDevice(deviceName, capability, value, deviceId = null) {
+  /**
+   * Sets a capability value on a device. The previous value is recorded in the undo
+   * journal (see {@link UndoManager#record}) when the call belongs to an MCP run.
+   *
+   * @public
+   * @param {?string} deviceName - The device name.
+   * @param {string} capability - The capability ID (e.g. `'onoff'`, `'dim'`).
+   * @param {*} value - The value to set.
+   * @param {?string} [deviceId=null] - The device ID, preferred over the name.
+   * @param {{ runId?: string, sessionId?: string, entryPoint?: string }} [context={}] - The MCP run making the change.
+   * @returns {Promise<Object>} The result of the tool call.
+   */
+  async controlDevice(deviceName, capability, value, deviceId = null, context = {}) {
     if (!deviceName && !deviceId) {
       return { success: false, error: "Missing required parameter: provide 'deviceName' or 'deviceId'." };
     }
@@ -70,6 +82,7 @@ class DeviceManager {
       convertedValue = parseFloat(value);
     }
 
+    const previousValue = device.capabilitiesObj[capability].value;
     try {
       await device.setCapabilityValue(capability, convertedValue);
     } catch (error) {
@@ -81,6 +94,8 @@ class DeviceManager {
       };
     }
 
+    await this.adapter.undo.record(context, device, capability, previousValue, convertedValue);
+
     let zoneName = 'Unknown';
     try {
       const zones = await this.adapter.api.zones.getZones();
@@ -101,6 +116,131 @@ class DeviceManager {
     };
   }
 
+  /**
+   * Sets a capability value on every device of a zone (including its sub-zones) and/or
+   * class that has the capability, in one tool call.
+   *
+   * Hidden and grouped devices are filtered like in discovery (see
+   * {@link DiscoveryManager#_filterVisibleDevices}). Each device goes through
+   * {@link HomeyMCPAdapter#callTool} as a `control_device` call, so the access policy,
+   * dry-run mode and the undo journal apply per device. Devices whose changes need the
+   * user's approval are asked for in a single approval covering the whole batch.
+   * The batch succeeds only when every device does; otherwise `partial` tells whether
+   * some devices were still changed, and `failures` lists the others.
+   *
+   * @public
+   * @param {Object} params
+   * @param {string} [params.zone] - Zone name; its sub-zones are included.
+   * @param {string} [params.deviceClass] - Device class (the virtual class when set, e.g. a socket used as a light).
+   * @param {string} params.capability - The capability to set; devices without it are left out.
+   * @param {*} params.value - The value to set.
+   * @param {boolean|undefined} [params.includeHiddenGrouped] - Optional override for hidden/grouped device visibility.
+   * @param {{ runId?: string, sessionId?: string, entryPoint?: string, dryRun?: boolean }} [context={}] - The MCP run making the changes.
+   * @returns {Promise<Object>} MCP tool response with a result per device.
+   * @example
+   * await deviceManager.controlDevices({ zone: 'Downstairs', deviceClass: 'light', capability: 'onoff', value: false });
+   * // { success: true, partial: false, summary: { total: 4, succeeded: 4, failed: 0 }, results: [{ device: 'Kitchen Light', zone: 'Kitchen', success: true }, ...], failures: [], ... }
+   */
+  async controlDevices({ zone, deviceClass, capability, value, includeHiddenGrouped } = {}, context = {}) {
+    if (!zone && !deviceClass) {
+      return { success: false, error: "Missing target: provide 'zone', 'deviceClass' or both." };
+    }
+    if (!capability) {
+      return { success: false, error: "Missing required parameter 'capability'. Common values: 'onoff', 'dim', 'target_temperature'." };
+    }
+    if (value === undefined || value === null) {
+      return { success: false, error: "Missing required parameter 'value'. Specify the value to set (e.g., true/false, 0-1, temperature)." };
+    }
+
+    await this.adapter.initialize();
+    const zones = await this.adapter.api.zones.getZones();
+    const devicesMap = await this.adapter.api.devices.getDevices();
+    const discovery = this.adapter.discoveryManager;
+
+    let targets = discovery._filterVisibleDevices(devicesMap, includeHiddenGrouped)
+      .filter(d => d.capabilitiesObj && d.capabilitiesObj[capability]);
+
+    if (zone) {
+      const targetZone = Object.values(zones).find(z => z.name.toLowerCase() === zone.toLowerCase());
+      if (!targetZone) {
+        return { success: false, error: `Zone "${zone}" not found. Retry control_devices using one of the exact names in availableZones.`, availableZones: Object.values(zones).map(z => z.name) };
+      }
+      const targetZoneIds = discovery._getAllChildZoneIds(targetZone.id, zones);
+      targets = targets.filter(d => d.zone && targetZoneIds.includes(d.zone));
+    }
+    if (deviceClass) {
+      const normalizedClass = deviceClass.toLowerCase();
+      targets = targets.filter(d => (d.virtualClass || d.class)?.toLowerCase() === normalizedClass);
+    }
+
+    const target = `${deviceClass ? `'${deviceClass}' devices` : 'devices'}${zone ? ` in '${zone}'` : ''}`;
+    if (targets.length === 0) {
+      return {
+        success: false,
+        error: `No ${target} with the capability '${capability}' found. Call get_home_summary or discover_resources to check the zone, class and capabilities.`
+      };
+    }
+
+    this.homey.log(`[DeviceManager] Setting ${capability} to ${JSON.stringify(value)} on ${targets.length} ${target}`);
+
+    // One approval for every device with a `confirm` rule, rather than one prompt per device
+    let approvalDenial = null;
+    const needsApproval = new Set();
+    if (!context.dryRun) {
+      for (const device of targets) {
+        const refusal = await this.adapter.accessPolicy.check('control_device', { deviceId: device.id, capability, value });
+        if (refusal && refusal.requiresConfirmation) {
+          needsApproval.add(device.id);
+        }
+      }
+      if (needsApproval.size > 0) {
+        const names = targets.filter(d => needsApproval.has(d.id)).map(d => d.name);
+        approvalDenial = await this.adapter.approvals.awaitApproval('control_devices', { capability, value, devices: names }, context, names.join(', '));
+      }
+    }
+
+    const outcomes = await Promise.all(targets.map(device => {
+      if (!needsApproval.has(device.id)) {
+        return this.adapter.callTool('control_device', { deviceId: device.id, capability, value }, context);
+      }
+      if (approvalDenial) {
+        return approvalDenial;
+      }
+      return this.adapter.callTool('control_device', { deviceId: device.id, capability, value }, { ...context, approved: true });
+    }));
+
+    const results = targets.map((device, i) => {
+      const outcome = outcomes[i] || {};
+      const entry = {
+        device: device.name,
+        id: device.id,
+        zone: device.zone && zones[device.zone] ? zones[device.zone].name : 'Unknown',
+        success: outcome.success !== false
+      };
+      if (outcome.success === false) entry.error = outcome.error;
+      for (const flag of ['blockedByPolicy', 'approvalDenied', 'approvalExpired', 'dryRun']) {
+        if (outcome[flag]) entry[flag] = true;
+      }
+      return entry;
+    });
+
+    const succeeded = results.filter(r => r.success).length;
+    const failures = results.filter(r => !r.success);
+    const plan = outcomes.filter(o => o && o.dryRun).map(o => o.plan);
+
+    return {
+      success: failures.length === 0,
+      partial: succeeded > 0 && failures.length > 0,
+      capability,
+      value,
+      ...(plan.length > 0 && { dryRun: true, plan }),
+      summary: { total: results.length, succeeded, failed: failures.length },
+      results,
+      failures: failures.map(({ device, id, error }) => ({ device, id, error })),
+      message: `${plan.length > 0 ? 'Dry run: would set' : 'Set'} ${capability} to ${JSON.stringify(value)} on ${succeeded} of ${results.length} ${target}.${succeeded < results.length ? ' See the error of each failed device.' : ''}`
+    };
+  }
+
   async getDeviceState(deviceName, deviceId = null) {
     if (!deviceName && !deviceId) {
       return { success: false, error: "Missing required parameter: provide 'deviceName' or 'deviceId'." };
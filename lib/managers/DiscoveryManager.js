@@ -51,7 +51,7 @@ class DiscoveryManager {
       const targetZoneIds = this._getAllChildZoneIds(targetZone.id, zones);
       let devicesInZone = Object.values(devices).filter(d => d.zone && targetZoneIds.includes(d.zone));
 
-      devicesInZone = this._filterVisibleDevices(devicesInZone, includeHiddenGrouped);
+      devicesInZone = this._filterVisibleDevices(devicesInZone, includeHiddenGrouped, zones);
 
       if (devicesInZone.length === 0) {
         return { success: false, error: `No devices found in zone "${zoneName}" (including sub-zones). Retry discover_devices using one of the exact names in availableZones.`, availableZones: Object.values(zones).map(z => z.name) };
@@ -121,7 +121,7 @@ class DiscoveryManager {
       const devicesMap = await this.adapter.api.devices.getDevices();
       const zones = await this.adapter.api.zones.getZones();
 
-      const devices = this._filterVisibleDevices(devicesMap, includeHiddenGrouped);
+      const devices = this._filterVisibleDevices(devicesMap, includeHiddenGrouped, zones);
 
       const deviceList = devices.map(d => {
         const isAvailable = d.available !== false;
@@ -177,7 +177,7 @@ class DiscoveryManager {
     const devicesMap = await this.adapter.api.devices.getDevices();
     const zones = await this.adapter.api.zones.getZones();
 
-    const allDevicesFiltered = this._filterVisibleDevices(devicesMap, includeHiddenGrouped);
+    const allDevicesFiltered = this._filterVisibleDevices(devicesMap, includeHiddenGrouped, zones);
     const normalizedClass = deviceClass.toLowerCase();
 
     const filteredDevices = allDevicesFiltered.filter(d => {
@@ -256,7 +256,7 @@ class DiscoveryManager {
       const nestedZoneIds = this._getAllChildZoneIds(targetZone.id, zones);
       const devicesMap = await this.adapter.api.devices.getDevices();
 
-      const allDevicesFiltered = this._filterVisibleDevices(devicesMap, includeHiddenGrouped);
+      const allDevicesFiltered = this._filterVisibleDevices(devicesMap, includeHiddenGrouped, zones);
       const normalizedClass = deviceClass.toLowerCase();
       
       let devicesInZone = allDevicesFiltered.filter(device => {
@@ -318,7 +318,7 @@ class DiscoveryManager {
       const devices = await this.adapter.api.devices.getDevices();
       const zones = await this.adapter.api.zones.getZones();
 
-      const visibleDevices = this._filterVisibleDevices(devices, includeHiddenGrouped);
+      const visibleDevices = this._filterVisibleDevices(devices, includeHiddenGrouped, zones);
       let classDevices = visibleDevices.filter(d => (d.virtualClass || d.class) === deviceClass);
 
       if (zoneName) {
@@ -411,7 +411,7 @@ class DiscoveryManager {
       const devicesMap = await this.adapter.api.devices.getDevices();
       const zones = await this.adapter.api.zones.getZones();
 
-      const devicesArray = this._filterVisibleDevices(devicesMap, includeHiddenGrouped);
+      const devicesArray = this._filterVisibleDevices(devicesMap, includeHiddenGrouped, zones);
 
       if (zoneName) {
         const targetZone = Object.values(zones).find(z => z.name.toLowerCase() === zoneName.toLowerCase());
@@ -571,7 +571,7 @@ class DiscoveryManager {
       const zones = await this.adapter.api.zones.getZones();
       const keywords = query.toLowerCase().split(/[,\s]+/).filter(k => k.length > 2);
 
-      const allDevicesFiltered = this._filterVisibleDevices(devicesMap, includeHiddenGrouped);
+      const allDevicesFiltered = this._filterVisibleDevices(devicesMap, includeHiddenGrouped, zones);
 
       if (keywords.length === 0) {
         return { success: false, error: 'Query too short or empty. Please provide valid keywords.' };
@@ -697,9 +697,13 @@ class DiscoveryManager {
    * - If `false`: apply filtering (force-exclude hidden and grouped devices), regardless of the global app setting.
    * - If `undefined`: read the global app setting (`gemini_include_hidden_grouped`) to decide.
    *
+   * When `zones` is given, devices the owner's access policy forbids are always left out
+   * (see {@link AccessPolicyManager#isForbidden}), whatever the override.
+   *
    * @private
    * @param {Array<Object>|Object} devices - The array or map of Homey device objects to filter.
    * @param {boolean|undefined} [includeHiddenGrouped] - Optional per-call override. When omitted, defers to the global setting.
+   * @param {?Object<string, Object>} [zones=null] - The HomeyAPI zones by ID, to apply the access policy.
    * @returns {Array<Object>} The filtered (or unfiltered) list of devices.
    * @example
    * // Defer to global setting
@@ -709,8 +713,12 @@ class DiscoveryManager {
    * // Force-exclude regardless of global setting
    * const filtered = this._filterVisibleDevices(devicesMap, false);
    */
-  _filterVisibleDevices(devices, includeHiddenGrouped = undefined) {
-    const deviceArray = Array.isArray(devices) ? devices : Object.values(devices);
+  _filterVisibleDevices(devices, includeHiddenGrouped = undefined, zones = null) {
+    let deviceArray = Array.isArray(devices) ? devices : Object.values(devices);
+
+    if (zones) {
+      deviceArray = deviceArray.filter(d => !this.adapter.accessPolicy.isForbidden(d, zones));
+    }
 
     // Resolve the effective flag using the three-branch logic:
     // - explicit true/false override takes precedence over the global setting
@@ -0,0 +1,402 @@
+'use strict';
+
+const { Recurrence } = require('../Recurrence');
+
+const MEMORY_SETTINGS_KEY = 'long_term_memory';
+const MAX_MEMORIES = 200;           // Oldest memories are dropped beyond this limit
+const MAX_FACT_LENGTH = 500;
+const MAX_INJECTED_MEMORIES = 8;    // Max facts added to the context prefix of a single request
+const MEMORY_CATEGORIES = ['person', 'place', 'device', 'routine', 'preference', 'event', 'other'];
+
+// Words too common to tell two facts apart (English and Italian)
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'with', 'that', 'this', 'from', 'has', 'have', 'our', 'your', 'his', 'her', 'its', 'called', 'until', 'one', 'who', 'what', 'when', 'where', 'which',
+  'che', 'per', 'con', 'del', 'della', 'dei', 'delle', 'nel', 'nella', 'sono', 'siamo', 'una', 'uno', 'gli', 'chi', 'cosa', 'quando', 'dove', 'fino', 'chiama', 'chiamato', 'chiamata'
+]);
+
+/**
+ * MemoryManager
+ *
+ * Long-term memory of household facts (people, rooms, device nicknames, routines,
+ * temporary situations such as holidays) that the assistant reads and writes via
+ * the `remember_fact`, `recall_facts` and `forget_fact` tools. Facts are persisted
+ * in the `long_term_memory` setting and the ones relevant to a request are injected
+ * into its context prefix (see {@link SystemInstruction.buildDynamicPrefix}).
+ */
+class MemoryManager {
+  /**
+   * @param {import('homey')} homey - The Homey app instance.
+   * @param {Object} adapter - The parent HomeyMCPAdapter instance.
+   */
+  constructor(homey, adapter) {
+    this.homey = homey;
+    this.adapter = adapter;
+  }
+
+  /**
+   * Stores a fact. A fact with the same text replaces the existing one, so that
+   * repeating a fact (e.g. with a new expiry) never creates duplicates.
+   *
+   * @public
+   * @param {string} fact - The fact, as a short self-contained sentence.
+   * @param {Object} [options={}]
+   * @param {string} [options.category='other'] - One of {@link MEMORY_CATEGORIES}.
+   * @param {?string} [options.expiresAt] - Local date (`YYYY-MM-DD`, end of day) or datetime (`YYYY-MM-DDTHH:MM`) after which the fact is forgotten.
+   * @returns {Object} MCP tool response with the stored memory.
+   * @example
+   * memoryManager.remember('We are on holiday until 3 November', { category: 'event', expiresAt: '2026-11-03' });
+   */
+  remember(fact, options = {}) {
+    const text = typeof fact === 'string' ? fact.trim() : '';
+    if (!text) {
+      return { success: false, error: "Missing required parameter 'fact'." };
+    }
+    if (text.length > MAX_FACT_LENGTH) {
+      return { success: false, error: `Fact too long (${text.length} characters, max ${MAX_FACT_LENGTH}). Store a shorter sentence.` };
+    }
+
+    const category = options.category || 'other';
+    if (!MEMORY_CATEGORIES.includes(category)) {
+      return { success: false, error: `Invalid category "${category}". Valid values: ${MEMORY_CATEGORIES.join(', ')}.` };
+    }
+
+    let expiresAt = null;
+    if (options.expiresAt) {
+      const expiry = this._parseExpiry(options.expiresAt);
+      if (!expiry) {
+        return { success: false, error: `Invalid expiresAt "${options.expiresAt}". Use a local date (YYYY-MM-DD) or datetime (YYYY-MM-DDTHH:MM).` };
+      }
+      if (expiry.getTime() <= Date.now()) {
+        return { success: false, error: `expiresAt "${options.expiresAt}" is in the past.` };
+      }
+      expiresAt = expiry.toISOString();
+    }
+
+    const memories = this._load();
+    const now = new Date().toISOString();
+    const normalized = this._normalize(text);
+    let memory = memories.find(m => this._normalize(m.fact) === normalized);
+
+    if (memory) {
+      Object.assign(memory, { fact: text, category, expiresAt, updatedAt: now });
+    } else {
+      memory = {
+        id: `mem_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        fact: text,
+        category,
+        expiresAt,
+        createdAt: now,
+        updatedAt: now
+      };
+      memories.push(memory);
+    }
+
+    // Keep the most recently updated memories within the limit
+    memories.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    this._save(memories.slice(-MAX_MEMORIES));
+
+    this.homey.log(`[MemoryManager] Remembered ${memory.id}: "${text}"`);
+    return { success: true, memory: this._format(memory), message: `Remembered: "${text}"` };
+  }
+
+  /**
+   * Searches the stored facts. Without a query, every fact (of the category, if
+   * given) is returned.
+   *
+   * @public
+   * @param {?string} [query] - Keywords to look for (e.g. `'Marco bedroom'`).
+   * @param {?string} [category] - Restricts the search to one category.
+   * @returns {Object} MCP tool response with the matching memories, best match first.
+   * @example
+   * memoryManager.recall('cat feeder');
+   * // { success: true, count: 1, memories: [{ id: 'mem_...', fact: 'The cat feeder is called Pippo', ... }] }
+   */
+  recall(query, category) {
+    let memories = this._load();
+    if (category) {
+      memories = memories.filter(m => m.category === category);
+    }
+
+    if (query && query.trim()) {
+      const queryWords = this._tokenize(query);
+      memories = memories
+        .map(memory => ({ memory, score: this._score(memory, queryWords) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.memory);
+    }
+
+    return {
+      success: true,
+      count: memories.length,
+      memories: memories.map(m => this._format(m)),
+      ...(memories.length === 0 ? { message: 'No matching facts in memory.' } : {})
+    };
+  }
+
+  /**
+   * Deletes a fact by ID, or the single fact matching a query. When a query
+   * matches several facts nothing is deleted and the candidates are returned,
+   * so the caller can pick the right `memoryId`.
+   *
+   * @public
+   * @param {{ memoryId?: string, query?: string }} target - The fact to forget.
+   * @returns {Object} MCP tool response.
+   * @example
+   * memoryManager.forget({ query: 'holiday' });
+   */
+  forget({ memoryId, query } = {}) {
+    const memories = this._load();
+
+    let memory;
+    if (memoryId) {
+      memory = memories.find(m => m.id === memoryId);
+      if (!memory) {
+        return { success: false, error: `Memory "${memoryId}" not found. Use recall_facts to find the right memoryId.` };
+      }
+    } else if (query && query.trim()) {
+      const matches = this.recall(query).memories;
+      if (matches.length === 0) {
+        return { success: false, error: `No fact matches "${query}".` };
+      }
+      if (matches.length > 1) {
+        return {
+          success: false,
+          error: `${matches.length} facts match "${query}". Ask the user which one to forget, then call forget_fact again with its memoryId.`,
+          candidates: matches
+        };
+      }
+      memory = memories.find(m => m.id === matches[0].id);
+    } else {
+      return { success: false, error: "Missing required parameter: either 'memoryId' or 'query'." };
+    }
+
+    this._save(memories.filter(m => m.id !== memory.id));
+    this.homey.log(`[MemoryManager] Forgot ${memory.id}: "${memory.fact}"`);
+    return { success: true, memory: this._format(memory), message: `Forgotten: "${memory.fact}"` };
+  }
+
+  /**
+   * Returns every stored fact, most recently updated first (settings page).
+   *
+   * @public
+   * @returns {Array<Object>} The memories.
+   */
+  listMemories() {
+    return this._load()
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(m => this._format(m));
+  }
+
+  /**
+   * Edits a stored fact (settings page).
+   *
+   * @public
+   * @param {string} memoryId - The memory ID.
+   * @param {{ fact?: string, category?: string, expiresAt?: ?string }} changes - Fields to change (`expiresAt: null` removes the expiry).
+   * @returns {Object} Response with the updated memory.
+   */
+  updateMemory(memoryId, changes = {}) {
+    const memories = this._load();
+    const memory = memories.find(m => m.id === memoryId);
+    if (!memory) {
+      return { success: false, error: `Memory "${memoryId}" not found.` };
+    }
+
+    const fact = changes.fact !== undefined ? String(changes.fact).trim() : memory.fact;
+    if (!fact || fact.length > MAX_FACT_LENGTH) {
+      return { success: false, error: `The fact must contain between 1 and ${MAX_FACT_LENGTH} characters.` };
+    }
+
+    const category = changes.category !== undefined ? changes.category : memory.category;
+    if (!MEMORY_CATEGORIES.includes(category)) {
+      return { success: false, error: `Invalid category "${category}". Valid values: ${MEMORY_CATEGORIES.join(', ')}.` };
+    }
+
+    let expiresAt = memory.expiresAt;
+    if (changes.expiresAt === null || changes.expiresAt === '') {
+      expiresAt = null;
+    } else if (changes.expiresAt !== undefined) {
+      const expiry = this._parseExpiry(changes.expiresAt);
+      if (!expiry || expiry.getTime() <= Date.now()) {
+        return { success: false, error: `Invalid or past expiresAt "${changes.expiresAt}".` };
+      }
+      expiresAt = expiry.toISOString();
+    }
+
+    Object.assign(memory, { fact, category, expiresAt, updatedAt: new Date().toISOString() });
+    this._save(memories);
+    return { success: true, memory: this._format(memory) };
+  }
+
+  /**
+   * Selects the facts worth adding to the context of a request: facts sharing
+   * keywords with the request, followed by temporary facts (those with an expiry,
+   * e.g. holidays), which describe the current situation of the household.
+   * Keeping the selection small avoids spending tokens on unrelated facts.
+   *
+   * @public
+   * @param {string} text - The user request.
+   * @param {number} [limit=MAX_INJECTED_MEMORIES] - Maximum number of facts.
+   * @returns {string[]} The selected facts.
+   * @example
+   * memoryManager.getRelevantMemories('Turn off the light in Marco\'s room');
+   * // ["Marco's bedroom is the one upstairs"]
+   */
+  getRelevantMemories(text, limit = MAX_INJECTED_MEMORIES) {
+    const memories = this._load();
+    if (memories.length === 0) {
+      return [];
+    }
+
+    const words = this._tokenize(text || '');
+    const relevant = memories
+      .map(memory => ({ memory, score: this._score(memory, words) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.memory);
+
+    for (const memory of memories) {
+      if (memory.expiresAt && !relevant.includes(memory)) {
+        relevant.push(memory);
+      }
+    }
+
+    return relevant.slice(0, limit).map(m => this._describe(m));
+  }
+
+  // ── Private Methods ─────────────────────────────────────────────────────────
+
+  /**
+   * Reads the stored memories, dropping (and persisting the removal of) expired facts.
+   *
+   * @private
+   * @returns {Array<Object>} The valid memories.
+   */
+  _load() {
+    const stored = this.homey.settings.get(MEMORY_SETTINGS_KEY);
+    const memories = Array.isArray(stored) ? stored : [];
+
+    const now = Date.now();
+    const valid = memories.filter(m => !m.expiresAt || new Date(m.expiresAt).getTime() > now);
+    if (valid.length !== memories.length) {
+      this.homey.log(`[MemoryManager] Removed ${memories.length - valid.length} expired fact(s)`);
+      this._save(valid);
+    }
+    return valid;
+  }
+
+  /**
+   * Persists the memories.
+   *
+   * @private
+   * @param {Array<Object>} memories - The memories to store.
+   * @returns {void}
+   */
+  _save(memories) {
+    this.homey.settings.set(MEMORY_SETTINGS_KEY, memories);
+  }
+
+  /**
+   * Parses a local expiry date (`YYYY-MM-DD`, end of that day) or datetime
+   * (`YYYY-MM-DDTHH:MM[:SS]`) in the Homey timezone.
+   *
+   * @private
+   * @param {string} value - The local date or datetime.
+   * @returns {?Date} The expiry instant, or `null` if the value is invalid.
+   */
+  _parseExpiry(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(value).trim());
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    const timezone = this.homey.clock?.getTimezone?.() || 'UTC';
+    const date = match[4] === undefined
+      ? Recurrence.zonedTimeToUtc(year, month, day, 23, 59, 59, timezone)
+      : Recurrence.zonedTimeToUtc(year, month, day, hour, minute, second || 0, timezone);
+
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Scores how relevant a memory is to a set of words (number of shared words,
+   * counting words with a common stem such as `bedroom`/`bedrooms`).
+   *
+   * @private
+   * @param {Object} memory - The memory.
+   * @param {string[]} words - Tokenized query words.
+   * @returns {number} The score (0 when unrelated).
+   */
+  _score(memory, words) {
+    if (words.length === 0) {
+      return 0;
+    }
+    const factWords = this._tokenize(`${memory.fact} ${memory.category}`);
+    return factWords.filter(fw => words.some(w => w === fw || (Math.min(w.length, fw.length) >= 4 && (w.startsWith(fw) || fw.startsWith(w))))).length;
+  }
+
+  /**
+   * Splits a text into lowercase, accent-free keywords, skipping short and common words.
+   *
+   * @private
+   * @param {string} text - The text.
+   * @returns {string[]} The keywords.
+   */
+  _tokenize(text) {
+    return this._normalize(text)
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+  }
+
+  /**
+   * Normalises a text for comparisons (lowercase, no accents, single spaces).
+   *
+   * @private
+   * @param {string} text - The text.
+   * @returns {string}
+   */
+  _normalize(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Formats a memory for tool responses, adding the local expiry time.
+   *
+   * @private
+   * @param {Object} memory - The memory.
+   * @returns {Object}
+   */
+  _format(memory) {
+    return {
+      ...memory,
+      expiresAtLocal: memory.expiresAt ? this._toLocal(memory.expiresAt) : null
+    };
+  }
+
+  /**
+   * Describes a memory as one line of context, e.g. `We are on holiday (until 2026-11-03 23:59)`.
+   *
+   * @private
+   * @param {Object} memory - The memory.
+   * @returns {string}
+   */
+  _describe(memory) {
+    return memory.expiresAt ? `${memory.fact} (until ${this._toLocal(memory.expiresAt)})` : memory.fact;
+  }
+
+  /**
+   * Formats an instant as a local `YYYY-MM-DD HH:MM` string in the Homey timezone.
+   *
+   * @private
+   * @param {string} iso - ISO 8601 instant.
+   * @returns {string}
+   */
+  _toLocal(iso) {
+    const timezone = this.homey.clock?.getTimezone?.() || 'UTC';
+    return Recurrence.toLocalIso(new Date(iso), timezone).slice(0, 16).replace('T', ' ');
+  }
+}
+
+module.exports = { MemoryManager };
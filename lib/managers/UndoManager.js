@@ -0,0 +1,274 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_FILE_PATH = path.join('/userdata', 'undo_journal.json');
+const MAX_RUNS = 20;
+const MAX_RUN_AGE_HOURS = 24;
+
+// Runs by ID, newest first. Kept at module level so that the journal survives a settings
+// change that re-created the GeminiClient (and this manager's adapter); loaded on first use.
+let _runs = null;
+let _loading = null;
+let _writeQueue = Promise.resolve();
+
+/**
+ * UndoManager
+ *
+ * Journal of the device changes made by the assistant, so they can be reverted.
+ * Like the flow backups of {@link FlowManager}, the state before a change is saved
+ * to `/userdata` before it is lost: {@link DeviceManager#controlDevice} records the
+ * previous value of every capability it sets, grouped per MCP run (one command, from
+ * the widget, a flow card or a scheduled command). A run is undone by:
+ * - The `undo_last_action` tool (last run of the same conversation).
+ * - The undo button of the chat widget (the run behind that answer).
+ * - The "Undo last Gemini action" action card (last run of any conversation).
+ *
+ * Values are restored through {@link HomeyMCPAdapter#callTool}, so the device access
+ * policy and approvals apply. Capabilities changed since by someone else are left alone.
+ * The last {@link MAX_RUNS} runs of the past {@link MAX_RUN_AGE_HOURS} hours are kept.
+ */
+class UndoManager {
+  /**
+   * @param {import('homey')} homey - The Homey app instance.
+   * @param {Object} adapter - The parent HomeyMCPAdapter instance.
+   */
+  constructor(homey, adapter) {
+    this.homey = homey;
+    this.adapter = adapter;
+  }
+
+  /**
+   * Records the value a capability had before the assistant changed it.
+   *
+   * Only the first change of a capability in a run is kept, so undoing restores the
+   * state from before the whole run.
+   *
+   * @public
+   * @param {{ runId?: string, sessionId?: string, entryPoint?: string }} context - The MCP run that made the change.
+   * @param {Object} device - The HomeyAPI device.
+   * @param {string} capability - The capability that was set.
+   * @param {*} previousValue - The value before the change.
+   * @param {*} value - The value that was set.
+   * @returns {Promise<void>}
+   */
+  async record(context, device, capability, previousValue, value) {
+    if (!context.runId || previousValue === undefined || previousValue === null) {
+      return;
+    }
+
+    try {
+      const runs = await this._load();
+      let run = runs.find(r => r.id === context.runId);
+      if (!run) {
+        run = {
+          id: context.runId,
+          sessionId: context.sessionId || null,
+          entryPoint: context.entryPoint || null,
+          createdAt: new Date().toISOString(),
+          changes: []
+        };
+        runs.unshift(run);
+      }
+
+      const existing = run.changes.find(c => c.deviceId === device.id && c.capability === capability);
+      if (existing) {
+        existing.value = value;
+      } else {
+        run.changes.push({ deviceId: device.id, device: device.name, capability, previousValue, value });
+      }
+
+      await this._save();
+    } catch (err) {
+      this.homey.error(`[UndoManager] Failed to record ${capability} on "${device.name}": ${err.message}`);
+    }
+  }
+
+  /**
+   * Whether a run changed something that can still be undone.
+   *
+   * @public
+   * @param {string} runId - The MCP run ID.
+   * @returns {Promise<boolean>}
+   */
+  async hasRun(runId) {
+    const runs = await this._load();
+    return runs.some(r => r.id === runId);
+  }
+
+  /**
+   * Returns a run of the journal.
+   *
+   * @public
+   * @param {string} runId - The MCP run ID.
+   * @returns {Promise<?Object>} The run, or `null` when it is not (or no longer) in the journal.
+   */
+  async getRun(runId) {
+    const runs = await this._load();
+    const run = runs.find(r => r.id === runId);
+    return run ? { ...run, changes: run.changes.map(c => ({ ...c })) } : null;
+  }
+
+  /**
+   * Restores the values a run changed, newest change first.
+   *
+   * @public
+   * @param {Object} [options]
+   * @param {?string} [options.runId=null] - The run to undo; by default the last one.
+   * @param {?string} [options.sessionId=null] - Only consider the runs of this conversation session.
+   * @param {{ runId?: string, sessionId?: string, entryPoint?: string }} [options.context={}] - The caller,
+   *   to route approval requests. Its own run is never undone.
+   * @returns {Promise<{ success: boolean, runId?: string, restored?: Array<Object>, skipped?: Array<Object>, failed?: Array<Object>, message?: string, error?: string }>}
+   * @example
+   * await undo.undo({ sessionId: 'widget:abc' });
+   * // { success: true, runId: 'run_1716678900000_x7f3k', restored: [{ device: 'Kitchen Light', capability: 'onoff', value: true }], skipped: [], failed: [], message: 'Restored 1 value(s).' }
+   */
+  async undo({ runId = null, sessionId = null, context = {} } = {}) {
+    const runs = await this._load();
+    const run = runId
+      ? runs.find(r => r.id === runId)
+      : runs.find(r => r.id !== context.runId && (!sessionId || r.sessionId === sessionId));
+    if (!run) {
+      return {
+        success: false,
+        error: runId
+          ? `Run "${runId}" not found: it was already undone or is too old.`
+          : `Nothing to undo: no device was changed by the assistant${sessionId ? ' in this conversation' : ''} in the last ${MAX_RUN_AGE_HOURS} hours.`
+      };
+    }
+
+    this.homey.log(`[UndoManager] Undoing ${run.id} (${run.changes.length} change(s))`);
+
+    const restored = [];
+    const skipped = [];
+    const failed = [];
+    // Changes that could not be restored for now stay in the journal
+    const pending = [];
+    for (const change of [...run.changes].reverse()) {
+      const entry = { device: change.device, capability: change.capability, value: change.previousValue };
+
+      let device;
+      try {
+        device = (await this.adapter.deviceManager._resolveDevice(null, change.deviceId)).device;
+      } catch (err) {
+        failed.push({ ...entry, error: `Device "${change.device}" no longer exists.` });
+        pending.push(change);
+        continue;
+      }
+
+      const capabilityObj = device.capabilitiesObj?.[change.capability];
+      const currentValue = capabilityObj?.value;
+      if (!this._isSameValue(capabilityObj, currentValue, change.value)) {
+        skipped.push({ ...entry, reason: `Changed since (now ${JSON.stringify(currentValue)}).` });
+        continue;
+      }
+
+      // Without a runId the restore is not recorded itself
+      const result = await this.adapter.callTool('control_device', {
+        deviceId: change.deviceId,
+        capability: change.capability,
+        value: change.previousValue
+      }, { sessionId: context.sessionId, entryPoint: context.entryPoint });
+      if (result && result.success !== false) {
+        restored.push(entry);
+      } else {
+        failed.push({ ...entry, error: result?.error || 'Unknown error' });
+        pending.push(change);
+      }
+    }
+
+    const journal = await this._load();
+    const index = journal.findIndex(r => r.id === run.id);
+    if (index !== -1) {
+      if (pending.length > 0) {
+        journal[index] = { ...run, changes: pending.reverse() };
+      } else {
+        journal.splice(index, 1);
+      }
+      await this._save();
+    }
+
+    return {
+      success: failed.length === 0,
+      runId: run.id,
+      restored,
+      skipped,
+      failed,
+      message: `Restored ${restored.length} value(s).${skipped.length > 0 ? ` ${skipped.length} left alone because they were changed since.` : ''}${failed.length > 0 ? ` ${failed.length} could not be restored.` : ''}`
+    };
+  }
+
+  // ── Private Methods ─────────────────────────────────────────────────────────
+
+  /**
+   * Whether a capability still holds the value the assistant set. Devices round and
+   * clamp numbers (e.g. `dim` 0.333 → 0.33, `target_temperature` in 0.5 steps), so a
+   * number counts as unchanged when it is within one step (or one unit of the last
+   * decimal) of the set value, once clamped to the capability's range.
+   *
+   * @private
+   * @param {?Object} capabilityObj - The HomeyAPI capability object (`min`, `max`, `step`, `decimals`).
+   * @param {*} currentValue - The value the device reports now.
+   * @param {*} setValue - The value the assistant set.
+   * @returns {boolean}
+   */
+  _isSameValue(capabilityObj, currentValue, setValue) {
+    if (typeof currentValue !== 'number' || typeof setValue !== 'number') {
+      return currentValue === setValue;
+    }
+
+    const { min, max, step, decimals } = capabilityObj || {};
+    let expected = setValue;
+    if (typeof min === 'number') expected = Math.max(min, expected);
+    if (typeof max === 'number') expected = Math.min(max, expected);
+
+    let tolerance = 1e-9;
+    if (typeof step === 'number' && step > 0) {
+      tolerance = step;
+    } else if (typeof decimals === 'number' && decimals >= 0) {
+      tolerance = Math.pow(10, -decimals);
+    }
+    return Math.abs(currentValue - expected) <= tolerance + 1e-9;
+  }
+
+  /**
+   * Loads the journal from the file on first use and drops expired runs.
+   *
+   * @private
+   * @returns {Promise<Array<Object>>} The runs, newest first (the shared module-level array).
+   */
+  async _load() {
+    if (!_runs) {
+      // Shared by concurrent callers (e.g. the parallel writes of control_devices)
+      _loading = _loading || fs.promises.readFile(JOURNAL_FILE_PATH, 'utf8')
+        .then(text => {
+          const data = JSON.parse(text);
+          return Array.isArray(data.runs) ? data.runs : [];
+        })
+        .catch(() => []);
+      _runs = await _loading;
+    }
+
+    const cutoff = Date.now() - MAX_RUN_AGE_HOURS * 60 * 60 * 1000;
+    const kept = _runs.filter(r => new Date(r.createdAt).getTime() >= cutoff).slice(0, MAX_RUNS);
+    _runs.splice(0, _runs.length, ...kept);
+    return _runs;
+  }
+
+  /**
+   * Writes the journal, one write at a time.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _save() {
+    const data = JSON.stringify({ savedAt: new Date().toISOString(), runs: _runs.slice(0, MAX_RUNS) }, null, 2);
+    _writeQueue = _writeQueue
+      .then(() => fs.promises.writeFile(JOURNAL_FILE_PATH, data, 'utf8'))
+      .catch(err => this.homey.error(`[UndoManager] Failed to write the journal: ${err.message}`));
+    return _writeQueue;
+  }
+}
+
+module.exports = { UndoManager };
@@ -0,0 +1,73 @@
+'use strict';
+
+const { GoogleGenAI } = require('@google/genai');
+
+/**
+ * GeminiProvider
+ *
+ * Provider adapter for the Google Gemini API (`@google/genai`).
+ *
+ * A provider is what {@link GeminiClient} talks to for every model request: plain
+ * and multimodal prompts, condition evaluation and the MCP tool-calling loop. All
+ * providers speak the Gemini request/response format (`contents`, `config`,
+ * `functionCalls`, `usageMetadata`), which is also the format of the persisted
+ * conversation history; other adapters (see {@link OpenAICompatibleProvider})
+ * translate it to their own API. A provider exposes:
+ * - `generateContent(params)`: one-shot request, returns a `GenerateContentResponse`-like object.
+ * - `createChat(params)`: chat with `sendMessage({ message, config })` and `getHistory()`.
+ * - `createCache(params)`: context cache, only when `supportsCaching` is true.
+ * - `supportsCaching`, `supportsGoogleSearch`, `supportsImageGeneration`: capability flags.
+ */
+class GeminiProvider {
+  /**
+   * @param {string} apiKey - The Gemini API key.
+   */
+  constructor(apiKey) {
+    if (!apiKey) {
+      throw new Error("API key is required");
+    }
+
+    /** @type {GoogleGenAI} */
+    this.genAI = new GoogleGenAI({ apiKey: apiKey });
+
+    this.name = 'gemini';
+    this.supportsCaching = true;
+    this.supportsGoogleSearch = true;
+    this.supportsImageGeneration = true;
+  }
+
+  /**
+   * Sends a one-shot request.
+   *
+   * @public
+   * @param {{ model: string, contents: *, config?: Object }} params - `models.generateContent` parameters.
+   * @returns {Promise<import('@google/genai').GenerateContentResponse>}
+   */
+  async generateContent(params) {
+    return this.genAI.models.generateContent(params);
+  }
+
+  /**
+   * Starts a chat that keeps its own history.
+   *
+   * @public
+   * @param {{ model: string, config?: Object, history?: Array<Object> }} params - `chats.create` parameters.
+   * @returns {import('@google/genai').Chat}
+   */
+  createChat(params) {
+    return this.genAI.chats.create(params);
+  }
+
+  /**
+   * Creates a context cache (system instruction and tools).
+   *
+   * @public
+   * @param {{ model: string, config: Object }} params - `caches.create` parameters.
+   * @returns {Promise<{ name: string }>}
+   */
+  async createCache(params) {
+    return this.genAI.caches.create(params);
+  }
+}
+
+module.exports = { GeminiProvider };
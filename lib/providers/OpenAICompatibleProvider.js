@@ -0,0 +1,373 @@
+'use strict';
+
+const DEFAULT_TIMEOUT_MS = 120 * 1000;   // Local models on modest hardware can be slow
+
+// Chat-completions finish reasons mapped to Gemini finish reasons
+const FINISH_REASONS = {
+  stop: 'STOP',
+  tool_calls: 'STOP',
+  function_call: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY'
+};
+
+// Gemini function calling modes mapped to chat-completions `tool_choice`
+const TOOL_CHOICES = {
+  NONE: 'none',
+  ANY: 'required',
+  AUTO: 'auto',
+  VALIDATED: 'auto'
+};
+
+/**
+ * OpenAICompatibleProvider
+ *
+ * Provider adapter for OpenAI-compatible chat-completions endpoints (`POST {baseUrl}/chat/completions`),
+ * such as a local LLM server on the LAN (Ollama, llama.cpp, LM Studio, vLLM) or a hosted service.
+ *
+ * Requests and responses are translated from and to the Gemini format used by
+ * {@link GeminiClient} (see {@link GeminiProvider}): `contents` become `messages`,
+ * function declarations become `tools`, `functionCall` / `functionResponse` parts
+ * become `tool_calls` / `tool` messages, and `usage` becomes `usageMetadata`.
+ * Context caching, Google Search grounding and image generation are not available.
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Base URL of the API, e.g. `http://192.168.1.20:11434/v1`.
+   * @param {?string} [options.apiKey] - Sent as a Bearer token when set (local servers usually need none).
+   * @param {number} [options.timeoutMs=120000] - Timeout of a single request.
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error("Base URL is required for the OpenAI-compatible provider");
+    }
+
+    this.baseUrl = options.baseUrl.trim().replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    this.name = 'openai-compatible';
+    this.supportsCaching = false;
+    this.supportsGoogleSearch = false;
+    this.supportsImageGeneration = false;
+  }
+
+  // ── Public Methods ──────────────────────────────────────────────────────────
+
+  /**
+   * Sends a one-shot request.
+   *
+   * @public
+   * @param {{ model: string, contents: *, config?: Object }} params - Gemini `generateContent` parameters.
+   * @returns {Promise<Object>} A `GenerateContentResponse`-like object (`text`, `functionCalls`, `candidates`, `usageMetadata`).
+   * @example
+   * const response = await provider.generateContent({ model: 'qwen3:8b', contents: 'Hello' });
+   * response.text; // 'Hi! How can I help you?'
+   */
+  async generateContent({ model, contents, config = {} }) {
+    const { response } = await this._complete(model, this._toContents(contents), config);
+    return response;
+  }
+
+  /**
+   * Starts a chat that keeps its own history, like `chats.create` of `@google/genai`.
+   *
+   * @public
+   * @param {{ model: string, config?: Object, history?: Array<Object> }} params - Chat parameters.
+   * @returns {{ sendMessage: function({ message: *, config?: Object }): Promise<Object>, getHistory: function(): Promise<Array<Object>> }}
+   */
+  createChat({ model, config = {}, history = [] }) {
+    const chatHistory = [...history];
+
+    return {
+      sendMessage: async ({ message, config: messageConfig = {} }) => {
+        const userContent = { role: 'user', parts: this._toParts(message) };
+        const { response, content } = await this._complete(
+          model,
+          [...chatHistory, userContent],
+          { ...config, ...messageConfig }
+        );
+
+        // Like the Gemini SDK, only a turn with a usable answer is kept in the history
+        if (content) {
+          chatHistory.push(userContent, content);
+        }
+        return response;
+      },
+      getHistory: async () => [...chatHistory]
+    };
+  }
+
+  /**
+   * Context caching is not available on chat-completions endpoints.
+   *
+   * @public
+   * @throws {Error} Always.
+   */
+  async createCache() {
+    throw new Error('Context caching is not supported by the OpenAI-compatible provider');
+  }
+
+  // ── Private Methods ─────────────────────────────────────────────────────────
+
+  /**
+   * Sends a chat-completions request and translates the answer.
+   *
+   * @private
+   * @param {string} model - The model name on the server.
+   * @param {Array<Object>} contents - Gemini contents, oldest first.
+   * @param {Object} config - Gemini request config.
+   * @returns {Promise<{ response: Object, content: ?Object }>} The response, and the model turn to keep in the history (`null` when empty).
+   * @throws {Error} With the HTTP `status` when the server answers with an error.
+   */
+  async _complete(model, contents, config) {
+    const body = {
+      model,
+      messages: this._toMessages(contents, config.systemInstruction),
+      ...(config.temperature !== undefined && { temperature: config.temperature }),
+      ...(config.maxOutputTokens && { max_tokens: config.maxOutputTokens })
+    };
+
+    const functionDeclarations = (config.tools || []).flatMap(tool => tool.functionDeclarations || []);
+    if (functionDeclarations.length > 0) {
+      body.tools = functionDeclarations.map(declaration => ({
+        type: 'function',
+        function: {
+          name: declaration.name,
+          description: declaration.description,
+          parameters: this._toJsonSchema(declaration.parameters || { type: 'OBJECT', properties: {} })
+        }
+      }));
+      const mode = config.toolConfig?.functionCallingConfig?.mode;
+      if (mode && TOOL_CHOICES[mode]) {
+        body.tool_choice = TOOL_CHOICES[mode];
+      }
+    }
+
+    if (config.responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: this._toJsonSchema(config.responseSchema) }
+      };
+    } else if (config.responseMimeType === 'application/json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const res = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    const text = await res.text();
+    if (!res.ok) {
+      // The status code is kept in the message, so that 429/503 errors are retried
+      const error = new Error(`OpenAI-compatible request failed (${res.status}): ${text.slice(0, 500)}`);
+      error.status = res.status;
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`OpenAI-compatible endpoint returned invalid JSON: ${text.slice(0, 200)}`);
+    }
+    return this._fromCompletion(data);
+  }
+
+  /**
+   * Translates a chat-completions answer into a Gemini response and model turn.
+   *
+   * @private
+   * @param {Object} data - The chat-completions response body.
+   * @returns {{ response: Object, content: ?Object }}
+   */
+  _fromCompletion(data) {
+    const choice = data.choices?.[0] || {};
+    const message = choice.message || {};
+    const parts = [];
+
+    if (typeof message.content === 'string' && message.content.trim()) {
+      parts.push({ text: message.content });
+    }
+
+    const functionCalls = (message.tool_calls || []).map((toolCall, index) => {
+      let args = {};
+      try {
+        args = toolCall.function?.arguments ? JSON.parse(toolCall.function.arguments) : {};
+      } catch (err) {
+        console.warn(`[OpenAICompatibleProvider] Invalid arguments for tool ${toolCall.function?.name}: ${toolCall.function?.arguments}`);
+      }
+      return { id: toolCall.id || `call_${index}`, name: toolCall.function?.name, args };
+    });
+    functionCalls.forEach(functionCall => parts.push({ functionCall }));
+
+    const content = parts.length > 0 ? { role: 'model', parts } : null;
+    const usage = data.usage;
+
+    return {
+      content,
+      response: {
+        text: parts.filter(part => part.text).map(part => part.text).join('') || undefined,
+        functionCalls: functionCalls.length > 0 ? functionCalls : undefined,
+        candidates: [{
+          content: { role: 'model', parts: content ? parts : undefined },
+          finishReason: FINISH_REASONS[choice.finish_reason] || (choice.finish_reason ? String(choice.finish_reason).toUpperCase() : undefined)
+        }],
+        usageMetadata: usage ? {
+          promptTokenCount: usage.prompt_tokens || 0,
+          cachedContentTokenCount: usage.prompt_tokens_details?.cached_tokens || 0,
+          candidatesTokenCount: (usage.completion_tokens || 0) - (usage.completion_tokens_details?.reasoning_tokens || 0),
+          thoughtsTokenCount: usage.completion_tokens_details?.reasoning_tokens || 0,
+          totalTokenCount: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+        } : undefined
+      }
+    };
+  }
+
+  /**
+   * Translates Gemini contents into chat-completions messages.
+   *
+   * Function calls without an ID get one, and each function response is matched to
+   * the pending call with the same name (in order), since Gemini pairs them by name.
+   * Images are sent as `image_url` data URLs; thoughts are dropped.
+   *
+   * @private
+   * @param {Array<Object>} contents - Gemini contents.
+   * @param {string|Object} [systemInstruction] - The system instruction (text or content).
+   * @returns {Array<Object>} The messages.
+   */
+  _toMessages(contents, systemInstruction) {
+    const messages = [];
+    const system = typeof systemInstruction === 'string'
+      ? systemInstruction
+      : (systemInstruction?.parts || []).map(part => part.text || '').join('\n');
+    if (system) {
+      messages.push({ role: 'system', content: system });
+    }
+
+    let pendingCalls = [];
+    let callCount = 0;
+
+    for (const content of contents) {
+      const parts = (content.parts || []).filter(part => !part.thought);
+
+      if (content.role === 'model') {
+        const text = parts.filter(part => part.text).map(part => part.text).join('');
+        pendingCalls = parts.filter(part => part.functionCall).map(part => ({
+          id: part.functionCall.id || `call_${++callCount}`,
+          name: part.functionCall.name,
+          args: part.functionCall.args || {}
+        }));
+        if (!text && pendingCalls.length === 0) {
+          continue;
+        }
+        messages.push({
+          role: 'assistant',
+          content: text || null,
+          ...(pendingCalls.length > 0 && {
+            tool_calls: pendingCalls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: JSON.stringify(call.args) }
+            }))
+          })
+        });
+        continue;
+      }
+
+      // Tool results must directly follow the assistant message that requested them
+      for (const part of parts.filter(part => part.functionResponse)) {
+        const index = pendingCalls.findIndex(call => call.name === part.functionResponse.name);
+        const call = index >= 0 ? pendingCalls.splice(index, 1)[0] : pendingCalls.shift();
+        messages.push({
+          role: 'tool',
+          tool_call_id: part.functionResponse.id || call?.id || `call_${++callCount}`,
+          content: JSON.stringify(part.functionResponse.response ?? {})
+        });
+      }
+
+      const userParts = parts.filter(part => part.text || part.inlineData);
+      if (userParts.length === 0) {
+        continue;
+      }
+      messages.push({
+        role: 'user',
+        content: userParts.every(part => part.text)
+          ? userParts.map(part => part.text).join('\n')
+          : userParts.map(part => part.text
+            ? { type: 'text', text: part.text }
+            : { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } })
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Normalizes `generateContent` contents (a string, parts or contents) into contents.
+   *
+   * @private
+   * @param {*} contents - Gemini `contents`.
+   * @returns {Array<Object>}
+   */
+  _toContents(contents) {
+    if (Array.isArray(contents) && contents.some(item => item?.role && item?.parts)) {
+      return contents;
+    }
+    return [{ role: 'user', parts: this._toParts(contents) }];
+  }
+
+  /**
+   * Normalizes a chat message (a string, a part or an array of both) into parts.
+   *
+   * @private
+   * @param {*} message - The message.
+   * @returns {Array<Object>}
+   */
+  _toParts(message) {
+    const items = Array.isArray(message) ? message : [message];
+    return items.map(item => (typeof item === 'string' ? { text: item } : item));
+  }
+
+  /**
+   * Converts a Gemini schema (`type: 'OBJECT'`, ...) into a standard JSON schema.
+   *
+   * @private
+   * @param {Object} schema - The Gemini schema.
+   * @returns {Object} The JSON schema.
+   */
+  _toJsonSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => this._toJsonSchema(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'type' && typeof value === 'string') {
+        result.type = value.toLowerCase();
+      } else if (key === 'properties') {
+        result.properties = Object.fromEntries(
+          Object.entries(value || {}).map(([name, property]) => [name, this._toJsonSchema(property)])
+        );
+      } else if (key === 'items' || key === 'anyOf') {
+        result[key] = this._toJsonSchema(value);
+      } else if (key !== 'nullable' && key !== 'propertyOrdering') {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
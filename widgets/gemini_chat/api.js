@@ -9,14 +9,23 @@
  * crossframe.js, command execution is handled asynchronously:
  * - POST /command  → starts execution in the background, returns a taskId immediately.
  * - GET  /command-status → the frontend polls this endpoint to retrieve the result.
+ *
+ * Each widget instance has its own conversation session (`widget:<instanceId>`),
+ * isolated from flows, scheduled runs and other widget instances.
+ *
+ * Sensitive actions of a running command wait for the user's approval (see
+ * ApprovalManager): GET /command-status reports them and POST /approval decides them.
+ *
+ * When a command changed devices, GET /command-status returns its `undoRunId` and
+ * POST /undo restores the previous values in the background (see UndoManager).
  */
 
 /**
  * In-memory map of pending and completed background tasks.
  * Each entry has the shape:
- *   { status: 'pending'|'done'|'error', response: string|null, createdAt: number }
+ *   { status: 'pending'|'done'|'error', response: string|null, sessionId: string, createdAt: number, undoRunId?: ?string }
  *
- * @type {Map<string, {status: string, response: string|null, createdAt: number}>}
+ * @type {Map<string, {status: string, response: string|null, sessionId: string, createdAt: number, undoRunId?: ?string}>}
  */
 const _activeTasks = new Map();
 
@@ -49,36 +58,48 @@ function _cleanupStaleTasks() {
   }
 }
 
+/**
+ * Returns the conversation session ID of a widget instance.
+ *
+ * @private
+ * @param {?string} widgetId - The widget instance ID sent by the frontend.
+ * @returns {string} The session ID (`widget:<instanceId>`, or `widget` when the ID is unknown).
+ */
+function _getSessionId(widgetId) {
+  return widgetId ? `widget:${widgetId}` : 'widget';
+}
+
 module.exports = {
 
   /**
    * GET /history
-   * Returns the current conversation history as a flat array of
-   * { role: 'user'|'model', text: string } objects, suitable for
+   * Returns the conversation history of the widget instance's session as a flat
+   * array of { role: 'user'|'model', text: string } objects, suitable for
    * reconstructing the chat UI after a page reload.
    * Only text-bearing parts are included; function call/response turns are skipped.
    *
    * @public
    * @param {object} options
    * @param {object} options.homey - The Homey app instance.
-   * @returns {Promise<{ success: boolean, messages: Array<{ role: string, text: string }> }>}
+   * @param {object} options.query - The query string: { widgetId?: string }.
+   * @returns {Promise<{ success: boolean, sessionId: string, messages: Array<{ role: string, text: string }> }>}
    * @example
    * // Called from widget index.html via:
-   * // Homey.api('GET', '/history', {});
+   * // Homey.api('GET', '/history?widgetId=' + encodeURIComponent(widgetId), {});
    */
-  async getHistory({ homey }) {
+  async getHistory({ homey, query }) {
     const geminiClient = homey.app?.geminiClient;
+    const sessionId = _getSessionId(query?.widgetId);
 
     if (!geminiClient) {
-      return { success: false, messages: [] };
+      return { success: false, sessionId, messages: [] };
     }
 
     // Ensure history is pruned (e.g., idle timeout checked) before serving it to the widget
-    if (typeof geminiClient._pruneConversationHistory === 'function') {
-      geminiClient._pruneConversationHistory();
-    }
+    const session = geminiClient.getSession(sessionId);
+    geminiClient._pruneConversationHistory(session);
 
-    const rawHistory = geminiClient.conversationHistory || [];
+    const rawHistory = session.history;
 
     // Extract only the readable text turns (role: user or model).
     // Each entry has { timestamp, content: { role, parts: [...] } }.
@@ -99,10 +120,13 @@ module.exports = {
         // Skip scheduled commands executed in background (they contain [COMMAND CONTEXT:])
         if (text.includes('[COMMAND CONTEXT:')) continue;
 
-        text = text.replace(/^\[GENERAL CONTEXT:.*?\]\s*/i, '');
+        text = text.replace(/^(\[(GENERAL CONTEXT|HOUSEHOLD MEMORY|DRY RUN):.*?\]\s*)+/i, '');
 
         // Skip dummy context injection messages used by flow cards
         if (text.toLowerCase() === '[context]') continue;
+      } else if (text.startsWith('[CONVERSATION SUMMARY]')) {
+        // Skip the rolling summary of older turns (internal context, not a reply)
+        continue;
       }
 
       // If text is completely empty after stripping, skip it
@@ -111,7 +135,7 @@ module.exports = {
       messages.push({ role, text });
     }
 
-    return { success: true, messages };
+    return { success: true, sessionId: session.id, messages };
   },
 
   /**
@@ -126,12 +150,13 @@ module.exports = {
    * @public
    * @param {object} options
    * @param {object} options.homey - The Homey app instance.
-   * @param {object} options.body - The request body: { command: string }.
+   * @param {object} options.body - The request body: { command: string, widgetId?: string, dryRun?: boolean }.
+   *   With `dryRun`, the command is simulated: nothing is changed (see GeminiClient#generateTextWithMCP).
    * @returns {Promise<{ success: boolean, pending: boolean, taskId: string }
    *                  |{ success: false, response: string }>}
    * @example
    * // Called from widget index.html via:
-   * // const { pending, taskId } = await Homey.api('POST', '/command', { command: 'Turn on the light' });
+   * // const { pending, taskId } = await Homey.api('POST', '/command', { command: 'Turn on the light', widgetId });
    */
   async sendCommand({ homey, body }) {
     const geminiClient = homey.app?.geminiClient;
@@ -158,16 +183,17 @@ module.exports = {
     _cleanupStaleTasks();
 
     const taskId = _generateTaskId();
+    const sessionId = _getSessionId(body.widgetId);
     console.log(`[gemini_chat widget] Starting background task ${taskId} for command: "${command}"`);
 
     // Store the task as pending before starting background work
-    _activeTasks.set(taskId, { status: 'pending', response: null, createdAt: Date.now() });
+    _activeTasks.set(taskId, { status: 'pending', response: null, sessionId, createdAt: Date.now() });
 
     // Start Gemini execution asynchronously — do NOT await it here
-    geminiClient.generateTextWithMCP(command.trim())
+    geminiClient.generateTextWithMCP(command.trim(), { sessionId, entryPoint: 'widget', dryRun: body.dryRun === true })
       .then((result) => {
         const response = result.response || homey.__('widget.chat.error.no_response') || 'No response received.';
-        _activeTasks.set(taskId, { status: 'done', response, createdAt: Date.now() });
+        _activeTasks.set(taskId, { status: 'done', response, sessionId, createdAt: Date.now(), undoRunId: result.undoRunId || null });
         console.log(`[gemini_chat widget] Task ${taskId} completed. Response length: ${response.length}`);
       })
       .catch((error) => {
@@ -175,7 +201,15 @@ module.exports = {
         const errorDetails = JSON.stringify(error).toLowerCase();
 
         let response;
-        if (
+        if (error.code === 'SESSION_BUSY') {
+          response = homey.__('prompt.error.session_busy', {
+            session: error.sessionId,
+            seconds: Math.round(error.waitedMs / 1000),
+            pending: error.queuedAhead
+          });
+        } else if (error.code === 'BUDGET_EXCEEDED') {
+          response = homey.__('prompt.error.budget_exceeded', { model: error.model });
+        } else if (
           errorStr.includes('429') ||
           errorStr.includes('quota') ||
           errorStr.includes('resource_exhausted') ||
@@ -202,7 +236,7 @@ module.exports = {
           response = `${genericMsg} Details: ${error.message}`;
         }
 
-        _activeTasks.set(taskId, { status: 'error', response, createdAt: Date.now() });
+        _activeTasks.set(taskId, { status: 'error', response, sessionId, createdAt: Date.now() });
         console.error(`[gemini_chat widget] Task ${taskId} failed: ${error.message}`);
       });
 
@@ -214,6 +248,9 @@ module.exports = {
    * POST /command-status
    * Returns the current status of a background Gemini command task.
    * Called repeatedly by the widget frontend until the task is resolved.
+   * While the task is pending, `approvals` lists the actions of the widget's
+   * session that wait for the user's approval. Once done, `undoRunId` is set when
+   * the command changed devices that POST /undo can restore.
    *
    * NOTE: This endpoint intentionally uses POST (not GET) because Homey's
    * crossframe.js bridge does not reliably forward the third argument of
@@ -225,7 +262,8 @@ module.exports = {
    * @param {object} options.homey - The Homey app instance.
    * @param {object} options.body - The request body: { taskId: string }.
    * @param {string} options.body.taskId - The unique identifier of the background task to check.
-   * @returns {Promise<{ success: boolean, status: 'pending'|'done'|'error', response?: string }>} The task resolution status and eventual response.
+   * @returns {Promise<{ success: boolean, status: 'pending'|'done'|'error', response?: string, undoRunId?: ?string, approvals?: Array<{ id: string, summary: string, expiresAt: string }> }>}
+   *   The task resolution status and eventual response.
    * @example
    * // Called from widget index.html via:
    * // const result = await Homey.api('POST', '/command-status', { taskId: 'task-...' });
@@ -245,12 +283,118 @@ module.exports = {
     }
 
     if (task.status === 'pending') {
-      return { success: true, status: 'pending' };
+      const approvals = homey.app?.geminiClient?.mcpAdapter?.approvals?.listPending(task.sessionId) || [];
+      return {
+        success: true,
+        status: 'pending',
+        approvals: approvals.map(({ id, summary, expiresAt }) => ({ id, summary, expiresAt }))
+      };
     }
 
     // Task completed (done or error): remove from map and return response
     _activeTasks.delete(taskId);
-    return { success: true, status: task.status, response: task.response };
+    return { success: true, status: task.status, response: task.response, undoRunId: task.undoRunId || null };
+  },
+
+  /**
+   * POST /approval
+   * Approves or denies an action waiting for approval in the widget instance's
+   * session, resuming or aborting the running command.
+   *
+   * @public
+   * @param {object} options - The option parameters.
+   * @param {object} options.homey - The Homey app instance.
+   * @param {object} options.body - The request body: { approvalId: string, approved: boolean, widgetId?: string }.
+   * @returns {Promise<{ success: boolean, decision?: string, error?: string }>} The decision, or why it failed.
+   * @example
+   * // Called from widget index.js via:
+   * // Homey.api('POST', '/approval', { approvalId: 'approval_...', approved: true, widgetId });
+   */
+  async resolveApproval({ homey, body }) {
+    const approvals = homey.app?.geminiClient?.mcpAdapter?.approvals;
+    const approvalId = body?.approvalId;
+
+    if (!approvals || !approvalId) {
+      return { success: false, error: 'Missing approvalId parameter.' };
+    }
+
+    // A widget only decides the actions requested from its own conversation
+    if (!approvals.listPending(_getSessionId(body.widgetId)).some(a => a.id === approvalId)) {
+      return { success: false, error: `Approval "${approvalId}" not found or already expired.` };
+    }
+
+    return approvals.decide(approvalId, body.approved === true);
+  },
+
+  /**
+   * POST /undo
+   * Restores the device values changed by a command of the widget instance's
+   * session (the `undoRunId` returned by POST /command-status).
+   *
+   * Like POST /command, the undo runs in the background and returns a taskId for
+   * POST /command-status: restoring a protected device may wait for the user's approval.
+   *
+   * @public
+   * @param {object} options - The option parameters.
+   * @param {object} options.homey - The Homey app instance.
+   * @param {object} options.body - The request body: { runId: string, widgetId?: string }.
+   * @returns {Promise<{ success: boolean, pending: boolean, taskId: string }
+   *                  |{ success: false, pending: false, response: string }>}
+   * @example
+   * // Called from widget index.js via:
+   * // const { pending, taskId } = await Homey.api('POST', '/undo', { runId: 'run_...', widgetId });
+   */
+  async undoCommand({ homey, body }) {
+    const undo = homey.app?.geminiClient?.mcpAdapter?.undo;
+    const runId = body?.runId;
+    const sessionId = _getSessionId(body?.widgetId);
+
+    if (!undo) {
+      return {
+        success: false,
+        pending: false,
+        response: homey.__('widget.chat.error.no_api') || 'Gemini API key not configured.'
+      };
+    }
+
+    // A widget only undoes the commands of its own conversation
+    const run = runId ? await undo.getRun(runId) : null;
+    if (!run || run.sessionId !== sessionId) {
+      return {
+        success: false,
+        pending: false,
+        response: homey.__('widget.chat.undo.not_found') || 'This can no longer be undone.'
+      };
+    }
+
+    _cleanupStaleTasks();
+
+    const taskId = _generateTaskId();
+    console.log(`[gemini_chat widget] Starting background task ${taskId} to undo ${runId}`);
+    _activeTasks.set(taskId, { status: 'pending', response: null, sessionId, createdAt: Date.now() });
+
+    undo.undo({ runId, context: { sessionId, entryPoint: 'widget' } })
+      .then((result) => {
+        // Undone meanwhile from elsewhere (e.g. the flow card)
+        let response = homey.__('widget.chat.undo.not_found') || 'This can no longer be undone.';
+        if (result.runId) {
+          response = homey.__('widget.chat.undo.done', { count: result.restored.length });
+          if (result.skipped.length > 0) {
+            response += ` ${homey.__('widget.chat.undo.skipped', { count: result.skipped.length })}`;
+          }
+          if (result.failed.length > 0) {
+            response += ` ${homey.__('widget.chat.undo.failed', { errors: result.failed.map(f => `${f.device}: ${f.error}`).join(' ') })}`;
+          }
+        }
+        _activeTasks.set(taskId, { status: 'done', response, sessionId, createdAt: Date.now() });
+      })
+      .catch((error) => {
+        const genericMsg = homey.__('widget.chat.error.generic') || 'An error occurred.';
+        _activeTasks.set(taskId, { status: 'error', response: `${genericMsg} Details: ${error.message}`, sessionId, createdAt: Date.now() });
+        console.error(`[gemini_chat widget] Task ${taskId} failed: ${error.message}`);
+      });
+
+    return { success: true, pending: true, taskId };
   },
 
   /**
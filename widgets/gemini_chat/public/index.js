@@ -3,11 +3,15 @@
 /* ─── Globals ─────────────────────────────────────────────────────────────── */
 let _Homey;
 let _isLoading = false;
+let _widgetId = null;   /* this widget instance, which owns its own conversation session */
+let _sessionId = null;  /* conversation session ID, as reported by GET /history */
+let _dryRun = false;    /* simulation mode: commands change nothing (see the dry-run toggle) */
 const SCROLL_AMOUNT = 90; /* pixels per scroll-button press */
 
 /* ─── Entry point ─────────────────────────────────────────────────────────── */
 function onHomeyReady(Homey) {
   _Homey = Homey;
+  _widgetId = typeof Homey.getWidgetInstanceId === 'function' ? Homey.getWidgetInstanceId() : null;
 
   // Localise placeholder and input
   const placeholder = Homey.__('widget.chat.input.placeholder') || 'Ask Gemini…';
@@ -31,6 +35,18 @@ function onHomeyReady(Homey) {
     if (!btn.disabled) _sendCommand();
   });
 
+  // Simulation mode toggle
+  const dryRunBtn = document.getElementById('dry-run-btn');
+  dryRunBtn.title = Homey.__('widget.chat.dry_run.toggle') || 'Simulation mode';
+  dryRunBtn.addEventListener('click', () => {
+    _dryRun = !_dryRun;
+    dryRunBtn.classList.toggle('active', _dryRun);
+    dryRunBtn.setAttribute('aria-pressed', String(_dryRun));
+    input.placeholder = _dryRun
+      ? (Homey.__('widget.chat.dry_run.placeholder') || 'Simulate a command…')
+      : placeholder;
+  });
+
   // Helper for continuous scrolling on hold
   function _addContinuousScroll(btnId, direction) {
     const btn = document.getElementById(btnId);
@@ -75,8 +91,10 @@ function onHomeyReady(Homey) {
   // Restore previous conversation messages from the server on load
   _restoreHistory();
 
-  // React to history being cleared (timeout or manual via settings)
-  Homey.on('widget_history_cleared', _clearChat);
+  // React to history being cleared (timeout or manual via settings), ignoring other sessions
+  Homey.on('widget_history_cleared', (data) => {
+    if (!data || !data.sessionId || data.sessionId === _sessionId) _clearChat();
+  });
 
   // Signal that the widget is ready; keep height as defined in widget.compose.json
   Homey.ready();
@@ -99,14 +117,15 @@ function _sendCommand() {
 
   // Show animated loading bubble
   const loadingBubble = _appendLoadingBubble();
+  const dryRun = _dryRun;
 
   // POST /command returns immediately with { pending: true, taskId } to avoid
   // the 10-second crossframe bridge timeout imposed by Homey's crossframe.js.
-  _Homey.api('POST', '/command', { command })
+  _Homey.api('POST', '/command', { command, widgetId: _widgetId, dryRun })
     .then((result) => {
       if (result.pending && result.taskId) {
         // Start polling — the actual response will be fetched asynchronously
-        _pollCommandStatus(result.taskId, loadingBubble);
+        _pollCommandStatus(result.taskId, loadingBubble, dryRun);
       } else {
         // Fallback: backend responded synchronously (e.g. validation error before task creation)
         loadingBubble.remove();
@@ -152,19 +171,21 @@ function _sendCommand() {
  * reliably forward the third argument of Homey.api('GET', ...) as query parameters.
  *
  * @private
- * @param {string} taskId - The unique identifier of the background task returned by POST /command.
+ * @param {string} taskId - The unique identifier of the background task returned by POST /command or POST /undo.
  * @param {HTMLElement} loadingBubble - The animated loading bubble element, removed when polling ends.
+ * @param {boolean} [dryRun=false] - Whether the command is simulated; its reply is labelled as such.
  * @returns {void}
  * @example
  * // Invoked internally by _sendCommand after receiving a pending response:
  * _pollCommandStatus('task-1716678900000-x7f3k', loadingBubbleElement);
  */
-function _pollCommandStatus(taskId, loadingBubble) {
+function _pollCommandStatus(taskId, loadingBubble, dryRun = false) {
   const POLL_INTERVAL_MS = 1500;  // Poll every 1.5 seconds
   const MAX_POLL_ATTEMPTS = 60;   // Maximum ~90 seconds total wait time
 
   let attempts = 0;
   let pollTimer = null;
+  const approvalBubbles = new Map(); /* approval ID → bubble, for this command */
 
   function _executePoll() {
     attempts++;
@@ -181,6 +202,11 @@ function _pollCommandStatus(taskId, loadingBubble) {
     _Homey.api('POST', '/command-status', { taskId })
       .then((result) => {
         if (result.status === 'pending') {
+          const approvals = result.approvals || [];
+          // Waiting for the user is not Gemini being slow: restart the attempt count
+          if (approvals.length > 0) attempts = 0;
+          _syncApprovalBubbles(approvals, approvalBubbles, loadingBubble);
+
           // Not ready yet — schedule next poll
           pollTimer = setTimeout(_executePoll, POLL_INTERVAL_MS);
           return;
@@ -188,8 +214,11 @@ function _pollCommandStatus(taskId, loadingBubble) {
 
         // Task completed: stop polling and render result
         clearTimeout(pollTimer);
+        _syncApprovalBubbles([], approvalBubbles, loadingBubble);
         loadingBubble.remove();
-        _appendMessage(result.response, 'gemini');
+        const bubble = _appendMessage(result.response, 'gemini');
+        if (bubble && dryRun) _labelDryRun(bubble);
+        if (bubble && result.undoRunId) _appendUndoButton(bubble, result.undoRunId);
         _setLoading(false);
       })
       .catch((err) => {
@@ -221,6 +250,189 @@ function _pollCommandStatus(taskId, loadingBubble) {
 
 
 
+/**
+ * Labels the reply to a simulated command, so it is not mistaken for a real action.
+ *
+ * @private
+ * @param {HTMLElement} bubble - The Gemini reply bubble.
+ * @returns {void}
+ */
+function _labelDryRun(bubble) {
+  const label = document.createElement('span');
+  label.classList.add('dry-run-label');
+  label.textContent = _Homey.__('widget.chat.dry_run.label') || 'Simulation — nothing was changed';
+  // Placed above the bubble: the typewriter effect rewrites the bubble's content
+  bubble.parentNode.insertBefore(label, bubble);
+}
+
+/* ─── Undo ────────────────────────────────────────────────────────────────── */
+
+/**
+ * Adds an undo button below the reply to a command that changed devices.
+ *
+ * @private
+ * @param {HTMLElement} bubble - The Gemini reply bubble.
+ * @param {string} runId - The `undoRunId` from POST /command-status.
+ * @returns {void}
+ */
+function _appendUndoButton(bubble, runId) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add('undo-btn');
+  button.textContent = _Homey.__('widget.chat.undo.button') || 'Undo';
+  button.addEventListener('click', () => _undoCommand(runId, button));
+  // Placed below the bubble: the typewriter effect rewrites the bubble's content
+  bubble.after(button);
+}
+
+/**
+ * Restores the device values changed by a command, then shows what was restored.
+ *
+ * @private
+ * @param {string} runId - The `undoRunId` of the command.
+ * @param {HTMLElement} button - The undo button, removed once used.
+ * @returns {void}
+ */
+function _undoCommand(runId, button) {
+  if (_isLoading) return;
+
+  button.remove();
+  _setLoading(true);
+  const loadingBubble = _appendLoadingBubble();
+
+  // Runs in the background like a command: restoring a protected device may wait for approval
+  _Homey.api('POST', '/undo', { runId, widgetId: _widgetId })
+    .then((result) => {
+      if (result.pending && result.taskId) {
+        _pollCommandStatus(result.taskId, loadingBubble);
+      } else {
+        loadingBubble.remove();
+        _appendMessage(result.response, 'gemini');
+        _setLoading(false);
+      }
+    })
+    .catch((err) => {
+      console.error('[gemini_chat widget] POST /undo failed:', err.message);
+      loadingBubble.remove();
+      _appendMessage(_Homey.__('widget.chat.error.generic') || `Error: ${err.message}`, 'gemini');
+      _setLoading(false);
+    });
+}
+
+/* ─── Approvals ───────────────────────────────────────────────────────────── */
+
+/**
+ * Shows an approve/deny bubble for every action of the running command that waits
+ * for the user's approval, and closes the bubbles of approvals no longer pending
+ * (decided elsewhere or expired).
+ *
+ * @private
+ * @param {Array<{ id: string, summary: string, expiresAt: string }>} approvals - Pending approvals from POST /command-status.
+ * @param {Map<string, HTMLElement>} approvalBubbles - Bubbles already shown for this command.
+ * @param {HTMLElement} loadingBubble - The loading bubble, kept below the approval bubbles.
+ * @returns {void}
+ */
+function _syncApprovalBubbles(approvals, approvalBubbles, loadingBubble) {
+  for (const approval of approvals) {
+    if (!approvalBubbles.has(approval.id)) {
+      approvalBubbles.set(approval.id, _appendApprovalBubble(approval, loadingBubble));
+    }
+  }
+
+  for (const [id, bubble] of approvalBubbles.entries()) {
+    if (!approvals.some(a => a.id === id) && !bubble.dataset.decided) {
+      _closeApprovalBubble(bubble, _Homey.__('widget.chat.approval.expired') || 'No longer waiting for approval.');
+    }
+  }
+}
+
+/**
+ * Inserts an approval bubble above the loading bubble.
+ *
+ * @private
+ * @param {{ id: string, summary: string }} approval - The pending approval.
+ * @param {HTMLElement} loadingBubble - The loading bubble of the running command.
+ * @returns {HTMLElement} The approval bubble.
+ */
+function _appendApprovalBubble(approval, loadingBubble) {
+  const log    = document.getElementById('chat-log');
+  const bubble = document.createElement('div');
+  bubble.classList.add('message', 'message-gemini', 'message-approval');
+
+  const question = document.createElement('div');
+  question.textContent = _Homey.__('widget.chat.approval.question', { action: approval.summary }) || `Allow Gemini to ${approval.summary}?`;
+  bubble.appendChild(question);
+
+  const actions = document.createElement('div');
+  actions.classList.add('approval-actions');
+  for (const approved of [true, false]) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('approval-btn', approved ? 'approval-btn-approve' : 'approval-btn-deny');
+    button.textContent = approved
+      ? (_Homey.__('widget.chat.approval.approve') || 'Approve')
+      : (_Homey.__('widget.chat.approval.deny') || 'Deny');
+    button.addEventListener('click', () => _decideApproval(approval.id, approved, bubble));
+    actions.appendChild(button);
+  }
+  bubble.appendChild(actions);
+
+  log.insertBefore(bubble, loadingBubble);
+  log.scrollBy({ top: log.scrollHeight, behavior: 'smooth' });
+  requestAnimationFrame(_updateScrollButtons);
+  return bubble;
+}
+
+/**
+ * Sends the user's decision on an approval.
+ *
+ * @private
+ * @param {string} approvalId - The approval ID.
+ * @param {boolean} approved - Whether the user approved the action.
+ * @param {HTMLElement} bubble - The approval bubble.
+ * @returns {void}
+ */
+function _decideApproval(approvalId, approved, bubble) {
+  // Decided here: the next polls must not close the bubble as expired
+  bubble.dataset.decided = 'true';
+  bubble.querySelectorAll('.approval-btn').forEach((button) => { button.disabled = true; });
+
+  _Homey.api('POST', '/approval', { approvalId, approved, widgetId: _widgetId })
+    .then((result) => {
+      if (!result.success) {
+        _closeApprovalBubble(bubble, _Homey.__('widget.chat.approval.expired') || 'No longer waiting for approval.');
+        return;
+      }
+      _closeApprovalBubble(bubble, approved
+        ? (_Homey.__('widget.chat.approval.approved') || 'Approved.')
+        : (_Homey.__('widget.chat.approval.denied') || 'Denied.'));
+    })
+    .catch((err) => {
+      console.error('[gemini_chat widget] POST /approval failed:', err.message);
+      delete bubble.dataset.decided;
+      bubble.querySelectorAll('.approval-btn').forEach((button) => { button.disabled = false; });
+    });
+}
+
+/**
+ * Replaces the buttons of an approval bubble with a final status line.
+ *
+ * @private
+ * @param {HTMLElement} bubble - The approval bubble.
+ * @param {string} status - The status text.
+ * @returns {void}
+ */
+function _closeApprovalBubble(bubble, status) {
+  bubble.dataset.decided = 'true';
+  const actions = bubble.querySelector('.approval-actions');
+  if (actions) actions.remove();
+
+  const line = document.createElement('div');
+  line.classList.add('approval-status');
+  line.textContent = status;
+  bubble.appendChild(line);
+}
+
 /* ─── UI helpers ──────────────────────────────────────────────────────────── */
 
 /**
@@ -407,8 +619,10 @@ function _setLoading(loading) {
  * @returns {void}
  */
 function _restoreHistory() {
-  _Homey.api('GET', '/history', {})
+  const query = _widgetId ? `?widgetId=${encodeURIComponent(_widgetId)}` : '';
+  _Homey.api('GET', `/history${query}`, {})
     .then((result) => {
+      if (result.sessionId) _sessionId = result.sessionId;
       if (!result.success || !result.messages || result.messages.length === 0) return;
 
       // Remove the placeholder since we have messages to show